@@ -13,7 +13,8 @@ var PORT = process.env.PORT || 8085
 var mimeTypes = {
   '.html': 'text/html',
   '.css': 'text/css',
-  '.js': 'application/javascript'
+  '.js': 'application/javascript',
+  '.wasm': 'application/wasm'
 }
 
 var server = http.createServer(function (req, res) {
@@ -27,6 +28,11 @@ var server = http.createServer(function (req, res) {
   // Also serve worklet files from src/worklets
   if (url.includes('/worklets/')) {
     filePath = path.join(__dirname, '..', 'src', 'worklets', path.basename(url))
+
+    // libopus for the WASM encoder worker
+    if (path.basename(url).startsWith('opusscript_native_wasm.')) {
+      filePath = path.join(path.dirname(require.resolve('opusscript')), 'build', path.basename(url))
+    }
   }
 
   var ext = path.extname(filePath)
@@ -1,4 +1,17 @@
 var AudioChannelManager = require('./src/channel')
+var Archive = require('./src/archive')
+var Packet = require('./src/packet')
+var PlaybackMixer = require('./src/worklets/playback-mixer')
+var WasmOpusEncoder = require('./src/opus-encoder')
+var E2ee = require('./src/e2ee')
+var History = require('./src/history')
+var Pcm = require('./src/pcm')
+var AudioRecorder = require('./src/recorder')
+var AudioRelay = require('./src/relay')
+var ReorderBuffer = require('./src/reorder')
+var Report = require('./src/report')
+var Resampler = require('./src/resample')
+var Signing = require('./src/signing')
 var EventEmitter = require('events').EventEmitter
 var inherits = require('inherits')
 var OpusDecoderLib = require('opus-decoder')
@@ -31,13 +44,22 @@ function getMediaDevices () {
 
 exports.AudioBroadcaster = AudioBroadcaster
 exports.AudioListener = AudioListener
+exports.AudioTalkback = AudioTalkback
+exports.AudioRelay = AudioRelay
+exports.AudioRecorder = AudioRecorder
 exports.AudioChannelManager = AudioChannelManager
 exports.DEFAULTS = {
   sampleRate: DEFAULT_SAMPLE_RATE,
   frameSize: DEFAULT_FRAME_SIZE,
+  channels: DEFAULT_CHANNELS,
   bitrate: DEFAULT_BITRATE,
+  minBitrate: DEFAULT_MIN_BITRATE,
+  fallbackCodec: DEFAULT_FALLBACK_CODEC,
+  fallbackSampleRate: DEFAULT_FALLBACK_SAMPLE_RATE,
   vadThreshold: DEFAULT_VAD_THRESHOLD,
   jitterBuffer: DEFAULT_JITTER_BUFFER,
+  minJitterBuffer: DEFAULT_MIN_JITTER_BUFFER,
+  maxJitterBuffer: DEFAULT_MAX_JITTER_BUFFER,
   compressorThreshold: DEFAULT_COMPRESSOR_THRESHOLD,
   compressorRatio: DEFAULT_COMPRESSOR_RATIO,
   inputGain: 1.0,
@@ -48,39 +70,147 @@ exports.DEFAULTS = {
 
 inherits(AudioBroadcaster, EventEmitter)
 inherits(AudioListener, EventEmitter)
+inherits(AudioTalkback, AudioBroadcaster)
 
 // ─── Constants ───────────────────────────────────────────────────────────────
 var DEFAULT_SAMPLE_RATE = 48000
 var DEFAULT_FRAME_SIZE = 20 // ms
+var DEFAULT_CHANNELS = 1
+var MAX_CHANNELS = 8 // PCM limit; Opus encoders typically stop at 2
+var DEFAULT_OUTPUT_CHANNELS = 2
 var DEFAULT_BITRATE = 24000 // bps
+var DEFAULT_MIN_BITRATE = 12000 // bps, floor for adaptive bitrate
+var BITRATE_DECREASE_THRESHOLD = 0.05 // Loss/drop rate that lowers the bitrate
+var BITRATE_INCREASE_THRESHOLD = 0.01 // Loss/drop rate below which it may rise again
+var DEFAULT_SERVER_BITRATE = 16000 // bps at most while any node receives over the server transport
+var BITRATE_INCREASE_STEP = 0.08 // Share added per clean feedback report (one per second)
+var BITRATE_MAX_DECREASE = 0.5 // Largest share cut at once
+var BITRATE_DECREASE_INTERVAL = 2000 // ms between cuts, so reports can catch up
+var BITRATE_HOLD = 5000 // ms after a cut before rising again
+var BITRATE_MIN_CHANGE = 1000 // bps; smaller changes aren't worth a reconfigure
+var DEFAULT_FALLBACK_CODEC = 'pcm' // Int16; or 'pcmu' / 'pcma' for G.711
+var DEFAULT_FALLBACK_SAMPLE_RATE = 16000
 var DEFAULT_VAD_THRESHOLD = 0.01
-var DEFAULT_JITTER_BUFFER = 40 // ms
+var DEFAULT_JITTER_BUFFER = 40 // ms, initial target
+var DEFAULT_MIN_JITTER_BUFFER = 20 // ms
+var DEFAULT_MAX_JITTER_BUFFER = 200 // ms
+var SERVER_MIN_JITTER_BUFFER = 100 // ms, smallest target over the server transport (TCP stalls)
+var DEFAULT_REORDER_DELAY = 20 // ms
+var MAX_CONCEALED_FRAMES = 5 // Longer gaps are left to the playback engine's fade-out
 var DEFAULT_COMPRESSOR_THRESHOLD = -12 // dB
 var DEFAULT_COMPRESSOR_RATIO = 12
+var DEFAULT_REDUNDANCY_BITRATE = 12000 // bps for redundant (RED) copies
+var MAX_REDUNDANCY = 3 // Earlier frames carried per packet at most
+var DEFAULT_SIMULCAST_BITRATE = 12000 // bps for the low simulcast layer
+var DEFAULT_ARCHIVE_BIT_DEPTH = 24
+var MAX_UNPAIRED_FRAMES = 4 // Frames waiting for their other simulcast layer
+var CONFIG_INTERVAL = 2000 // ms between stream config announcements
+var REPORT_INTERVAL = 5000 // ms between listener quality reports
+var STREAM_TIMEOUT = 3 * CONFIG_INTERVAL // A stream this quiet (not even a config) has ended
+var DEFAULT_SPEAKING_THRESHOLD = 0.01 // Playback level (RMS) of a speaking speaker
+var SPEAKING_HANGOVER = 300 // ms below the threshold before a speaker counts as silent
 var HANGOVER_FRAMES = 15 // Keep sending for 15 frames (300ms) after speech stops
+var DEFAULT_CATCH_UP_RATE = 1.25 // Playback rate of catchUp()
+var SHIFT_INTERVAL = 20 // ms between replay steps while time-shifted
+var SHIFT_LEAD = 40 // ms of history sent to playback ahead of the replay position
+var HISTORY_REANCHOR = 1000 // ms a frame may come after its due time before its stream is re-timed
+var SHIFT_KEY = 'shift:' // Mixer key prefix of replayed streams
+var DEFAULT_SYNC_DELAY = 500 // ms from capture to playout in sync mode
+var LATENCY_INTERVAL = 1000 // ms between latency events
+var LATENCY_SMOOTHING = 0.1 // Weight of each packet in a stream's smoothed network time
 var SCRIPT_PROCESSOR_BUFFER = 4096
 var ANALYSER_FFT_SIZE = 2048
 
 // Default worklet URLs (relative to page, can be overridden via opts)
 var DEFAULT_CAPTURE_WORKLET = '/worklets/capture-processor.js'
 var DEFAULT_PLAYBACK_WORKLET = '/worklets/playback-processor.js'
+var DEFAULT_PLAYBACK_ENGINE = '/worklets/playback-engine.js'
+var DEFAULT_PLAYBACK_MIXER = '/worklets/playback-mixer.js'
+var DEFAULT_ENCODER_WORKER = '/worklets/opus-encoder-worker.js'
+var DEFAULT_ARCHIVE_WORKER = '/worklets/archive-worker.js'
+var DEFAULT_OPUS_LIBRARY = '/worklets/opusscript_native_wasm.js' // From the opusscript package
+
+// Talkback player events, as the root broadcaster passes them on
+var TALKBACK_EVENTS = {
+  'stream:start': 'talkback:start',
+  'stream:end': 'talkback:end',
+  speaking: 'talkback:speaking',
+  silent: 'talkback:silent'
+}
+
+// Talkback players, one per channel manager, shared by the root broadcasters
+// on it (see _startTalkback)
+var talkbackPlayers = new WeakMap() // Channel manager -> { player, users }
 
 /**
  * AudioBroadcaster - Captures microphone audio and broadcasts to tree
  *
- * @param {Object} node - fireflower Node instance (must be root)
+ * Several broadcasters can be on the air at once; listeners mix them. On
+ * one node they share a channel manager (opts.channelManager).
+ *
+ * At the root it broadcasts down the tree. Below the root (a node with an
+ * upstream peer at start()) it contributes: frames go up to the root, which
+ * re-broadcasts them once the host has admitted the speaker (see admit()).
+ * Until then only configs are sent, as requests to speak. A node that also
+ * listens passes the listener's channel manager, so its own subtree gets
+ * the audio and it doesn't hear itself.
+ *
+ * At the root it also plays listeners' talkback (see AudioTalkback), one
+ * stream per sender, without sending it anywhere. Broadcasters sharing a
+ * channel manager share one talkback player.
+ *
+ * @param {Object} node - fireflower Node instance
  * @param {Object} opts - Configuration options
  * @param {number} opts.sampleRate - Audio sample rate (default: 48000)
  * @param {number} opts.frameSize - Frame size in ms (default: 20)
+ * @param {number} opts.channels - Channels to capture and send, 1-8 (default: 1)
  * @param {number} opts.bitrate - Opus bitrate in bps (default: 24000)
+ * @param {boolean} opts.adaptiveBitrate - Adjust the bitrate to loss and drops reported by the tree (default: true)
+ * @param {number} opts.minBitrate - Lowest adaptive bitrate in bps (default: 12000)
+ * @param {number} opts.maxBitrate - Highest adaptive bitrate in bps (default: bitrate)
+ * @param {number} opts.serverBitrate - Highest adaptive bitrate while any node in the tree
+ *   receives over the server transport (TCP), in bps (default: 16000)
+ * @param {string} opts.fallbackCodec - Encoding without Opus: 'pcm' (Int16), 'pcmu' (G.711 µ-law) or 'pcma' (G.711 A-law) (default: 'pcm')
+ * @param {number} opts.fallbackSampleRate - Its sample rate in Hz: 16000 or 24000 for 'pcm' (or the stream rate), 8000 or 16000 for G.711 (default: 16000)
  * @param {boolean} opts.vadEnabled - Enable voice activity detection (default: true)
  * @param {number} opts.vadThreshold - VAD RMS threshold (default: 0.01)
  * @param {string} opts.workletUrl - URL to capture-processor.js worklet
+ * @param {string} opts.encoderWorkerUrl - URL to opus-encoder-worker.js (WASM Opus without WebCodecs)
+ * @param {string} opts.opusLibraryUrl - URL to opusscript_native_wasm.js, with its .wasm alongside
  * @param {boolean} opts.compressor - Enable dynamics compressor (default: false)
  * @param {number} opts.compressorThreshold - Compressor threshold in dB (default: -12)
  * @param {number} opts.compressorRatio - Compressor ratio (default: 12)
  * @param {number} opts.inputGain - Input gain multiplier (default: 1.0)
  * @param {boolean} opts.agcEnabled - Enable browser auto gain control (default: false)
+ * @param {number} opts.redundancy - Earlier frames to repeat in each packet, 0-3 (default: 0)
+ * @param {number} opts.redundancyBitrate - Opus bitrate of the repeated copies in bps (default: 12000)
+ * @param {boolean} opts.simulcast - Also send every frame as a low-bitrate layer, for relays to forward
+ *   to congested peers instead (default: false)
+ * @param {number} opts.simulcastBitrate - Opus bitrate of the low layer in bps (default: 12000)
+ * @param {string|boolean} opts.archive - Also archive the processed mic losslessly, including what
+ *   VAD skips: 'wav', 'flac' or true for 'wav' (default: false; see the archive events)
+ * @param {number} opts.archiveBitDepth - Its bits per sample, 16 or 24 (default: 24)
+ * @param {number} opts.archiveTimeslice - Emit it in chunks this many ms apart, or 0 for one
+ *   chunk at stop() (default: 0)
+ * @param {boolean} opts.archiveKeepData - Keep the chunks for the 'archive' Blob (default: true)
+ * @param {string} opts.archiveWorkerUrl - URL to archive-worker.js
+ * @param {boolean} opts.sync - Announce when frames were captured, on the root's clock, for
+ *   listeners in sync mode and their network latency (default: false)
+ * @param {string} opts.streamId - Stream identifier announced to listeners (default: node id)
+ * @param {AudioChannelManager} opts.channelManager - Channel manager to send through, for several
+ *   broadcasters on one node (each with its own streamId) (default: a new one)
+ * @param {string} opts.admission - At the root: 'manual' (speakers below wait for admit()) or
+ *   'open' (default: 'manual'; applies to a new channel manager only)
+ * @param {boolean} opts.talkback - Play listeners' talkback, at the root (default: true)
+ * @param {Object} opts.talkbackOptions - AudioListener options for talkback playback (worklet URLs, jitter buffer).
+ *   With a shared channel manager, the first broadcaster to start creates the player with its options
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} opts.key - Encrypt audio payloads end to end with this AES-GCM key (see setKey)
+ * @param {number} opts.keyId - Its key id, 0-255 (default: 0)
+ * @param {CryptoKey} opts.signingKey - Sign packets with this private ECDSA P-256 or Ed25519 key
+ * @param {number} opts.signingKeyId - Id its public key is handed out under, 0-255 (default: 0)
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} opts.publicKey - Only accept packets signed with this key,
+ *   e.g. contributions at the root (see AudioChannelManager#addPublicKey)
+ * @param {number} opts.publicKeyId - Its signing key id, 0-255 (default: 0)
  */
 function AudioBroadcaster (node, opts) {
   if (!(this instanceof AudioBroadcaster)) return new AudioBroadcaster(node, opts)
@@ -90,10 +220,38 @@ function AudioBroadcaster (node, opts) {
   this.node = node
   this.sampleRate = opts.sampleRate || DEFAULT_SAMPLE_RATE
   this.frameSize = opts.frameSize || DEFAULT_FRAME_SIZE
+  this.channels = Math.max(1, Math.min(opts.channels || DEFAULT_CHANNELS, MAX_CHANNELS))
   this.bitrate = opts.bitrate || DEFAULT_BITRATE
+  this.adaptiveBitrate = opts.adaptiveBitrate !== false
+  this.maxBitrate = opts.maxBitrate || this.bitrate
+  this.minBitrate = Math.min(opts.minBitrate || DEFAULT_MIN_BITRATE, this.maxBitrate)
+  this.serverBitrate = opts.serverBitrate || DEFAULT_SERVER_BITRATE
+  this.fallbackCodec = opts.fallbackCodec || DEFAULT_FALLBACK_CODEC
+  this.fallbackSampleRate = opts.fallbackSampleRate || DEFAULT_FALLBACK_SAMPLE_RATE
   this.vadEnabled = opts.vadEnabled !== false
   this.vadThreshold = opts.vadThreshold || DEFAULT_VAD_THRESHOLD
   this.workletUrl = opts.workletUrl || DEFAULT_CAPTURE_WORKLET
+  this.encoderWorkerUrl = opts.encoderWorkerUrl || DEFAULT_ENCODER_WORKER
+  this.opusLibraryUrl = opts.opusLibraryUrl || DEFAULT_OPUS_LIBRARY
+  this.streamId = opts.streamId || node.id || ''
+
+  // Lossless archive options (see _startArchive)
+  this.archive = opts.archive === true ? 'wav' : opts.archive || null
+  this.archiveBitDepth = opts.archiveBitDepth || DEFAULT_ARCHIVE_BIT_DEPTH
+  this.archiveTimeslice = opts.archiveTimeslice || 0
+  this.archiveKeepData = opts.archiveKeepData !== false
+  this.archiveWorkerUrl = opts.archiveWorkerUrl || DEFAULT_ARCHIVE_WORKER
+  this._archive = null
+
+  // Capture clock for sync mode (see _noteCapture)
+  this.sync = opts.sync || false
+  this._captureStart = null // When media timestamp 0 was captured, on our clock (ms)
+  this._captureMin = Infinity // Earliest-looking estimate since the last announcement
+
+  this._fallbackCodec = Pcm.codecFor(this.fallbackCodec, this.fallbackSampleRate, this.sampleRate)
+  if (this._fallbackCodec === null) {
+    throw new Error('Unsupported fallback codec: ' + this.fallbackCodec + ' at ' + this.fallbackSampleRate + ' Hz')
+  }
 
   // Compressor/gain options
   this.compressorEnabled = opts.compressor || false
@@ -102,7 +260,19 @@ function AudioBroadcaster (node, opts) {
   this.inputGain = opts.inputGain || 1.0
   this.agcEnabled = opts.agcEnabled || false
 
-  this._channelManager = new AudioChannelManager(node, { relay: false })
+  // Loss resilience options
+  this.redundancy = Math.min(opts.redundancy || 0, MAX_REDUNDANCY)
+  this.redundancyBitrate = opts.redundancyBitrate || DEFAULT_REDUNDANCY_BITRATE
+  this.simulcast = opts.simulcast || false
+  this.simulcastBitrate = opts.simulcastBitrate || DEFAULT_SIMULCAST_BITRATE
+
+  // Our own channel manager relays while we're below the root (see _followUpstream)
+  this._channelManager = opts.channelManager || new AudioChannelManager(node, {
+    relay: false,
+    admission: opts.admission
+  })
+  this._ownsChannelManager = !opts.channelManager
+  if (this.sync) this._channelManager.syncClock()
   this._audioContext = null
   this._workletNode = null
   this._compressorNode = null
@@ -111,7 +281,59 @@ function AudioBroadcaster (node, opts) {
   this._encoder = null
   this._started = false
   this._speaking = false
-  this._sampleCount = 0 // Track samples for timestamp calculation
+  this._boundHandlers = {}
+
+  // Upstream contribution state (see _wireChannelManager)
+  this.contributing = false
+  this.admission = null // 'pending', 'admitted' or 'denied'
+
+  // Talkback playback, at the root (see _startTalkback)
+  this._playsTalkback = opts.talkback !== false
+  this._talkbackOptions = opts.talkbackOptions
+  this._talkback = null // The channel manager's player, while we're started
+  this._talkbackHandlers = {}
+  this._talkbackGains = {} // Stream id -> gain, also for senders to come
+
+  // End-to-end encryption (see setKey)
+  this.encrypted = false
+  this._key = null // { id, cryptoKey }
+  this._keyPending = null
+  this._keyError = null // Why opts.key failed, thrown by start()
+  if (opts.key) {
+    var self = this
+    this._keyPending = this.setKey(opts.key, opts.keyId).catch(function (err) {
+      self._keyError = err
+    })
+  }
+
+  // Signed packets (see _sendSealed)
+  this._signingKey = opts.signingKey ? { id: (opts.signingKeyId || 0) & 0xff, key: opts.signingKey } : null
+  if (this._signingKey) this._channelManager.setSigningKey(this._signingKey.id, this._signingKey.key)
+  if (opts.publicKey) addPublicKey(this._channelManager, opts)
+
+  // Adaptive bitrate state
+  this._bitrateChangedAt = 0
+  this._bitrateDecreasedAt = 0
+
+  // Packet header state (see src/packet.js)
+  this._epoch = 0
+  this._seq = 0
+  this._pendingTimestamps = [] // Media timestamps of frames queued in the encoder
+  this._mediaTimestamp = 0 // Latest captured frame
+  this._configSeq = 0
+  this._configTimer = null
+
+  // Redundant (RED) transmission state
+  this._redEncoder = null
+  this._redPendingTimestamps = []
+  this._redChunks = [] // Recent low-bitrate copies: { timestamp, data }
+  this._sentHistory = [] // Recently sent { seq, timestamp }, oldest first
+
+  // Low simulcast layer state (see _pairLowLayer)
+  this._lowEncoder = null
+  this._lowPendingTimestamps = []
+  this._lowChunks = [] // Low-layer frames not sent yet: { timestamp, data }
+  this._lowSeqs = [] // Frames sent without their low layer yet: { timestamp, seq }
 }
 
 /**
@@ -120,12 +342,34 @@ function AudioBroadcaster (node, opts) {
  */
 AudioBroadcaster.prototype.start = async function () {
   if (this._started) return
+
+  // A bad key fails here, before anything starts, rather than silently
+  // sending nothing. start() can be called again after a setKey()
+  if (this._keyPending) await this._keyPending
+  if (this._keyError) throw this._keyError
+  if (this._started) return
   this._started = true
 
   var self = this
 
+  // New epoch per start, so listeners reset their sequence tracking
+  this._epoch = Packet.randomEpoch()
+  this._seq = 0
+  this._configSeq = 0
+  this._mediaTimestamp = 0
+  this._captureStart = null
+  this._captureMin = Infinity
+  this._pendingTimestamps = []
+  this._redPendingTimestamps = []
+  this._redChunks = []
+  this._sentHistory = []
+  this._lowPendingTimestamps = []
+  this._lowChunks = []
+  this._lowSeqs = []
+
   // Start channel manager
   this._channelManager.start()
+  this._wireChannelManager()
 
   // Request microphone access
   // Disable browser audio processing to avoid AGC pumping/tremolo artifacts
@@ -139,7 +383,7 @@ AudioBroadcaster.prototype.start = async function () {
   this._stream = await mediaDevices.getUserMedia({
     audio: {
       sampleRate: this.sampleRate,
-      channelCount: 1,
+      channelCount: this.channels,
       echoCancellation: false,
       noiseSuppression: false,
       autoGainControl: this.agcEnabled
@@ -149,9 +393,31 @@ AudioBroadcaster.prototype.start = async function () {
   // Create audio context
   this._audioContext = new AudioContext({ sampleRate: this.sampleRate })
 
+  // The archive is optional: the broadcast goes on without it
+  if (this.archive) await this._startArchive()
+
   // Initialize encoder
   this._encoder = await this._createEncoder()
 
+  // Low-bitrate encoders for redundant copies and the low simulcast layer (Opus only)
+  if (this.redundancy > 0 && this._encoder._isOpus) {
+    this._redEncoder = await this._createLowBitrateEncoder(this.redundancyBitrate, function (chunk) {
+      self._onRedundantChunk(chunk)
+    }, 'Redundancy')
+  }
+  if (this.simulcast && this._encoder._isOpus) {
+    this._lowEncoder = await this._createLowBitrateEncoder(this.simulcastBitrate, function (chunk) {
+      self._onLowLayerChunk(chunk)
+    }, 'Simulcast')
+  }
+
+  // Announce the stream now (for listeners already connected) and
+  // periodically after that; relays hand the latest one to late joiners
+  this._sendConfig()
+  this._configTimer = setInterval(function () {
+    self._sendConfig()
+  }, CONFIG_INTERVAL)
+
   // Connect audio graph - always create gain and compressor for live control
   var source = this._audioContext.createMediaStreamSource(this._stream)
 
@@ -174,18 +440,28 @@ AudioBroadcaster.prototype.start = async function () {
     await this._audioContext.audioWorklet.addModule(this.workletUrl)
 
     // Create worklet node
+    // Explicit channel count: the graph up/downmixes whatever the mic delivers
     this._workletNode = new AudioWorkletNode(this._audioContext, 'capture-processor', {
+      channelCount: this.channels,
+      channelCountMode: 'explicit',
       processorOptions: {
+        channels: this.channels,
         frameSize: this.frameSize,
         vadEnabled: this.vadEnabled,
         vadThreshold: this.vadThreshold
       }
     })
 
+    // Frames for the archive go from the worklet straight to its worker
+    if (this._archive) {
+      var port = this._archive.port()
+      this._workletNode.port.postMessage({ type: 'archive', port: port }, [port])
+    }
+
     // Handle messages from worklet
     this._workletNode.port.onmessage = function (evt) {
       if (evt.data.type === 'frame') {
-        self._onFrame(evt.data.samples)
+        self._onFrame(evt.data.samples, evt.data.timestamp)
       } else if (evt.data.type === 'vad') {
         var wasSpeaking = self._speaking
         self._speaking = evt.data.speaking
@@ -198,9 +474,7 @@ AudioBroadcaster.prototype.start = async function () {
     }
 
     // Chain: source → gain → compressor → worklet
-    source.connect(this._gainNode)
-    this._gainNode.connect(this._compressorNode)
-    this._compressorNode.connect(this._workletNode)
+    this._connectProcessing(source, this._workletNode)
   } else {
     // Fallback: ScriptProcessorNode for browsers without AudioWorklet
     console.warn('[audio] AudioWorklet not supported, using ScriptProcessorNode fallback for capture')
@@ -217,30 +491,42 @@ AudioBroadcaster.prototype._setupCaptureScriptProcessor = function (source) {
   var sampleRate = this._audioContext.sampleRate
   var samplesPerFrame = Math.floor(sampleRate * this.frameSize / 1000)
 
-  // Accumulation buffer for frames
-  this._captureBuffer = new Float32Array(samplesPerFrame)
+  // Accumulation buffer for frames, per channel
+  this._captureBuffers = []
+  for (var c = 0; c < this.channels; c++) {
+    this._captureBuffers.push(new Float32Array(samplesPerFrame))
+  }
   this._captureBufferIndex = 0
+  this._captureTimestamp = 0 // Advances for every frame, sent or not
 
   // VAD state
   this._vadHangover = 0
 
   // ScriptProcessorNode
-  this._scriptNode = this._audioContext.createScriptProcessor(SCRIPT_PROCESSOR_BUFFER, 1, 1)
+  this._scriptNode = this._audioContext.createScriptProcessor(SCRIPT_PROCESSOR_BUFFER, this.channels, 1)
 
   this._scriptNode.onaudioprocess = function (evt) {
-    var input = evt.inputBuffer.getChannelData(0)
+    var inputs = []
+    for (var c = 0; c < self.channels; c++) {
+      inputs.push(evt.inputBuffer.getChannelData(Math.min(c, evt.inputBuffer.numberOfChannels - 1)))
+    }
 
-    for (var i = 0; i < input.length; i++) {
-      self._captureBuffer[self._captureBufferIndex++] = input[i]
+    for (var i = 0; i < inputs[0].length; i++) {
+      for (c = 0; c < self.channels; c++) {
+        self._captureBuffers[c][self._captureBufferIndex] = inputs[c][i]
+      }
+      self._captureBufferIndex++
 
       // Frame complete?
       if (self._captureBufferIndex >= samplesPerFrame) {
-        // Calculate RMS for VAD
+        // Calculate RMS for VAD (over all channels)
         var sumSquares = 0
-        for (var j = 0; j < self._captureBuffer.length; j++) {
-          sumSquares += self._captureBuffer[j] * self._captureBuffer[j]
-        }
-        var rms = Math.sqrt(sumSquares / self._captureBuffer.length)
+        self._captureBuffers.forEach(function (buffer) {
+          for (var j = 0; j < buffer.length; j++) {
+            sumSquares += buffer[j] * buffer[j]
+          }
+        })
+        var rms = Math.sqrt(sumSquares / (samplesPerFrame * self.channels))
         var isSpeech = rms >= self.vadThreshold
 
         // VAD logic with hangover
@@ -258,24 +544,111 @@ AudioBroadcaster.prototype._setupCaptureScriptProcessor = function (source) {
         }
 
         // Send frame if VAD disabled or speaking
-        if (!self.vadEnabled || self._speaking || self._vadHangover > 0) {
-          var frame = new Float32Array(self._captureBuffer)
-          self._onFrame(frame)
+        var send = !self.vadEnabled || self._speaking || self._vadHangover > 0
+        if (send) {
+          var frame = self._captureBuffers.map(function (buffer) { return new Float32Array(buffer) })
+          self._onFrame(frame, self._captureTimestamp)
+        }
+        if (self._archive) {
+          self._archive.write(self._captureBuffers, self._captureTimestamp, !send)
         }
 
+        self._captureTimestamp += samplesPerFrame
         self._captureBufferIndex = 0
       }
     }
   }
 
   // Chain: source → gain → compressor → scriptProcessor
-  source.connect(this._gainNode)
-  this._gainNode.connect(this._compressorNode)
-  this._compressorNode.connect(this._scriptNode)
+  this._connectProcessing(source, this._scriptNode)
   // Connect to destination (required for ScriptProcessorNode to work, but silent)
   this._scriptNode.connect(this._audioContext.destination)
 }
 
+/**
+ * Connect source → gain → compressor → capture node
+ *
+ * DynamicsCompressorNode handles at most two channels, so it is left out
+ * of the chain for multichannel capture.
+ */
+AudioBroadcaster.prototype._connectProcessing = function (source, capture) {
+  source.connect(this._gainNode)
+
+  if (this.channels > 2) {
+    if (this.compressorEnabled) {
+      console.warn('[audio] Compressor supports at most 2 channels, bypassing it')
+    }
+    this._gainNode.connect(capture)
+    return
+  }
+
+  this._gainNode.connect(this._compressorNode)
+  this._compressorNode.connect(capture)
+}
+
+/**
+ * Listen to the channel manager: as a contributor for the root's decisions,
+ * at the root for the tree's reports, speaker requests and talkback
+ */
+AudioBroadcaster.prototype._wireChannelManager = function () {
+  var self = this
+
+  if (this._ownsChannelManager) this._followUpstream()
+
+  // Below the root, speak through the root once it admits us
+  this.contributing = !!this.node.upstream
+  this.admission = this.contributing ? 'pending' : 'admitted'
+
+  if (this.contributing) {
+    this._boundHandlers.admission = function (decision) {
+      self._onAdmission(decision)
+    }
+    this._channelManager.on('admission', this._boundHandlers.admission)
+    return
+  }
+
+  // Reception reports from the whole tree, once a second
+  this._boundHandlers.feedback = function (report) {
+    self._onFeedback(report)
+  }
+  this._channelManager.on('feedback', this._boundHandlers.feedback)
+
+  // Listener quality reports from the whole tree, every few seconds
+  this._boundHandlers.report = function (summary, branches) {
+    self._onReport(summary, branches)
+  }
+  this._channelManager.on('report', this._boundHandlers.report)
+
+  // Speakers below asking to be heard
+  this._boundHandlers.speakerRequest = function (streamId, config) {
+    self.emit('speaker:request', streamId, config)
+  }
+  this._channelManager.on('speaker:request', this._boundHandlers.speakerRequest)
+
+  if (this._playsTalkback) this._startTalkback()
+}
+
+/**
+ * Relay with our own channel manager whenever we have an upstream, so the
+ * subtree below us hears the tree wherever the node moves in it
+ */
+AudioBroadcaster.prototype._followUpstream = function () {
+  var self = this
+
+  this._boundHandlers.connect = function () {
+    self._channelManager.relay = !!self.node.upstream
+  }
+  this.node.on('connect', this._boundHandlers.connect)
+
+  // The upstream may still be set while its disconnect is handled
+  this._boundHandlers.peerdisconnect = function (peer) {
+    self._channelManager.relay = !!self.node.upstream && self.node.upstream !== peer
+  }
+  this.node.on('peerdisconnect', this._boundHandlers.peerdisconnect)
+
+  this._channelManager.relay = !!this.node.upstream
+}
+
 /**
  * Stop broadcasting
  */
@@ -283,8 +656,36 @@ AudioBroadcaster.prototype.stop = function () {
   if (!this._started) return
   this._started = false
 
-  // Stop channel manager
-  this._channelManager.stop()
+  // Stop channel manager (a shared one keeps running for the others)
+  if (this._ownsChannelManager) {
+    this._channelManager.stop()
+  } else {
+    this._channelManager.removeStream(this._epoch)
+  }
+  if (this._boundHandlers.feedback) {
+    this._channelManager.removeListener('feedback', this._boundHandlers.feedback)
+  }
+  if (this._boundHandlers.report) {
+    this._channelManager.removeListener('report', this._boundHandlers.report)
+  }
+  if (this._boundHandlers.admission) {
+    this._channelManager.removeListener('admission', this._boundHandlers.admission)
+  }
+  if (this._boundHandlers.speakerRequest) {
+    this._channelManager.removeListener('speaker:request', this._boundHandlers.speakerRequest)
+  }
+  if (this._boundHandlers.connect) {
+    this.node.removeListener('connect', this._boundHandlers.connect)
+    this.node.removeListener('peerdisconnect', this._boundHandlers.peerdisconnect)
+  }
+  this._boundHandlers = {}
+
+  this._stopTalkback()
+
+  if (this._configTimer) {
+    clearInterval(this._configTimer)
+    this._configTimer = null
+  }
 
   // Stop microphone
   if (this._stream) {
@@ -309,449 +710,2732 @@ AudioBroadcaster.prototype.stop = function () {
     this._encoder.close()
     this._encoder = null
   }
+  if (this._redEncoder) {
+    this._redEncoder.close()
+    this._redEncoder = null
+  }
+  if (this._lowEncoder) {
+    this._lowEncoder.close()
+    this._lowEncoder = null
+  }
 
   this._workletNode = null
   this._compressorNode = null
   this._gainNode = null
   this._speaking = false
+
+  this._endArchive()
+}
+
+// ─── Archive ────────────────────────────────────────────────────────────────
+
+/**
+ * Start the lossless archive (see src/archive.js)
+ *
+ * Warns and carries on without it if it can't start.
+ */
+AudioBroadcaster.prototype._startArchive = async function () {
+  var self = this
+
+  if (!Archive.isSupported()) {
+    console.warn('[audio] Archive needs Web Workers, broadcasting without it')
+    return
+  }
+
+  var archive = new Archive({
+    format: this.archive,
+    sampleRate: this._audioContext.sampleRate,
+    channels: this.channels,
+    bitDepth: this.archiveBitDepth,
+    timeslice: this.archiveTimeslice,
+    keepData: this.archiveKeepData,
+    workerUrl: this.archiveWorkerUrl,
+    data: function (chunk) {
+      self.emit('archive:data', chunk)
+    },
+    marker: function (marker) {
+      self.emit('archive:marker', marker)
+    },
+    error: function (err) {
+      console.warn('[audio] Archive error:', err)
+    }
+  })
+
+  try {
+    await archive.start()
+    this._archive = archive
+  } catch (err) {
+    console.warn('[audio] Failed to start archive, broadcasting without it:', err)
+  }
+}
+
+/**
+ * Finish the archive and hand it out with an 'archive' event
+ */
+AudioBroadcaster.prototype._endArchive = function () {
+  var self = this
+  var archive = this._archive
+  if (!archive) return
+  this._archive = null
+
+  archive.end().then(function (result) {
+    self.emit('archive', result.blob, result.markers)
+  }, function (err) {
+    console.warn('[audio] Failed to finish archive:', err)
+  })
+}
+
+/**
+ * Mark an encoded frame the live stream didn't carry in the archive
+ *
+ * @param {Object} header - Its packet header fields
+ * @param {string} reason - 'off air', 'no key' or 'not sent'
+ */
+AudioBroadcaster.prototype._markDropped = function (header, reason) {
+  // The low simulcast layer is only ever a second copy
+  if (!this._archive || header.flags & Packet.FLAG_LOW) return
+  var length = Math.floor(this.sampleRate * this.frameSize / 1000)
+  this._archive.markDropped(header.timestamp, length, reason)
 }
 
 /**
- * Create Opus encoder (or PCM fallback)
+ * Create Opus encoder: WebCodecs, then WASM in a worker, then PCM fallback
  */
 AudioBroadcaster.prototype._createEncoder = async function () {
   var self = this
+  var output = function (chunk) {
+    self._onEncodedChunk(chunk)
+  }
+  var encoder
 
   // Check for WebCodecs Opus support
   if (typeof AudioEncoder !== 'undefined') {
     try {
-      var encoder = new AudioEncoder({
-        output: function (chunk) {
-          self._onEncodedChunk(chunk)
-        },
-        error: function (err) {
-          console.error('AudioEncoder error:', err)
-        }
-      })
-
-      await encoder.configure({
-        codec: 'opus',
-        sampleRate: this.sampleRate,
-        numberOfChannels: 1,
-        bitrate: this.bitrate
-      })
+      encoder = await this._createOpusEncoder(this.bitrate, output)
+      encoder._isOpus = true
+      return encoder
+    } catch (err) {
+      console.warn('[audio] WebCodecs Opus encoder not supported, trying WASM:', err)
+    }
+  }
 
+  // libopus in a worker (Firefox mobile, older Safari)
+  if (WasmOpusEncoder.isSupported()) {
+    try {
+      encoder = await this._createWasmOpusEncoder(this.bitrate, output)
       encoder._isOpus = true
+      encoder._isWasm = true
+      console.log('[audio] Using WASM Opus encoder')
       return encoder
     } catch (err) {
-      console.warn('Opus encoder not supported, falling back to PCM:', err)
+      console.warn('[audio] WASM Opus encoder not available, falling back to PCM:', err)
     }
   }
 
-  // PCM fallback (no actual encoder, just pass through)
+  // PCM fallback (no actual encoder; resample, then Int16 or G.711)
+  var codec = this._fallbackCodec
+  var rate = Pcm.sampleRate(codec, this.sampleRate)
+  var resampler = rate !== this.sampleRate ? new Resampler(this.sampleRate, rate, this.channels) : null
   return {
     _isOpus: false,
     encode: function (data) {
-      // Convert Float32 to Int16 PCM
-      var samples = data.data
-      var pcm = new Int16Array(samples.length)
-      for (var i = 0; i < samples.length; i++) {
-        var s = Math.max(-1, Math.min(1, samples[i]))
-        pcm[i] = s < 0 ? s * 0x8000 : s * 0x7FFF
-      }
-      self._broadcastFrame(pcm.buffer, false)
+      var planes = resampler ? resampler.process(data.data) : data.data
+      self._broadcastFrame(Pcm.encode(planes, codec).buffer, codec, data.timestamp)
     },
     close: function () {}
   }
 }
 
+/**
+ * Create and configure a WebCodecs Opus encoder
+ *
+ * @param {number} bitrate - Target bitrate in bps
+ * @param {Function} output - Called with each EncodedAudioChunk
+ * @returns {Promise<AudioEncoder>}
+ */
+AudioBroadcaster.prototype._createOpusEncoder = async function (bitrate, output) {
+  var encoder = new AudioEncoder({
+    output: output,
+    error: function (err) {
+      console.error('AudioEncoder error:', err)
+    }
+  })
+
+  // One encoded chunk per input frame, so queued timestamps line up
+  var config = {
+    codec: 'opus',
+    sampleRate: this.sampleRate,
+    numberOfChannels: this.channels,
+    bitrate: bitrate,
+    opus: {
+      frameDuration: this.frameSize * 1000
+    }
+  }
+
+  // An unsupported config (e.g. too many channels) would only fail later,
+  // through the error callback
+  var support = await AudioEncoder.isConfigSupported(config)
+  if (!support.supported) {
+    encoder.close()
+    throw new Error('Opus encoder does not support ' + this.channels + ' channels at ' + this.sampleRate + ' Hz')
+  }
+
+  await encoder.configure(config)
+  encoder._config = config // For live bitrate changes
+
+  return encoder
+}
+
+/**
+ * Create and configure a WASM Opus encoder (in a worker)
+ * Same settings as the WebCodecs one
+ *
+ * @param {number} bitrate - Target bitrate in bps
+ * @param {Function} output - Called with each encoded chunk
+ * @returns {Promise<WasmOpusEncoder>}
+ */
+AudioBroadcaster.prototype._createWasmOpusEncoder = async function (bitrate, output) {
+  var encoder = new WasmOpusEncoder({
+    output: output,
+    error: function (err) {
+      console.error('[audio] WASM Opus encoder error:', err)
+    },
+    workerUrl: this.encoderWorkerUrl,
+    libraryUrl: this.opusLibraryUrl
+  })
+
+  var config = {
+    codec: 'opus',
+    sampleRate: this.sampleRate,
+    numberOfChannels: this.channels,
+    bitrate: bitrate,
+    opus: {
+      frameDuration: this.frameSize * 1000
+    }
+  }
+
+  await encoder.configure(config)
+  encoder._config = config // For live bitrate changes
+
+  return encoder
+}
+
+/**
+ * Create a low-bitrate encoder of the same kind as the main one
+ * Returns null if it can't be created (what it's for is then skipped)
+ *
+ * @param {number} bitrate - Target bitrate in bps
+ * @param {Function} output - Called with each encoded chunk
+ * @param {string} name - What it's for, for the warning
+ */
+AudioBroadcaster.prototype._createLowBitrateEncoder = async function (bitrate, output, name) {
+  try {
+    if (this._encoder._isWasm) {
+      return await this._createWasmOpusEncoder(bitrate, output)
+    }
+    return await this._createOpusEncoder(bitrate, output)
+  } catch (err) {
+    console.warn('[audio] ' + name + ' encoder not supported:', err)
+    return null
+  }
+}
+
 /**
  * Handle audio frame from worklet
+ *
+ * @param {Float32Array[]} samples - One frame of samples per channel
+ * @param {number} timestamp - Media timestamp of the first sample (in samples)
  */
-AudioBroadcaster.prototype._onFrame = function (samples) {
+AudioBroadcaster.prototype._onFrame = function (samples, timestamp) {
   if (!this._encoder) return
-
-  if (this._encoder._isOpus) {
+  this._mediaTimestamp = timestamp
+  if (this.sync) this._noteCapture(timestamp, samples[0].length)
+
+  if (this._encoder._isWasm) {
+    // WASM encoder worker takes the planes as they are
+    var frame = { data: samples, timestamp: Math.round(timestamp * 1000000 / this.sampleRate) }
+    this._pendingTimestamps.push(timestamp)
+    this._encoder.encode(frame)
+    if (this._redEncoder) {
+      this._redPendingTimestamps.push(timestamp)
+      this._redEncoder.encode(frame)
+    }
+    if (this._lowEncoder) {
+      this._lowPendingTimestamps.push(timestamp)
+      this._lowEncoder.encode(frame)
+    }
+  } else if (this._encoder._isOpus) {
     // WebCodecs encoder - use sample-based timestamp, not wall clock
-    var timestampMicros = Math.floor(this._sampleCount * 1000000 / this.sampleRate)
+    var timestampMicros = Math.round(timestamp * 1000000 / this.sampleRate)
+    var frames = samples[0].length
+    var planar = new Float32Array(frames * samples.length)
+    samples.forEach(function (plane, c) { planar.set(plane, c * frames) })
+
+    this._pendingTimestamps.push(timestamp)
     var data = new AudioData({
-      format: 'f32',
+      format: 'f32-planar',
       sampleRate: this.sampleRate,
-      numberOfFrames: samples.length,
-      numberOfChannels: 1,
+      numberOfFrames: frames,
+      numberOfChannels: samples.length,
       timestamp: timestampMicros,
-      data: samples
+      data: planar
     })
     this._encoder.encode(data)
+    if (this._redEncoder) {
+      this._redPendingTimestamps.push(timestamp)
+      this._redEncoder.encode(data)
+    }
+    if (this._lowEncoder) {
+      this._lowPendingTimestamps.push(timestamp)
+      this._lowEncoder.encode(data)
+    }
     data.close()
-    this._sampleCount += samples.length
   } else {
     // PCM fallback
-    this._encoder.encode({ data: samples })
+    this._encoder.encode({ data: samples, timestamp: timestamp })
   }
 }
 
+/**
+ * Estimate when the capture clock started, from a frame just handed over
+ *
+ * A frame comes out of the worklet once its last sample is in, and any
+ * delay on the way only makes it look later, so the earliest-looking frame
+ * of each announcement interval is the estimate. Whatever the mic's own
+ * latency adds is the same for every listener, so they stay in step.
+ *
+ * @param {number} timestamp - Media timestamp of the frame, in samples
+ * @param {number} length - Its samples
+ */
+AudioBroadcaster.prototype._noteCapture = function (timestamp, length) {
+  var start = Date.now() - (timestamp + length) * 1000 / this.sampleRate
+  if (start < this._captureMin) this._captureMin = start
+}
+
 /**
  * Handle encoded chunk from WebCodecs
  */
 AudioBroadcaster.prototype._onEncodedChunk = function (chunk) {
   var data = new Uint8Array(chunk.byteLength)
   chunk.copyTo(data)
-  this._broadcastFrame(data.buffer, true)
+
+  // Chunks come out in input order; fall back to the chunk's own timestamp
+  var timestamp = this._pendingTimestamps.shift()
+  if (timestamp === undefined) {
+    timestamp = Math.round(chunk.timestamp * this.sampleRate / 1000000)
+  }
+
+  var seq = this._redEncoder
+    ? this._broadcastRedundant(data, timestamp)
+    : this._broadcastFrame(data.buffer, Packet.CODEC_OPUS, timestamp)
+  if (this._lowEncoder && seq !== null) this._pairLowLayer(timestamp, seq)
 }
 
 /**
- * Broadcast a frame to all downstream peers
+ * Handle low-bitrate chunk from the redundancy encoder
  */
-AudioBroadcaster.prototype._broadcastFrame = function (buffer, isOpus) {
-  // Prepend 1-byte header: 0x01 = Opus, 0x00 = PCM
-  var header = new Uint8Array([isOpus ? 0x01 : 0x00])
-  var frame = new Uint8Array(1 + buffer.byteLength)
-  frame.set(header)
-  frame.set(new Uint8Array(buffer), 1)
+AudioBroadcaster.prototype._onRedundantChunk = function (chunk) {
+  var data = new Uint8Array(chunk.byteLength)
+  chunk.copyTo(data)
 
-  this._channelManager.broadcast(frame.buffer)
-}
+  var timestamp = this._redPendingTimestamps.shift()
+  if (timestamp === undefined) return
 
-// ============================================================================
-// AudioListener
-// ============================================================================
+  // Keep only as many copies as the next packets can carry (plus slack for
+  // the two encoders finishing in a different order)
+  this._redChunks.push({ timestamp: timestamp, data: data })
+  if (this._redChunks.length > this.redundancy + 2) this._redChunks.shift()
+}
 
 /**
- * AudioListener - Receives and plays audio from the tree
+ * Broadcast a primary frame with low-bitrate copies of the frames sent before it
  *
- * @param {Object} node - fireflower Node instance
- * @param {Object} opts - Configuration options
- * @param {number} opts.jitterBuffer - Jitter buffer size in ms (default: 40)
- * @param {string} opts.workletUrl - URL to playback-processor.js worklet
+ * @returns {number|null} Its sequence number, or null if it wasn't sent
  */
-function AudioListener (node, opts) {
-  if (!(this instanceof AudioListener)) return new AudioListener(node, opts)
-  EventEmitter.call(this)
+AudioBroadcaster.prototype._broadcastRedundant = function (primary, timestamp) {
+  var self = this
+  var blocks = []
+
+  this._sentHistory.forEach(function (sent) {
+    var copy = self._findRedundantChunk(sent.timestamp)
+    var tsOffset = Packet.seqDiff(timestamp, sent.timestamp)
+    // Offsets must fit the block header; older frames aren't worth sending
+    if (!copy || tsOffset <= 0 || tsOffset > 0xffff) return
+    blocks.push({
+      seqOffset: Packet.seqDiff(self._seq, sent.seq),
+      tsOffset: tsOffset,
+      data: copy
+    })
+  })
 
-  opts = opts || {}
-  this.node = node
-  this.jitterBuffer = opts.jitterBuffer || DEFAULT_JITTER_BUFFER
-  this.workletUrl = opts.workletUrl || DEFAULT_PLAYBACK_WORKLET
+  var payload = blocks.length
+    ? Packet.encodeRedundant(primary, blocks)
+    : primary
+  var seq = this._broadcastFrame(payload.buffer, Packet.CODEC_OPUS, timestamp,
+    blocks.length ? Packet.FLAG_RED : 0)
+  if (seq === null) return null
+
+  // Remember this frame for the next packets
+  this._sentHistory.push({ seq: seq, timestamp: timestamp })
+  if (this._sentHistory.length > this.redundancy) this._sentHistory.shift()
+  return seq
+}
 
-  this._channelManager = new AudioChannelManager(node, { relay: true })
-  this._audioContext = null
-  this._workletNode = null
-  this._decoder = null
-  this._started = false
-  this._frameCount = 0 // Track frames for timestamp calculation
+AudioBroadcaster.prototype._findRedundantChunk = function (timestamp) {
+  for (var i = 0; i < this._redChunks.length; i++) {
+    if (this._redChunks[i].timestamp === timestamp) return this._redChunks[i].data
+  }
+  return null
 }
 
+// ─── Simulcast ──────────────────────────────────────────────────────────────
+
 /**
- * Start listening and playing audio
- * @returns {Promise}
+ * Handle low-bitrate chunk from the simulcast encoder
  */
-AudioListener.prototype.start = async function () {
-  if (this._started) return
-  this._started = true
+AudioBroadcaster.prototype._onLowLayerChunk = function (chunk) {
+  var data = new Uint8Array(chunk.byteLength)
+  chunk.copyTo(data)
 
-  var self = this
+  var timestamp = this._lowPendingTimestamps.shift()
+  if (timestamp === undefined) return
 
-  // Start channel manager
-  this._channelManager.start()
+  // Its frame may already be out (see _pairLowLayer)
+  for (var i = 0; i < this._lowSeqs.length; i++) {
+    if (this._lowSeqs[i].timestamp === timestamp) {
+      this._broadcastLowLayer(data, timestamp, this._lowSeqs.splice(i, 1)[0].seq)
+      return
+    }
+  }
 
-  // Create audio context
-  this._audioContext = new AudioContext({ sampleRate: DEFAULT_SAMPLE_RATE })
+  this._lowChunks.push({ timestamp: timestamp, data: data })
+  if (this._lowChunks.length > MAX_UNPAIRED_FRAMES) this._lowChunks.shift()
+}
 
-  // Resume audio context if suspended (browsers require user gesture)
-  if (this._audioContext.state === 'suspended') {
-    await this._audioContext.resume()
+/**
+ * Send a frame's low layer now that the frame has a sequence number
+ *
+ * The two encoders finish in either order, and a frame the main packet
+ * wasn't sent for (off the air, waiting for a key) gets no low layer either.
+ *
+ * @param {number} timestamp - Media timestamp of the frame
+ * @param {number} seq - Sequence number its main packet went out under
+ */
+AudioBroadcaster.prototype._pairLowLayer = function (timestamp, seq) {
+  for (var i = 0; i < this._lowChunks.length; i++) {
+    if (this._lowChunks[i].timestamp === timestamp) {
+      this._broadcastLowLayer(this._lowChunks.splice(i, 1)[0].data, timestamp, seq)
+      return
+    }
   }
 
-  // Check for AudioWorklet support (Firefox mobile doesn't have it)
-  if (this._audioContext.audioWorklet) {
-    // Load playback worklet
-    await this._audioContext.audioWorklet.addModule(this.workletUrl)
+  this._lowSeqs.push({ timestamp: timestamp, seq: seq })
+  if (this._lowSeqs.length > MAX_UNPAIRED_FRAMES) this._lowSeqs.shift()
+}
 
-    // Create worklet node
-    this._workletNode = new AudioWorkletNode(this._audioContext, 'playback-processor', {
-      processorOptions: {
-        jitterBuffer: this.jitterBuffer
-      }
-    })
+/**
+ * Broadcast a frame's low layer (FLAG_LOW), under its main packet's sequence number
+ */
+AudioBroadcaster.prototype._broadcastLowLayer = function (data, timestamp, seq) {
+  if (!this._onAir() || (this.encrypted && !this._key)) return
+
+  this._sendAudio({
+    type: Packet.TYPE_AUDIO,
+    codec: Packet.CODEC_OPUS,
+    flags: Packet.FLAG_LOW,
+    epoch: this._epoch,
+    seq: seq,
+    timestamp: timestamp
+  }, data)
+}
 
-    // Connect to speakers
-    this._workletNode.connect(this._audioContext.destination)
+/**
+ * Adapt the bitrate to a reception report for the whole tree
+ *
+ * Mean loss and the worst relay's drop rate both count as congestion.
+ * Cuts are proportional to it and spaced out so the next reports can show
+ * their effect; increases are small steps, after a hold time.
+ *
+ * A node receiving over the server transport stalls rather than loses, so
+ * the bitrate stays at most serverBitrate while there's one.
+ *
+ * @param {Object} report - See AudioChannelManager `feedback` event
+ */
+AudioBroadcaster.prototype._onFeedback = function (report) {
+  if (!this.adaptiveBitrate || !report.nodes) return
+  if (!this._encoder || !this._encoder._isOpus) return
+
+  var maxBitrate = report.serverLinks
+    ? Math.max(this.minBitrate, Math.min(this.serverBitrate, this.maxBitrate))
+    : this.maxBitrate
+  var congestion = Math.max(report.loss, report.maxDrop)
+  var now = Date.now()
+  var bitrate
+
+  if (this.bitrate > maxBitrate) {
+    bitrate = maxBitrate
+  } else if (congestion > BITRATE_DECREASE_THRESHOLD) {
+    if (now - this._bitrateChangedAt < BITRATE_DECREASE_INTERVAL) return
+    bitrate = this.bitrate * (1 - Math.min(congestion, BITRATE_MAX_DECREASE))
+  } else if (congestion < BITRATE_INCREASE_THRESHOLD) {
+    if (now - this._bitrateDecreasedAt < BITRATE_HOLD) return
+    bitrate = this.bitrate * (1 + BITRATE_INCREASE_STEP)
   } else {
-    // Fallback: ScriptProcessorNode for browsers without AudioWorklet
-    console.warn('[audio] AudioWorklet not supported, using ScriptProcessorNode fallback')
-    this._useScriptProcessor = true
-    this._setupScriptProcessorFallback()
+    return
   }
 
-  // Initialize decoder
-  this._decoder = await this._createDecoder()
+  bitrate = Math.round(Math.max(this.minBitrate, Math.min(bitrate, maxBitrate)))
+  if (bitrate === this.bitrate) return
 
-  // Handle incoming audio
-  this._channelManager.on('audio', function (data) {
-    self._onAudioData(data)
-  })
+  // Skip tiny steps, unless they reach a bound
+  var atBound = bitrate === this.minBitrate || bitrate === maxBitrate
+  if (Math.abs(bitrate - this.bitrate) < BITRATE_MIN_CHANGE && !atBound) return
 
-  this._channelManager.on('drop', function () {
-    self.emit('drop')
+  var previous = this.bitrate
+  this.bitrate = bitrate
+  this._bitrateChangedAt = now
+  if (bitrate < previous) this._bitrateDecreasedAt = now
+
+  this._reconfigureEncoder()
+  this._sendConfig()
+
+  this.emit('bitrate', {
+    bitrate: bitrate,
+    previous: previous,
+    loss: report.loss,
+    drop: report.maxDrop
+  })
+}
+
+/**
+ * Turn the tree's merged listener reports into percentiles, overall and
+ * per branch (one per downstream peer of the root)
+ *
+ * @param {Object} summary - Merged report (see src/report.js)
+ * @param {Object} branches - Downstream peer id -> that subtree's report
+ */
+AudioBroadcaster.prototype._onReport = function (summary, branches) {
+  var report = Report.describe(summary)
+  report.branches = Object.keys(branches).map(function (id) {
+    return Object.assign({ peer: id }, Report.describe(branches[id]))
+  })
+
+  this.emit('report', report)
+}
+
+/**
+ * Apply the current bitrate to the running encoder
+ */
+AudioBroadcaster.prototype._reconfigureEncoder = function () {
+  var encoder = this._encoder
+  if (!encoder || !encoder._config) return
+
+  // Same config otherwise; both encoders take a new configure() on the fly
+  encoder._config = Object.assign({}, encoder._config, { bitrate: this.bitrate })
+  try {
+    var result = encoder.configure(encoder._config)
+    if (result && result.catch) {
+      result.catch(function (err) {
+        console.warn('[audio] Failed to change encoder bitrate:', err)
+      })
+    }
+  } catch (err) {
+    console.warn('[audio] Failed to change encoder bitrate:', err)
+  }
+}
+
+/**
+ * Current stream configuration, as announced to listeners
+ *
+ * @returns {Object} See Packet.encodeConfig
+ */
+AudioBroadcaster.prototype._getConfig = function () {
+  var isOpus = !!(this._encoder && this._encoder._isOpus)
+  return {
+    codec: isOpus ? Packet.CODEC_OPUS : this._fallbackCodec,
+    channels: this.channels,
+    sampleRate: this.sampleRate,
+    frameDuration: Math.round(this.frameSize * 1000),
+    bitrate: isOpus ? this.bitrate : Pcm.bitrate(this._fallbackCodec, this.sampleRate, this.channels),
+    streamId: this.streamId,
+    capture: this._getCapture()
+  }
+}
+
+/**
+ * Capture time of the latest frame on the root's clock, for sync mode
+ *
+ * Starts a new estimating interval (see _noteCapture); with no frames in
+ * the last one (VAD), the previous estimate stands.
+ *
+ * @returns {Object|null} { timestamp, time (ms) }, or null if not known
+ */
+AudioBroadcaster.prototype._getCapture = function () {
+  if (!this.sync) return null
+  if (this._captureMin !== Infinity) this._captureStart = this._captureMin
+  this._captureMin = Infinity
+
+  var offset = this._channelManager.clockOffset
+  if (this._captureStart === null || offset === null) return null
+  return {
+    timestamp: this._mediaTimestamp,
+    time: this._captureStart + this._mediaTimestamp * 1000 / this.sampleRate + offset
+  }
+}
+
+/**
+ * Announce the stream configuration (TYPE_CONFIG packet)
+ */
+AudioBroadcaster.prototype._sendConfig = function () {
+  var config = this._getConfig()
+  var header = {
+    type: Packet.TYPE_CONFIG,
+    codec: config.codec,
+    epoch: this._epoch,
+    seq: this._configSeq,
+    timestamp: this._mediaTimestamp
+  }
+  this._configSeq = (this._configSeq + 1) >>> 0
+
+  if (this._signingKey) {
+    this._sendSealed(header, Packet.encodeConfig(config), true)
+    return
+  }
+  this._send(Packet.encode(header, Packet.encodeConfig(config)).buffer, true)
+}
+
+/**
+ * Broadcast a frame to all downstream peers (or, below the root, send it
+ * up to the root once admitted)
+ *
+ * @param {ArrayBuffer} buffer - Encoded payload
+ * @param {number} codec - Packet.CODEC_* id
+ * @param {number} timestamp - Media timestamp in samples
+ * @param {number} flags - Packet.FLAG_* bits (default: 0)
+ * @returns {number|null} Its sequence number, or null if it wasn't sent
+ */
+AudioBroadcaster.prototype._broadcastFrame = function (buffer, codec, timestamp, flags) {
+  var header = {
+    type: Packet.TYPE_AUDIO,
+    codec: codec,
+    flags: flags || 0,
+    epoch: this._epoch,
+    seq: this._seq,
+    timestamp: timestamp
+  }
+
+  // Not on the air yet: no sequence numbers used, so no loss once we are
+  if (!this._onAir()) {
+    this._markDropped(header, 'off air')
+    return null
+  }
+
+  // Never in the clear once a key was given, not even while it's imported
+  if (this.encrypted && !this._key) {
+    this._markDropped(header, 'no key')
+    return null
+  }
+
+  this._seq = (this._seq + 1) >>> 0
+  this._sendAudio(header, buffer)
+  return header.seq
+}
+
+/**
+ * Send an audio packet, sealed if there's a key or signing key
+ *
+ * @param {Object} header - Packet header fields
+ * @param {ArrayBuffer|Uint8Array} payload
+ */
+AudioBroadcaster.prototype._sendAudio = function (header, payload) {
+  if (this._key || this._signingKey) {
+    this._sendSealed(header, payload, false)
+    return
+  }
+  if (!this._send(Packet.encode(header, payload).buffer, false)) this._markDropped(header, 'not sent')
+}
+
+/**
+ * Encrypt a packet's payload with the current key (audio only), sign it
+ * with the signing key, then send it
+ *
+ * Sequence numbers are already assigned, so packets that finish out of
+ * order are put back in order by listeners like any other reordering.
+ *
+ * @param {Object} header - Packet header fields
+ * @param {ArrayBuffer|Uint8Array} payload
+ * @param {boolean} isConfig - Whether it's a config packet
+ */
+AudioBroadcaster.prototype._sendSealed = function (header, payload, isConfig) {
+  var self = this
+  var epoch = this._epoch
+  var key = isConfig ? null : this._key
+  var signingKey = this._signingKey
+
+  // The header is final before encryption, which authenticates it
+  if (key) header.flags |= Packet.FLAG_ENCRYPTED
+  if (signingKey) header.flags |= Packet.FLAG_SIGNED
+
+  var body = key ? E2ee.encrypt(key.cryptoKey, key.id, header, payload) : Promise.resolve(payload)
+  body.then(function (body) {
+    return signingKey
+      ? Signing.sign(signingKey.key, signingKey.id, header, body)
+      : Packet.encode(header, body)
+  }).then(function (frame) {
+    if (!self._started || self._epoch !== epoch) return
+    if (!self._send(frame.buffer, isConfig) && !isConfig) self._markDropped(header, 'not sent')
+  }).catch(function (err) {
+    console.warn('[audio] Failed to ' + (key ? 'encrypt' : 'sign') + ' packet:', err)
+  })
+}
+
+/**
+ * Encrypt audio from now on with this key (see src/e2ee.js)
+ *
+ * Listeners need the key under the same id before it's used; switching ids
+ * is how a rotation reaches them. Once encrypting, a broadcaster never
+ * sends audio in the clear.
+ *
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} key - AES-GCM key, or 16, 24 or 32 raw bytes
+ * @param {number} keyId - Id listeners know the key by, 0-255 (default: 0)
+ * @returns {Promise}
+ */
+AudioBroadcaster.prototype.setKey = function (key, keyId) {
+  var self = this
+  var id = (keyId || 0) & 0xff
+  this.encrypted = true
+
+  if (!E2ee.isSupported()) {
+    return Promise.reject(new Error('Encryption needs WebCrypto (a secure context)'))
+  }
+
+  return E2ee.importKey(key).then(function (cryptoKey) {
+    self._key = { id: id, cryptoKey: cryptoKey }
+    self._keyError = null
+
+    // Talkback comes encrypted with the same keys
+    if (self._talkback) return self._talkback.addKey(id, cryptoKey)
+  })
+}
+
+/**
+ * Whether audio frames may go out (configs always do)
+ */
+AudioBroadcaster.prototype._onAir = function () {
+  return !this.contributing || this.admission === 'admitted'
+}
+
+/**
+ * Send a packet down the tree, or up to the root as a contributor
+ *
+ * @param {ArrayBuffer} data - Packet
+ * @param {boolean} isConfig - Whether it's a config packet
+ * @returns {boolean} Whether it went out everywhere it should have (audio only)
+ */
+AudioBroadcaster.prototype._send = function (data, isConfig) {
+  if (this.contributing) return this._channelManager.contribute(data)
+  if (isConfig) {
+    this._channelManager.broadcastConfig(data)
+    return true
+  }
+  return this._channelManager.broadcast(data) === 0
+}
+
+// ─── Speakers ───────────────────────────────────────────────────────────────
+
+/**
+ * Let a speaker below the root be heard (root only)
+ *
+ * @param {string} streamId - The speaker's stream id
+ */
+AudioBroadcaster.prototype.admit = function (streamId) {
+  this._channelManager.admit(streamId)
+}
+
+/**
+ * Refuse a speaker below the root, or take an admitted one off the air (root only)
+ *
+ * @param {string} streamId - The speaker's stream id
+ */
+AudioBroadcaster.prototype.deny = function (streamId) {
+  this._channelManager.deny(streamId)
+}
+
+/**
+ * Speakers below the root and where they stand (root only)
+ *
+ * @returns {Object[]} See AudioChannelManager#getSpeakers
+ */
+AudioBroadcaster.prototype.getSpeakers = function () {
+  return this._channelManager.getSpeakers()
+}
+
+// ─── Talkback ───────────────────────────────────────────────────────────────
+
+/**
+ * Listeners' talkback being played, one stream per sender (root only)
+ *
+ * @returns {Object[]} See AudioListener#getStreams
+ */
+AudioBroadcaster.prototype.getTalkback = function () {
+  return this._talkback ? this._talkback.getStreams() : []
+}
+
+/**
+ * Stop playing a sender's talkback, also if they send again later (root only)
+ *
+ * @param {string} streamId - The sender's stream id
+ */
+AudioBroadcaster.prototype.muteTalkback = function (streamId) {
+  this._talkbackGains[streamId] = 0
+  if (this._talkback) this._talkback.setGain(streamId, 0)
+}
+
+/**
+ * Play a muted sender's talkback again (root only)
+ *
+ * @param {string} streamId - The sender's stream id
+ */
+AudioBroadcaster.prototype.unmuteTalkback = function (streamId) {
+  this._talkbackGains[streamId] = 1
+  if (this._talkback) this._talkback.setGain(streamId, 1)
+}
+
+/**
+ * Play talkback with the channel manager's talkback player, which the
+ * first root broadcaster on it starts, so each sender plays once and there
+ * is one AudioContext for it however many broadcasters share the manager
+ */
+AudioBroadcaster.prototype._startTalkback = function () {
+  var self = this
+  var shared = talkbackPlayers.get(this._channelManager)
+  if (!shared) {
+    shared = {
+      player: new AudioListener(this.node, Object.assign({}, this._talkbackOptions, {
+        channelManager: this._channelManager,
+        talkback: true
+      })),
+      users: 0
+    }
+    talkbackPlayers.set(this._channelManager, shared)
+    shared.player.start().catch(function (err) {
+      console.warn('[audio] Failed to start talkback playback:', err)
+    })
+  }
+  shared.users++
+  this._talkback = shared.player
+
+  // Talkback comes encrypted with the same keys
+  if (this._key) {
+    this._talkback.addKey(this._key.id, this._key.cryptoKey).catch(function (err) {
+      console.warn('[audio] Failed to add talkback key:', err)
+    })
+  }
+  for (var streamId in this._talkbackGains) {
+    this._talkback.setGain(streamId, this._talkbackGains[streamId])
+  }
+
+  // Pass on the player's per-sender events
+  Object.keys(TALKBACK_EVENTS).forEach(function (name) {
+    self._talkbackHandlers[name] = function (streamId, arg) {
+      self.emit(TALKBACK_EVENTS[name], streamId, arg)
+    }
+    self._talkback.on(name, self._talkbackHandlers[name])
+  })
+}
+
+/**
+ * Let go of the talkback player; the last broadcaster using it stops it
+ */
+AudioBroadcaster.prototype._stopTalkback = function () {
+  if (!this._talkback) return
+
+  for (var name in this._talkbackHandlers) {
+    this._talkback.removeListener(name, this._talkbackHandlers[name])
+  }
+  this._talkbackHandlers = {}
+  this._talkback = null
+
+  var shared = talkbackPlayers.get(this._channelManager)
+  if (--shared.users > 0) return
+  talkbackPlayers.delete(this._channelManager)
+  shared.player.stop()
+}
+
+/**
+ * Follow the root's decisions about us, as a contributor
+ *
+ * @param {Object} decision - { streamId, state }
+ */
+AudioBroadcaster.prototype._onAdmission = function (decision) {
+  if (decision.streamId !== this.streamId || decision.state === this.admission) return
+
+  this.admission = decision.state
+  console.log('[audio] Admission:', decision.state)
+
+  // Announce the stream right away, so listeners know it before its audio
+  if (decision.state === 'admitted') this._sendConfig()
+
+  this.emit('admission', decision.state)
+}
+
+// ============================================================================
+// AudioTalkback
+// ============================================================================
+
+/**
+ * AudioTalkback - Push-to-talk return channel from a listener to the root
+ *
+ * Captures and encodes like AudioBroadcaster (same options), but sends on
+ * the `_talkback` channel: hop by hop up to the root, whose broadcaster
+ * plays it and never re-broadcasts it. The mic is open from start() to
+ * stop(); frames go out only between press() and release().
+ *
+ * On a node that also listens, pass the listener's channel manager.
+ *
+ * @param {Object} node - fireflower Node instance (not the root)
+ * @param {Object} opts - AudioBroadcaster options; streamId names the sender at the root
+ */
+function AudioTalkback (node, opts) {
+  if (!(this instanceof AudioTalkback)) return new AudioTalkback(node, opts)
+  AudioBroadcaster.call(this, node, Object.assign({}, opts, { talkback: false, simulcast: false }))
+
+  this.talking = false
+}
+
+/**
+ * Start sending (push-to-talk button down)
+ */
+AudioTalkback.prototype.press = function () {
+  if (this.talking) return
+  this.talking = true
+
+  // So the root knows who this is before the first frame
+  if (this._started) this._sendConfig()
+  this.emit('talking')
+}
+
+/**
+ * Stop sending (push-to-talk button up)
+ */
+AudioTalkback.prototype.release = function () {
+  if (!this.talking) return
+  this.talking = false
+  this.emit('released')
+}
+
+AudioTalkback.prototype.stop = function () {
+  this.talking = false
+  AudioBroadcaster.prototype.stop.call(this)
+}
+
+// Nothing to hear from the tree: no admission, reports or talkback of our own
+AudioTalkback.prototype._wireChannelManager = function () {}
+
+AudioTalkback.prototype._onAir = function () {
+  return this.talking
+}
+
+AudioTalkback.prototype._send = function (data) {
+  return this._channelManager.talkback(data)
+}
+
+// ============================================================================
+// AudioListener
+// ============================================================================
+
+/**
+ * AudioListener - Receives and plays audio from the tree
+ *
+ * Any number of broadcasters can be on the air at once. Each stream gets its
+ * own reorder buffer, decoder and jitter buffer, and playback mixes them with
+ * a gain per speaker (see setGain). Streams are named by the streamId in
+ * their config; one that stops sending ends after STREAM_TIMEOUT.
+ *
+ * @param {Object} node - fireflower Node instance
+ * @param {Object} opts - Configuration options
+ * @param {number} opts.jitterBuffer - Initial jitter buffer target in ms (default: 40)
+ * @param {number} opts.minJitterBuffer - Smallest jitter buffer target in ms (default: 20)
+ * @param {number} opts.maxJitterBuffer - Largest jitter buffer target in ms (default: 200)
+ * @param {number} opts.reorderDelay - Max wait for an out-of-order packet in ms (default: 20)
+ * @param {number} opts.outputChannels - Playback channels, limited by the output device (default: 2)
+ * @param {number} opts.speakingThreshold - Level (RMS) above which a speaker counts as speaking (default: 0.01)
+ * @param {string} opts.workletUrl - URL to playback-processor.js worklet
+ * @param {string} opts.engineUrl - URL to playback-engine.js (loaded into the worklet first)
+ * @param {string} opts.mixerUrl - URL to playback-mixer.js (loaded into the worklet second)
+ * @param {number} opts.timeShift - Minutes of history to keep for pause(), seek() and catchUp()
+ *   (default: 0, off)
+ * @param {number} opts.catchUpRate - Playback rate of catchUp(), up to 2 (default: 1.25)
+ * @param {boolean} opts.sync - Play in step with every other listener in sync mode: each frame
+ *   syncDelay after its capture, on the root's clock, or not at all (default: false; needs
+ *   broadcasters with opts.sync)
+ * @param {number} opts.syncDelay - Capture to playout in sync mode, in ms; above the network
+ *   delay to the deepest listener (default: 500)
+ * @param {AudioChannelManager} opts.channelManager - Channel manager to receive through, shared with
+ *   a broadcaster on the same node (default: a new one)
+ * @param {boolean} opts.talkback - Play the talkback reaching the root instead of the broadcast
+ *   (default: false; AudioBroadcaster does this itself)
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} opts.key - Key to decrypt encrypted streams with (see addKey)
+ * @param {number} opts.keyId - Its key id, 0-255 (default: 0)
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} opts.publicKey - Only play and relay packets signed with
+ *   this key (see AudioChannelManager#addPublicKey)
+ * @param {number} opts.publicKeyId - Its signing key id, 0-255 (default: 0)
+ */
+function AudioListener (node, opts) {
+  if (!(this instanceof AudioListener)) return new AudioListener(node, opts)
+  EventEmitter.call(this)
+
+  opts = opts || {}
+  this.node = node
+  this.jitterBuffer = opts.jitterBuffer || DEFAULT_JITTER_BUFFER
+  this.minJitterBuffer = opts.minJitterBuffer || DEFAULT_MIN_JITTER_BUFFER
+  this.maxJitterBuffer = opts.maxJitterBuffer || DEFAULT_MAX_JITTER_BUFFER
+  this.workletUrl = opts.workletUrl || DEFAULT_PLAYBACK_WORKLET
+  this.engineUrl = opts.engineUrl || DEFAULT_PLAYBACK_ENGINE
+  this.mixerUrl = opts.mixerUrl || DEFAULT_PLAYBACK_MIXER
+  this.reorderDelay = opts.reorderDelay != null ? opts.reorderDelay : DEFAULT_REORDER_DELAY
+  this.outputChannels = opts.outputChannels || DEFAULT_OUTPUT_CHANNELS
+  this.speakingThreshold = opts.speakingThreshold || DEFAULT_SPEAKING_THRESHOLD
+  this.talkback = opts.talkback || false
+
+  this._channelManager = opts.channelManager || new AudioChannelManager(node, { relay: true })
+  this._ownsChannelManager = !opts.channelManager
+  this._audioContext = null
+  this._workletNode = null
+  this._mixer = null // PlaybackMixer for the ScriptProcessorNode fallback
+  this._started = false
+  this._boundHandlers = {}
+  this._channels = 1 // Playback channels, once the output device is known
+
+  // Streams being played, by epoch (see _addStream)
+  this._streams = {}
+  this._streamTimer = null
+  this._gains = {} // Stream id -> gain, also for streams yet to come
+  this._playbackStats = {} // Epoch -> stats reported by the worklet
+  this._endedStats = emptyStreamStats() // Counts of streams that have ended
+
+  if (opts.publicKey) addPublicKey(this._channelManager, opts)
+
+  // Decryption keys, by key id (see addKey)
+  this._keys = {} // Key id -> Promise<CryptoKey>
+  if (opts.key) {
+    this.addKey(opts.keyId || 0, opts.key).catch(function (err) {
+      console.warn('[audio] Failed to import key:', err)
+    })
+  }
+
+  // A configured decoder, ready for the next new stream (see _takeDecoder)
+  this._decoder = null
+  this._decoderPending = false
+
+  // Quality report for the broadcaster (see _sendReport)
+  this._reportTimer = null
+  this._reportBase = null // Stats at the last report
+
+  // Latency events (see getLatency)
+  this._latencyTimer = null
+
+  // Stream configuration, as last announced by any broadcaster
+  this.streamConfig = null
+  this._sampleRate = DEFAULT_SAMPLE_RATE // Rate to play at (until announced otherwise)
+  this._playbackRate = null // Rate the playback graph was built for
+  this._reconfiguring = false
+
+  // Our upstream link: 'server' or 'p2p' (see _onTransport)
+  this.transport = null
+
+  // Time shift: what was played, to go back into (see pause, seek)
+  this.timeShift = opts.timeShift || 0
+  this.catchUpRate = opts.catchUpRate || DEFAULT_CATCH_UP_RATE
+  this._history = this.timeShift > 0 ? new History({ duration: this.timeShift * 60000 }) : null
+  this._shift = null // While behind live (see _enterShift)
+
+  // Sync mode: frames play at capture time plus syncDelay (see _dueTime)
+  this.sync = opts.sync || false
+  this.syncDelay = opts.syncDelay || DEFAULT_SYNC_DELAY
+  if (this.sync) this._channelManager.syncClock()
+}
+
+/**
+ * Start listening and playing audio
+ * @returns {Promise}
+ */
+AudioListener.prototype.start = async function () {
+  if (this._started) return
+  this._started = true
+
+  var self = this
+
+  // Start channel manager
+  this._channelManager.start()
+
+  // Audio context, playback worklet and decoder
+  await this._startPlayback()
+
+  // Handle incoming audio (talkback has its own events)
+  var prefix = this.talkback ? 'talkback:' : ''
+  this._boundHandlers.audio = function (data, fromPeer, packet) {
+    self._onAudioData(data, packet)
+  }
+  this._channelManager.on(prefix + 'audio', this._boundHandlers.audio)
+
+  this._boundHandlers.config = function (data, fromPeer, packet) {
+    self._onConfig(packet)
+  }
+  this._channelManager.on(prefix + 'config', this._boundHandlers.config)
+
+  // End streams whose broadcaster went away
+  this._streamTimer = setInterval(function () {
+    self._checkStreams()
+  }, STREAM_TIMEOUT / 3)
+
+  // The rest is about the broadcast
+  if (this.talkback) return
+
+  // Tell the broadcaster how we're doing, every few seconds
+  this._reportBase = null
+  this._reportTimer = setInterval(function () {
+    self._sendReport()
+  }, REPORT_INTERVAL)
+
+  this._latencyTimer = setInterval(function () {
+    var latency = self.getLatency()
+    if (latency) self.emit('latency', latency)
+  }, LATENCY_INTERVAL)
+
+  this._boundHandlers.drop = function (peer, stats) {
+    self.emit('drop', peer, stats)
+  }
+  this._channelManager.on('drop', this._boundHandlers.drop)
+
+  // Forged packets from upstream, dropped before they got here
+  this._boundHandlers.tamper = function (peer, info) {
+    self.emit('tamper', peer, info)
+  }
+  this._channelManager.on('tamper', this._boundHandlers.tamper)
+
+  this._boundHandlers.transport = function (transport, previous) {
+    self._onTransport(transport, previous)
+  }
+  this._channelManager.on('transport', this._boundHandlers.transport)
+  if (this._channelManager.transport) this._onTransport(this._channelManager.transport, null)
+}
+
+/**
+ * Create the audio context, playback path and decoder at the playback rate
+ */
+AudioListener.prototype._startPlayback = async function () {
+  var self = this
+  this._playbackRate = this._sampleRate
+
+  // Create audio context
+  this._audioContext = new AudioContext({ sampleRate: this._sampleRate })
+
+  // Resume audio context if suspended (browsers require user gesture)
+  if (this._audioContext.state === 'suspended') {
+    await this._audioContext.resume()
+  }
+
+  // Streams with a different channel count are up/downmixed to this
+  var maxChannels = this._audioContext.destination.maxChannelCount || 1
+  this._channels = Math.max(1, Math.min(this.outputChannels, maxChannels))
+
+  // Check for AudioWorklet support (Firefox mobile doesn't have it)
+  if (this._audioContext.audioWorklet) {
+    // Load playback engine and mixer, then the worklet that uses them
+    await this._audioContext.audioWorklet.addModule(this.engineUrl)
+    await this._audioContext.audioWorklet.addModule(this.mixerUrl)
+    await this._audioContext.audioWorklet.addModule(this.workletUrl)
+
+    // Create worklet node
+    this._workletNode = new AudioWorkletNode(this._audioContext, 'playback-processor', {
+      numberOfInputs: 0,
+      outputChannelCount: [this._channels],
+      processorOptions: {
+        channels: this._channels,
+        jitterBuffer: this.jitterBuffer,
+        minJitterBuffer: this._minJitterBuffer(),
+        maxJitterBuffer: this._maxJitterBuffer()
+      }
+    })
+
+    // Per stream levels and playback stats (underruns, concealment, buffer
+    // target) reported by the worklet
+    this._workletNode.port.onmessage = function (evt) {
+      if (evt.data.type === 'levels') {
+        self._onLevels(evt.data.levels)
+      } else if (evt.data.type === 'stats') {
+        self._playbackStats = evt.data.stats
+      }
+    }
+
+    // Connect to speakers
+    this._workletNode.connect(this._audioContext.destination)
+  } else {
+    // Fallback: ScriptProcessorNode for browsers without AudioWorklet
+    console.warn('[audio] AudioWorklet not supported, using ScriptProcessorNode fallback')
+    this._useScriptProcessor = true
+    this._setupScriptProcessorFallback()
+  }
+
+  // Gains of the streams we already know
+  for (var epoch in this._streams) {
+    this._applyGain(this._streams[epoch])
+  }
+
+  // Initialize decoder
+  this._decoder = await this._createDecoder()
+}
+
+/**
+ * Tear down the audio context, playback path and decoders
+ */
+AudioListener.prototype._stopPlayback = function () {
+  // A rebuild goes back to live (the history stays)
+  if (this._shift) {
+    this._endShift()
+    this.emit('timeshift', this.getTimeShift())
+  }
+
+  // Disconnect script processor if using fallback
+  if (this._scriptNode) {
+    this._scriptNode.disconnect()
+    this._scriptNode = null
+  }
+
+  // Close audio context
+  if (this._audioContext) {
+    this._audioContext.close()
+    this._audioContext = null
+  }
+
+  // Close decoders
+  if (this._decoder) {
+    this._decoder.close()
+    this._decoder = null
+  }
+  for (var epoch in this._streams) {
+    var stream = this._streams[epoch]
+    if (stream.decoder && stream.decoder._isOpus) stream.decoder.close()
+    stream.decoder = null
+    stream.pcmResampler = null
+    stream.lastTimestamp = null
+  }
+
+  this._workletNode = null
+  this._mixer = null
+  this._playbackStats = {}
+  this._useScriptProcessor = false
+  this._playbackRate = null
+}
+
+/**
+ * Setup ScriptProcessorNode fallback for browsers without AudioWorklet
+ */
+AudioListener.prototype._setupScriptProcessorFallback = function () {
+  var self = this
+
+  // Same jitter buffers, concealment and mixing as the worklet, run on the main thread
+  this._mixer = new PlaybackMixer({
+    sampleRate: this._audioContext.sampleRate,
+    channels: this._channels,
+    jitterBuffer: this.jitterBuffer,
+    minJitterBuffer: this._minJitterBuffer(),
+    maxJitterBuffer: this._maxJitterBuffer(),
+    blockSize: SCRIPT_PROCESSOR_BUFFER
+  })
+
+  // ScriptProcessorNode with 4096 buffer size
+  // Note: ScriptProcessorNode is deprecated but widely supported
+  this._scriptNode = this._audioContext.createScriptProcessor(SCRIPT_PROCESSOR_BUFFER, 0, this._channels)
+
+  this._scriptNode.onaudioprocess = function (evt) {
+    var outputs = []
+    for (var c = 0; c < evt.outputBuffer.numberOfChannels; c++) {
+      outputs.push(evt.outputBuffer.getChannelData(c))
+    }
+    self._mixer.render(outputs)
+    self._onLevels(self._mixer.takeLevels())
+  }
+
+  this._scriptNode.connect(this._audioContext.destination)
+}
+
+/**
+ * Stop listening
+ */
+AudioListener.prototype.stop = function () {
+  if (!this._started) return
+  this._started = false
+
+  // Stop channel manager (a shared one keeps running for the broadcaster)
+  if (this._ownsChannelManager) this._channelManager.stop()
+  var prefix = this.talkback ? 'talkback:' : ''
+  this._channelManager.removeListener(prefix + 'audio', this._boundHandlers.audio)
+  this._channelManager.removeListener(prefix + 'config', this._boundHandlers.config)
+  if (this._boundHandlers.drop) {
+    this._channelManager.removeListener('drop', this._boundHandlers.drop)
+    this._channelManager.removeListener('tamper', this._boundHandlers.tamper)
+    this._channelManager.removeListener('transport', this._boundHandlers.transport)
+  }
+  this._boundHandlers = {}
+
+  clearInterval(this._reportTimer)
+  this._reportTimer = null
+  clearInterval(this._latencyTimer)
+  this._latencyTimer = null
+  clearInterval(this._streamTimer)
+  this._streamTimer = null
+
+  if (this._shift) this._endShift()
+  if (this._history) this._history.clear()
+
+  for (var epoch in this._streams) {
+    this._removeStream(this._streams[epoch])
+  }
+
+  this._stopPlayback()
+}
+
+/**
+ * Follow our upstream link's transport: over the server transport, TCP
+ * stalls call for more buffering
+ *
+ * @param {string} transport - 'server' or 'p2p'
+ * @param {string|null} previous
+ */
+AudioListener.prototype._onTransport = function (transport, previous) {
+  this.transport = transport
+
+  var ms = this._minJitterBuffer()
+  if (this._mixer) {
+    this._mixer.setMinJitterBuffer(ms)
+  } else if (this._workletNode) {
+    this._workletNode.port.postMessage({ type: 'jitter', minJitterBuffer: ms })
+  }
+
+  this.emit('transport', transport, previous)
+}
+
+/**
+ * Smallest jitter buffer target for our upstream link, in ms
+ */
+AudioListener.prototype._minJitterBuffer = function () {
+  if (this.transport !== 'server') return this.minJitterBuffer
+  return Math.min(this.maxJitterBuffer, Math.max(this.minJitterBuffer, SERVER_MIN_JITTER_BUFFER))
+}
+
+/**
+ * Largest jitter buffer target, in ms: in sync mode, frames may wait up to
+ * the whole sync delay
+ */
+AudioListener.prototype._maxJitterBuffer = function () {
+  return this.sync ? Math.max(this.maxJitterBuffer, this.syncDelay) : this.maxJitterBuffer
+}
+
+// ─── Streams ────────────────────────────────────────────────────────────────
+
+/**
+ * Start tracking a stream, on its first packet
+ *
+ * @param {number} epoch - The stream's epoch
+ * @returns {Object} Stream state
+ */
+AudioListener.prototype._addStream = function (epoch) {
+  var self = this
+  var stream = {
+    epoch: epoch,
+    id: String(epoch), // Until its config names it
+    config: null,
+    sampleRate: this._sampleRate, // The stream's, as announced
+    time: Date.now(), // Last packet
+
+    // Restore packet order (the P2P channel is unordered) and detect loss
+    reorder: new ReorderBuffer({ maxDelay: this.reorderDelay }),
+    decoder: null,
+    pcmResampler: null, // Brings reduced-rate PCM up to the playback rate
+
+    // Last packet played, for concealing the frames after it
+    lastCodec: null,
+    lastTimestamp: null,
+    lastToc: null, // Opus TOC byte
+    frameSamples: 0, // At the playback rate
+    concealed: 0,
+    recovered: 0,
+    outOfSync: 0, // Frames too late to play in sync mode
+    warnedOpus: false,
+
+    // Encryption (see _decrypt)
+    keyId: null, // Key of the last packet decrypted
+    missingKeys: {}, // Key ids warned about
+    undecryptable: 0,
+
+    // Speaking indicator (see _onLevels)
+    level: 0,
+    speaking: false,
+    lastVoice: 0,
+
+    // Places its frames on the history's timeline (see _record)
+    historyAnchor: null, // { timestamp, time }
+
+    // When a recent frame was captured, on the root's clock (see _dueTime)
+    capture: null, // { timestamp, time }
+    network: null // Smoothed ms from a frame's last sample to us (see _trackNetwork)
+  }
+
+  stream.reorder.on('packet', function (packet) {
+    self._onPacket(stream, packet)
+  })
+  stream.reorder.on('lost', function (info) {
+    self._onLost(stream, info)
+    self.emit('loss', { stream: stream.id, seq: info.seq, count: info.count })
+  })
+  stream.reorder.on('reset', function () {
+    self._resetPlayback(stream)
+  })
+
+  this._streams[epoch] = stream
+  this._applyGain(stream)
+  return stream
+}
+
+/**
+ * Stop playing a stream and forget it
+ */
+AudioListener.prototype._removeStream = function (stream) {
+  if (this._streams[stream.epoch] !== stream) return
+  delete this._streams[stream.epoch]
+
+  // Keep its counts in the totals
+  var stats = this._streamStats(stream)
+  for (var key in this._endedStats) this._endedStats[key] += stats[key]
+
+  stream.reorder.destroy()
+  if (stream.decoder && stream.decoder._isOpus) stream.decoder.close()
+  stream.decoder = null
+
+  if (this._mixer) {
+    this._mixer.remove(stream.epoch)
+  } else if (this._workletNode) {
+    this._workletNode.port.postMessage({ type: 'remove', stream: stream.epoch })
+  }
+  delete this._playbackStats[stream.epoch]
+
+  if (stream.speaking) this.emit('silent', stream.id)
+  if (stream.config) this.emit('stream:end', stream.id)
+}
+
+/**
+ * End streams that haven't sent anything (not even a config) for a while
+ */
+AudioListener.prototype._checkStreams = function () {
+  var now = Date.now()
+  for (var epoch in this._streams) {
+    var stream = this._streams[epoch]
+    if (now - stream.time > STREAM_TIMEOUT) this._removeStream(stream)
+  }
+}
+
+/**
+ * Set the playback gain of a speaker
+ *
+ * Applies to the speaker's stream now and whenever it comes back (e.g. after
+ * the broadcaster restarts).
+ *
+ * @param {string} streamId - The stream's id, as announced in its config
+ * @param {number} gain - Linear gain (1: as received, 0: muted)
+ */
+AudioListener.prototype.setGain = function (streamId, gain) {
+  this._gains[streamId] = gain
+  for (var epoch in this._streams) {
+    if (this._streams[epoch].id === streamId) this._applyGain(this._streams[epoch])
+  }
+
+  var replayed = this._shift ? this._shift.streams : {}
+  for (epoch in replayed) {
+    if (replayed[epoch].id === streamId) this._applyGain(replayed[epoch])
+  }
+}
+
+/**
+ * @param {string} streamId - The stream's id
+ * @returns {number} The speaker's playback gain
+ */
+AudioListener.prototype.getGain = function (streamId) {
+  return this._gains[streamId] != null ? this._gains[streamId] : 1
+}
+
+/**
+ * Hand a stream's gain to the mixer
+ */
+AudioListener.prototype._applyGain = function (stream) {
+  // Live streams are muted while the history plays instead
+  var gain = this._shift && !stream.replay ? 0 : this.getGain(stream.id)
+  if (this._mixer) {
+    this._mixer.setGain(stream.epoch, gain)
+  } else if (this._workletNode) {
+    this._workletNode.port.postMessage({ type: 'gain', stream: stream.epoch, gain: gain })
+  }
+}
+
+/**
+ * Streams being played
+ *
+ * @returns {Object[]} Per stream: id, config (null until announced), gain,
+ *   level (RMS, 0-1), speaking, synced (played in sync mode), latency (as
+ *   in getLatency) and stats (as in getStats)
+ */
+AudioListener.prototype.getStreams = function () {
+  var streams = []
+  for (var epoch in this._streams) {
+    var stream = this._streams[epoch]
+    streams.push({
+      id: stream.id,
+      config: stream.config,
+      gain: this.getGain(stream.id),
+      level: stream.level,
+      speaking: stream.speaking,
+      synced: this._isSynced(stream),
+      latency: this._streamLatency(stream),
+      stats: this._streamStats(stream)
+    })
+  }
+  return streams
+}
+
+/**
+ * Per stream levels from the mixer: emit `level`, and `speaking` / `silent`
+ * when a speaker crosses the threshold (with a hangover, so pauses between
+ * words don't count)
+ *
+ * While time-shifted, the levels are those of the history being played.
+ *
+ * @param {Object} levels - Mixer key (epoch) -> RMS level since the last call
+ */
+AudioListener.prototype._onLevels = function (levels) {
+  var now = Date.now()
+  for (var key in levels) {
+    var replayed = key.indexOf(SHIFT_KEY) === 0
+    if (replayed !== !!this._shift) continue
+
+    var stream = this._streams[replayed ? key.slice(SHIFT_KEY.length) : key]
+    if (!stream) continue
+
+    stream.level = levels[key]
+    this.emit('level', stream.id, stream.level)
+
+    if (stream.level >= this.speakingThreshold) {
+      stream.lastVoice = now
+      if (!stream.speaking) {
+        stream.speaking = true
+        this.emit('speaking', stream.id)
+      }
+    } else if (stream.speaking && now - stream.lastVoice > SPEAKING_HANGOVER) {
+      stream.speaking = false
+      this.emit('silent', stream.id)
+    }
+  }
+}
+
+// ─── Decoding ───────────────────────────────────────────────────────────────
+
+/**
+ * Create Opus decoder (WebCodecs, opus-decoder library, or PCM fallback)
+ *
+ * Decodes at the playback rate whatever rate the stream was encoded at
+ * (libopus can). Output goes to the stream in `decoder._stream`.
+ */
+AudioListener.prototype._createDecoder = async function () {
+  var self = this
+
+  // Try WebCodecs first (best performance)
+  if (typeof AudioDecoder !== 'undefined') {
+    try {
+      var decoder = new AudioDecoder({
+        output: function (audioData) {
+          self._onDecodedAudio(decoder._stream, audioData)
+        },
+        error: function (err) {
+          console.error('AudioDecoder error:', err)
+        }
+      })
+
+      // libopus mixes mono and stereo streams to the configured channels
+      await decoder.configure({
+        codec: 'opus',
+        sampleRate: this._playbackRate,
+        numberOfChannels: Math.min(this._channels, 2)
+      })
+
+      console.log('[audio] Using WebCodecs AudioDecoder')
+      decoder._isOpus = true
+      decoder._stream = null
+      return decoder
+    } catch (err) {
+      console.warn('WebCodecs Opus not supported:', err)
+    }
+  }
+
+  // Fallback to opus-decoder library (WASM)
+  try {
+    var OpusDecoder = OpusDecoderLib.OpusDecoder
+    var wasmDecoder = new OpusDecoder({
+      sampleRate: this._playbackRate,
+      channels: Math.min(this._channels, 2)
+    })
+    await wasmDecoder.ready
+
+    console.log('[audio] Using opus-decoder WASM fallback')
+    var fallback = {
+      _isOpus: true,
+      _wasmDecoder: wasmDecoder,
+      _stream: null,
+      decode: function (chunk) {
+        // Get the Opus frame data
+        var opusData = new Uint8Array(chunk.byteLength)
+        chunk.copyTo ? chunk.copyTo(opusData) : (opusData = new Uint8Array(chunk.data))
+
+        // Decode with opus-decoder
+        var result = wasmDecoder.decodeFrame(opusData)
+        if (result && result.samplesDecoded > 0 && fallback._stream) {
+          // result.channelData is array of Float32Arrays
+          self._sendToWorklet(fallback._stream, result.channelData)
+        }
+      },
+      close: function () {
+        wasmDecoder.free()
+      }
+    }
+    return fallback
+  } catch (err) {
+    console.warn('opus-decoder WASM fallback failed:', err)
+  }
+
+  // PCM-only fallback (no Opus support)
+  console.warn('[audio] No Opus decoder available, PCM only')
+  return {
+    _isOpus: false,
+    decode: function () {},
+    close: function () {}
+  }
+}
+
+/**
+ * Give a stream the ready decoder, and start preparing the next one
+ *
+ * Opus decoders keep per-stream state, so every stream needs its own.
+ * Having one ready means a new speaker's first frames aren't lost to
+ * decoder setup.
+ *
+ * @returns {Object|null} The stream's decoder, or null while none is ready
+ */
+AudioListener.prototype._takeDecoder = function (stream) {
+  var decoder = this._decoder
+  if (!decoder) return null
+
+  // The PCM-only placeholder has no state to keep apart
+  if (!decoder._isOpus) {
+    stream.decoder = decoder
+    return decoder
+  }
+
+  decoder._stream = stream
+  stream.decoder = decoder
+  this._decoder = null
+  this._prepareDecoder()
+  return decoder
+}
+
+/**
+ * Create the next ready decoder in the background
+ */
+AudioListener.prototype._prepareDecoder = async function () {
+  if (this._decoderPending) return
+  this._decoderPending = true
+
+  var rate = this._playbackRate
+  var decoder = await this._createDecoder()
+  this._decoderPending = false
+
+  // Stopped or rebuilt meanwhile (a rebuild makes its own)
+  if (!this._started || this._reconfiguring || this._playbackRate !== rate || this._decoder) {
+    decoder.close()
+    return
+  }
+  this._decoder = decoder
+}
+
+/**
+ * Handle incoming audio data
+ *
+ * @param {ArrayBuffer} data - Raw packet
+ * @param {Object} packet - Parsed header, if the channel manager already has it
+ */
+AudioListener.prototype._onAudioData = function (data, packet) {
+  packet = packet || Packet.decode(data)
+  if (!packet || packet.type !== Packet.TYPE_AUDIO) return
+
+  // Nothing to decode into while the playback path is rebuilt
+  if (!this._started || this._reconfiguring) return
+
+  var stream = this._streams[packet.epoch] || this._addStream(packet.epoch)
+  stream.time = Date.now()
+
+  if (packet.flags & Packet.FLAG_ENCRYPTED) {
+    this._decrypt(stream, packet)
+    return
+  }
+  stream.reorder.push(packet)
+}
+
+// ─── Decryption ─────────────────────────────────────────────────────────────
+
+/**
+ * Add a key to decrypt streams with (see AudioBroadcaster#setKey)
+ *
+ * Packets name their key id, so when a broadcaster rotates keys the
+ * listener follows as soon as it has the new one. Add it ahead of the switch.
+ *
+ * @param {number} keyId - 0-255
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} key - AES-GCM key, or 16, 24 or 32 raw bytes
+ * @returns {Promise}
+ */
+AudioListener.prototype.addKey = function (keyId, key) {
+  var self = this
+  var id = keyId & 0xff
+
+  if (!E2ee.isSupported()) {
+    return Promise.reject(new Error('Decryption needs WebCrypto (a secure context)'))
+  }
+
+  var imported = this._keys[id] = E2ee.importKey(key)
+  return imported.then(function () {
+    // Streams that were missing it can warn again if it goes
+    for (var epoch in self._streams) delete self._streams[epoch].missingKeys[id]
+  }, function (err) {
+    if (self._keys[id] === imported) delete self._keys[id]
+    throw err
+  })
+}
+
+/**
+ * Forget a key, e.g. once every stream has moved on from it
+ *
+ * @param {number} keyId
+ */
+AudioListener.prototype.removeKey = function (keyId) {
+  delete this._keys[keyId & 0xff]
+}
+
+/**
+ * Decrypt an encrypted packet, then handle it like any other
+ *
+ * Packets without a matching key, or that fail to authenticate, are
+ * dropped; the reorder buffer then counts them as lost.
+ */
+AudioListener.prototype._decrypt = function (stream, packet) {
+  var self = this
+  var keyId = E2ee.keyId(packet.payload)
+  var key = this._keys[keyId]
+
+  if (!key) {
+    if (keyId !== null && !stream.missingKeys[keyId]) {
+      stream.missingKeys[keyId] = true
+      console.warn('[audio] No key for key id', keyId)
+      this.emit('key:missing', stream.id, keyId)
+    }
+    return
+  }
+
+  key.then(function (cryptoKey) {
+    return E2ee.decrypt(cryptoKey, packet)
+  }).then(function (payload) {
+    if (self._streams[stream.epoch] !== stream || self._reconfiguring) return
+
+    if (stream.keyId !== keyId) {
+      stream.keyId = keyId
+      self.emit('key', stream.id, keyId)
+    }
+
+    packet.payload = payload
+    packet.flags &= ~Packet.FLAG_ENCRYPTED
+    stream.reorder.push(packet)
+  }, function () {
+    stream.undecryptable++
+  })
+}
+
+/**
+ * Handle a stream config announcement
+ *
+ * Codec, channel and frame size changes need nothing here: every packet
+ * says its codec, decoders mix to our channel count, and concealment
+ * follows the decoded frame size. Playback runs at one rate for all
+ * streams: it follows a stream's new sample rate while that's the only
+ * stream, and other streams are converted to it.
+ */
+AudioListener.prototype._onConfig = function (packet) {
+  var config = Packet.decodeConfig(packet.payload)
+  if (!config) return
+
+  var stream = this._streams[packet.epoch] || this._addStream(packet.epoch)
+  stream.time = Date.now()
+
+  // The capture clock moves on with every announcement, so it's kept apart.
+  // Knowing the root's clock too gives the network time (see getLatency)
+  if (config.capture) {
+    stream.capture = config.capture
+    if (!this._channelManager.clock) this._channelManager.syncClock()
+  }
+  delete config.capture
+
+  // Announcements repeat; only report changes
+  var changed = JSON.stringify(config) !== JSON.stringify(stream.config)
+  var started = !stream.config
+  stream.config = config
+  stream.sampleRate = config.sampleRate
+  this.streamConfig = config
+
+  if (config.streamId && config.streamId !== stream.id) this._nameStream(stream, config.streamId)
+  if (started) this.emit('stream:start', stream.id, config)
+  if (changed) this.emit('config', config)
+
+  if (config.sampleRate !== this._sampleRate && Object.keys(this._streams).length === 1) {
+    console.log('[audio] Stream sample rate changed to', config.sampleRate)
+    this._sampleRate = config.sampleRate
+    this._reconfigure()
+  }
+}
+
+/**
+ * Give a stream the id its config announces
+ *
+ * A restarted broadcaster comes back under a new epoch with the same id;
+ * its old stream ends right away rather than timing out.
+ */
+AudioListener.prototype._nameStream = function (stream, id) {
+  for (var epoch in this._streams) {
+    var other = this._streams[epoch]
+    if (other !== stream && other.id === id) this._removeStream(other)
+  }
+
+  stream.id = id
+  this._applyGain(stream)
+}
+
+/**
+ * Rebuild the playback path and decoders for the current playback rate
+ */
+AudioListener.prototype._reconfigure = async function () {
+  // Already rebuilding: the loop below picks up the latest rate
+  if (this._reconfiguring) return
+  this._reconfiguring = true
+
+  try {
+    while (this._started && this._playbackRate !== this._sampleRate) {
+      this._stopPlayback()
+      await this._startPlayback()
+    }
+  } catch (err) {
+    console.warn('[audio] Failed to reconfigure playback:', err)
+  }
+
+  this._reconfiguring = false
+  if (!this._started) {
+    this._stopPlayback()
+    return
+  }
+
+  // Packets dropped during the rebuild aren't losses to conceal
+  for (var epoch in this._streams) {
+    this._streams[epoch].reorder.reset()
+  }
+}
+
+/**
+ * Decode and play one audio packet of a stream (called in sequence order)
+ */
+AudioListener.prototype._onPacket = function (stream, packet) {
+  var isOpus = packet.codec === Packet.CODEC_OPUS
+  var payload = packet.payload
+
+  // Redundant copies are only needed if the packets before went missing
+  if (packet.flags & Packet.FLAG_RED) {
+    var red = Packet.decodeRedundant(payload)
+    if (!red) return
+    payload = red.primary
+  }
+  if (payload.length < 1) return
+
+  stream.lastCodec = packet.codec
+  stream.lastTimestamp = packet.timestamp
+  if (isOpus) stream.lastToc = payload[0]
+  this._trackNetwork(stream, packet.timestamp)
+  this._record(stream, { codec: packet.codec, data: payload, timestamp: packet.timestamp })
+
+  if (isOpus) {
+    var decoder = stream.decoder || this._takeDecoder(stream)
+    if (!decoder) return // Next one still being set up
+
+    if (decoder._isOpus) {
+      this._decodeOpus(stream, payload, packet.timestamp)
+    } else {
+      // Can't decode Opus - drop frame and warn once
+      if (!stream.warnedOpus) {
+        stream.warnedOpus = true
+        console.warn('[audio] Received Opus audio but no decoder available. Audio will not play.')
+        this.emit('unsupported', { codec: 'opus', stream: stream.id })
+      }
+      return
+    }
+  } else if (Pcm.isPcm(packet.codec)) {
+    var samples = Pcm.decode(payload, packet.codec)
+    if (!samples) return
+    this._sendToWorklet(stream, this._resamplePcm(stream, samples, packet.codec),
+      this._playbackTimestamp(stream, packet.timestamp))
+  } else {
+    return
+  }
+
+  this.emit('audio', {
+    stream: stream.id,
+    isOpus: isOpus,
+    size: payload.length,
+    seq: packet.seq,
+    timestamp: packet.timestamp
+  })
+}
+
+/**
+ * Bring decoded PCM at a reduced or another stream's rate to the playback rate
+ *
+ * @param {Object} stream
+ * @param {Float32Array[]} samples - One array per channel, at the codec's rate
+ * @param {number} codec - Packet.CODEC_* id of the PCM family
+ * @returns {Float32Array[]} One array per channel, at the playback rate
+ */
+AudioListener.prototype._resamplePcm = function (stream, samples, codec) {
+  var rate = Pcm.sampleRate(codec, stream.sampleRate)
+  if (rate === this._playbackRate) return samples
+
+  var resampler = stream.pcmResampler
+  if (!resampler || resampler.inputRate !== rate || resampler.outputRate !== this._playbackRate ||
+      resampler.channels !== samples.length) {
+    resampler = stream.pcmResampler = new Resampler(rate, this._playbackRate, samples.length)
+  }
+  return resampler.process(samples)
+}
+
+/**
+ * Convert a stream's media timestamp to playback-rate samples
+ *
+ * The same value when the rates match (the usual case). Otherwise it is
+ * scaled, which jumps when the stream's timestamp wraps (about once a day).
+ */
+AudioListener.prototype._playbackTimestamp = function (stream, timestamp) {
+  if (stream.sampleRate === this._playbackRate) return timestamp
+  return Math.round(timestamp * this._playbackRate / stream.sampleRate) >>> 0
+}
+
+/**
+ * Decode one Opus frame and send it to playback
+ *
+ * @param {Object} stream
+ * @param {Uint8Array} data - Opus packet
+ * @param {number} timestamp - Media timestamp in samples at the stream rate
+ */
+AudioListener.prototype._decodeOpus = function (stream, data, timestamp) {
+  if (stream.decoder._wasmDecoder) {
+    // WASM opus-decoder path
+    try {
+      var result = stream.decoder._wasmDecoder.decodeFrame(data)
+      if (result && result.samplesDecoded > 0) {
+        this._sendToWorklet(stream, result.channelData, this._playbackTimestamp(stream, timestamp))
+      }
+    } catch (err) {
+      console.warn('[audio] WASM decode error:', err)
+    }
+  } else {
+    // WebCodecs path - timestamp from the packet header, in microseconds
+    var chunk = new EncodedAudioChunk({
+      type: 'key',
+      timestamp: Math.round(timestamp * 1000000 / stream.sampleRate),
+      data: data
+    })
+    stream.decoder.decode(chunk)
+  }
+}
+
+/**
+ * Recover or conceal frames the reorder buffer gave up on
+ *
+ * Frames the next packet carries redundant copies of are decoded from those.
+ * The rest are concealed: Opus by the decoder itself (PLC), PCM by waveform
+ * repetition in the playback engine.
+ */
+AudioListener.prototype._onLost = function (stream, info) {
+  var frameSamples = stream.frameSamples
+  var frameTicks = Math.round(frameSamples * stream.sampleRate / this._playbackRate) // At the stream rate
+  var timestamp = (stream.lastTimestamp + frameTicks) >>> 0
+  var concealable = 0
+
+  if (stream.lastTimestamp !== null && frameSamples) {
+    concealable = Math.min(info.count, MAX_CONCEALED_FRAMES)
+
+    // Don't conceal into a silent gap that follows the lost frames
+    if (info.before) {
+      var gap = Packet.seqDiff(info.before.timestamp, timestamp)
+      concealable = Math.max(0, Math.min(concealable, Math.floor(gap / frameTicks)))
+    }
+  }
+
+  // Redundant copies, by position in the gap
+  var copies = this._redundantCopies(stream, info)
+  var last = concealable
+  for (var key in copies) last = Math.max(last, Number(key) + 1)
+
+  for (var i = 0; i < last; i++) {
+    if (copies[i]) {
+      this._record(stream, { codec: Packet.CODEC_OPUS, data: copies[i].data, timestamp: copies[i].timestamp })
+      this._decodeOpus(stream, copies[i].data, copies[i].timestamp)
+      stream.recovered++
+    } else if (i < concealable) {
+      var lost = (timestamp + i * frameTicks) >>> 0
+      this._record(stream, { lost: true, timestamp: lost, length: frameSamples })
+      this._concealFrame(stream, lost, frameSamples)
+      stream.concealed++
+    }
+  }
+}
+
+/**
+ * Find redundant copies of lost frames in the packet that follows the gap
+ *
+ * @returns {Object} { index in gap: { data, timestamp } }
+ */
+AudioListener.prototype._redundantCopies = function (stream, info) {
+  var copies = {}
+  var next = info.before
+  if (!next || !(next.flags & Packet.FLAG_RED) || next.codec !== Packet.CODEC_OPUS) return copies
+  if (!stream.decoder || !stream.decoder._isOpus) return copies
+
+  var red = Packet.decodeRedundant(next.payload)
+  if (!red) return copies
+
+  red.blocks.forEach(function (block) {
+    var seq = (next.seq - block.seqOffset) >>> 0
+    var index = Packet.seqDiff(seq, info.seq)
+    if (index >= 0 && index < info.count) {
+      copies[index] = {
+        data: block.data,
+        timestamp: (next.timestamp - block.tsOffset) >>> 0
+      }
+    }
   })
+
+  return copies
+}
+
+/**
+ * Conceal one lost frame
+ *
+ * @param {Object} stream
+ * @param {number} timestamp - Media timestamp of the lost frame, at the stream rate
+ * @param {number} length - Frame length in samples, at the playback rate
+ */
+AudioListener.prototype._concealFrame = function (stream, timestamp, length) {
+  if (stream.lastCodec === Packet.CODEC_OPUS && stream.decoder && stream.decoder._isOpus) {
+    // A TOC-only packet (one zero-length frame) makes libopus run its PLC
+    // for one frame of the same mode and duration
+    this._decodeOpus(stream, new Uint8Array([stream.lastToc & 0xfc]), timestamp)
+  } else if (this._mixer) {
+    this._mixer.conceal(stream.epoch, length, this._playbackTimestamp(stream, timestamp))
+  } else if (this._workletNode) {
+    this._workletNode.port.postMessage({
+      type: 'conceal',
+      stream: stream.epoch,
+      length: length,
+      timestamp: this._playbackTimestamp(stream, timestamp)
+    })
+  }
+}
+
+// ─── Stats ──────────────────────────────────────────────────────────────────
+
+/**
+ * Get reception statistics, over all streams
+ * @returns {Object} Packet counts (received, lost, late, reordered, duplicates),
+ *   lost frames concealed or recovered from redundant copies, playback underruns,
+ *   the jitter buffer target and measured jitter in ms, and clock drift in ppm
+ *   (the largest of any stream for the last three)
+ */
+AudioListener.prototype.getStats = function () {
+  var stats = Object.assign({}, this._endedStats)
+  var playing = false
+  stats.jitterBuffer = 0
+  stats.jitter = 0
+  stats.drift = 0
+
+  for (var epoch in this._streams) {
+    var stream = this._streamStats(this._streams[epoch])
+    for (var key in this._endedStats) stats[key] += stream[key]
+    stats.jitterBuffer = Math.max(stats.jitterBuffer, stream.jitterBuffer)
+    stats.jitter = Math.max(stats.jitter, stream.jitter)
+    if (Math.abs(stream.drift) > Math.abs(stats.drift)) stats.drift = stream.drift
+    playing = true
+  }
+
+  if (!playing) stats.jitterBuffer = this.jitterBuffer
+  return stats
+}
+
+/**
+ * Reception statistics of one stream (see getStats)
+ */
+AudioListener.prototype._streamStats = function (stream) {
+  var stats = stream.reorder.stats
+  var playback = this._engineStats(stream)
+  return {
+    received: stats.received || 0,
+    lost: stats.lost || 0,
+    late: stats.late || 0,
+    reordered: stats.reordered || 0,
+    duplicates: stats.duplicates || 0,
+    concealed: stream.concealed,
+    recovered: stream.recovered,
+    undecryptable: stream.undecryptable,
+    outOfSync: stream.outOfSync,
+    underruns: playback.underruns || 0,
+    jitterBuffer: playback.targetMs || this.jitterBuffer,
+    jitter: playback.jitterMs || 0,
+    drift: playback.driftPpm || 0
+  }
 }
 
 /**
- * Setup ScriptProcessorNode fallback for browsers without AudioWorklet
+ * A stream's playback engine stats (see PlaybackEngine#getStats), as last
+ * reported by the worklet
  */
-AudioListener.prototype._setupScriptProcessorFallback = function () {
-  var self = this
-  var sampleRate = this._audioContext.sampleRate
-
-  // Ring buffer for jitter buffering
-  var bufferSize = sampleRate // 1 second max
-  this._ringBuffer = new Float32Array(bufferSize)
-  this._writeIndex = 0
-  this._readIndex = 0
-  this._bufferedSamples = 0
-  this._jitterBufferSamples = Math.floor(sampleRate * this.jitterBuffer / 1000)
-  this._buffering = true
-
-  // ScriptProcessorNode with 4096 buffer size
-  // Note: ScriptProcessorNode is deprecated but widely supported
-  this._scriptNode = this._audioContext.createScriptProcessor(SCRIPT_PROCESSOR_BUFFER, 0, 1)
+AudioListener.prototype._engineStats = function (stream) {
+  return (this._mixer ? this._mixer.getStats()[stream.epoch] : this._playbackStats[stream.epoch]) || {}
+}
 
-  this._scriptNode.onaudioprocess = function (evt) {
-    var output = evt.outputBuffer.getChannelData(0)
+/**
+ * Mouth-to-ear delay and its parts, in ms, for the stream that takes longest
+ *
+ * - capture: frame accumulation at the broadcaster (one frame; the mic's own
+ *   latency before its worklet isn't known)
+ * - network: from the end of a frame's capture to its leaving our reorder
+ *   buffer, on the root's clock. Null without the stream's capture times
+ *   (broadcasters with opts.sync) or before our clock is synced
+ * - jitterBuffer: audio buffered ahead of the playback position
+ * - output: the AudioContext's baseLatency and outputLatency (and the
+ *   ScriptProcessorNode's buffer, on the fallback)
+ * - total: their sum, or null while the network time isn't known
+ *
+ * @returns {Object|null} { capture, network, jitterBuffer, output, total },
+ *   or null with no streams (getStreams() has each stream's)
+ */
+AudioListener.prototype.getLatency = function () {
+  var latency = null
+  for (var epoch in this._streams) {
+    var stream = this._streamLatency(this._streams[epoch])
+    if (!latency || longer(stream, latency)) latency = stream
+  }
+  return latency
 
-    // Still buffering? Output silence
-    if (self._buffering) {
-      for (var i = 0; i < output.length; i++) {
-        output[i] = 0
-      }
-      return
-    }
+  // Known totals first
+  function longer (a, b) {
+    if (a.total === null || b.total === null) return b.total === null && a.total !== null
+    return a.total > b.total
+  }
+}
 
-    // Fill output from ring buffer
-    for (var j = 0; j < output.length; j++) {
-      if (self._bufferedSamples > 0) {
-        output[j] = self._ringBuffer[self._readIndex]
-        self._readIndex = (self._readIndex + 1) % bufferSize
-        self._bufferedSamples--
-      } else {
-        output[j] = 0
-      }
-    }
+/**
+ * Latency of one stream (see getLatency)
+ */
+AudioListener.prototype._streamLatency = function (stream) {
+  var latency = {
+    capture: this._frameMs(stream),
+    network: stream.network,
+    jitterBuffer: this._engineStats(stream).levelMs || 0,
+    output: this._outputLatency()
   }
+  latency.total = latency.network === null
+    ? null
+    : latency.capture + latency.network + latency.jitterBuffer + latency.output
+  return latency
+}
 
-  this._scriptNode.connect(this._audioContext.destination)
+/**
+ * Smooth a stream's network time with one packet's: now, less the end of
+ * its frame's capture (see getLatency)
+ *
+ * @param {Object} stream
+ * @param {number} timestamp - The packet's media timestamp, at the stream rate
+ */
+AudioListener.prototype._trackNetwork = function (stream, timestamp) {
+  var now = this._channelManager.rootTime()
+  if (!stream.capture || now === null) return
+
+  var since = Packet.seqDiff(timestamp, stream.capture.timestamp) * 1000 / stream.sampleRate
+  var network = now - (stream.capture.time + since) - this._frameMs(stream)
+  stream.network = stream.network === null
+    ? network
+    : stream.network + (network - stream.network) * LATENCY_SMOOTHING
 }
 
 /**
- * Enqueue samples for ScriptProcessorNode fallback
+ * A stream's frame duration in ms: announced, or as decoded
  */
-AudioListener.prototype._enqueueScriptProcessorSamples = function (samples) {
-  var bufferSize = this._ringBuffer.length
+AudioListener.prototype._frameMs = function (stream) {
+  if (stream.config) return stream.config.frameDuration / 1000
+  return stream.frameSamples ? stream.frameSamples * 1000 / this._playbackRate : DEFAULT_FRAME_SIZE
+}
 
-  for (var i = 0; i < samples.length; i++) {
-    this._ringBuffer[this._writeIndex] = samples[i]
-    this._writeIndex = (this._writeIndex + 1) % bufferSize
-    this._bufferedSamples++
+/**
+ * Delay from rendering a sample to hearing it, in ms
+ */
+AudioListener.prototype._outputLatency = function () {
+  var context = this._audioContext
+  if (!context) return 0
+  var latency = ((context.baseLatency || 0) + (context.outputLatency || 0)) * 1000
+  if (this._scriptNode) latency += SCRIPT_PROCESSOR_BUFFER * 1000 / context.sampleRate
+  return latency
+}
 
-    // Prevent overflow
-    if (this._bufferedSamples > bufferSize) {
-      this._readIndex = (this._readIndex + 1) % bufferSize
-      this._bufferedSamples--
-    }
+/**
+ * Hand our quality since the last report to the channel manager, which
+ * merges it with our subtree's and sends it upstream
+ */
+AudioListener.prototype._sendReport = function () {
+  var now = Date.now()
+  var stats = this.getStats()
+  var base = this._reportBase
+
+  // Rates over the interval (the first report covers the time since start)
+  var received = Math.max(0, stats.received - (base ? base.received : 0))
+  var lost = Math.max(0, stats.lost - (base ? base.lost : 0))
+  var underruns = Math.max(0, stats.underruns - (base ? base.underruns : 0))
+  var minutes = (now - (base ? base.time : now - REPORT_INTERVAL)) / 60000
+
+  this._channelManager.setReport(Report.fromListener({
+    loss: received + lost ? lost / (received + lost) : 0,
+    underruns: minutes > 0 ? underruns / minutes : 0,
+    jitterBuffer: stats.jitterBuffer,
+    decoder: this._decoderType()
+  }))
+
+  this._reportBase = {
+    received: stats.received,
+    lost: stats.lost,
+    underruns: stats.underruns,
+    time: now
   }
+}
 
-  // Stop buffering if we have enough
-  if (this._buffering && this._bufferedSamples >= this._jitterBufferSamples) {
-    this._buffering = false
+/**
+ * @returns {string} Opus decoder in use: 'webcodecs', 'wasm' or 'none' (PCM only)
+ */
+AudioListener.prototype._decoderType = function () {
+  var decoder = this._decoder
+  for (var epoch in this._streams) {
+    decoder = decoder || this._streams[epoch].decoder
   }
+  if (!decoder || !decoder._isOpus) return 'none'
+  return decoder._wasmDecoder ? 'wasm' : 'webcodecs'
 }
 
+// ─── Playback ───────────────────────────────────────────────────────────────
+
 /**
- * Stop listening
+ * Flush a stream's playback buffers (e.g. after a playback rebuild)
  */
-AudioListener.prototype.stop = function () {
-  if (!this._started) return
-  this._started = false
+AudioListener.prototype._resetPlayback = function (stream) {
+  stream.lastTimestamp = null
+  if (stream.pcmResampler) stream.pcmResampler.reset()
 
-  // Stop channel manager
-  this._channelManager.stop()
+  if (this._mixer) {
+    this._mixer.reset(stream.epoch)
+  } else if (this._workletNode) {
+    this._workletNode.port.postMessage({ type: 'reset', stream: stream.epoch })
+  }
+}
 
-  // Disconnect script processor if using fallback
-  if (this._scriptNode) {
-    this._scriptNode.disconnect()
-    this._scriptNode = null
+/**
+ * Handle decoded audio from WebCodecs
+ */
+AudioListener.prototype._onDecodedAudio = function (stream, audioData) {
+  // Decoded after its stream ended (or its replay did)
+  if (!stream || !this._isPlaying(stream)) {
+    audioData.close()
+    return
   }
 
-  // Close audio context
-  if (this._audioContext) {
-    this._audioContext.close()
-    this._audioContext = null
+  var samples = []
+  var timestamp = Math.round(audioData.timestamp * this._playbackRate / 1000000) >>> 0
+  for (var c = 0; c < audioData.numberOfChannels; c++) {
+    var plane = new Float32Array(audioData.numberOfFrames)
+    audioData.copyTo(plane, { planeIndex: c, format: 'f32-planar' })
+    samples.push(plane)
   }
+  audioData.close()
+  this._sendToWorklet(stream, samples, timestamp)
+}
 
-  // Close decoder
-  if (this._decoder) {
-    this._decoder.close()
-    this._decoder = null
+/**
+ * Send a stream's samples to the playback worklet (or fallback)
+ *
+ * @param {Object} stream
+ * @param {Float32Array[]} samples - One array per channel (mixed to the output by the engine)
+ * @param {number} timestamp - Media timestamp of the first sample (in samples at the playback rate)
+ */
+AudioListener.prototype._sendToWorklet = function (stream, samples, timestamp) {
+  stream.frameSamples = samples[0].length
+
+  // Replayed audio comes as fast as it's asked for, not as it arrived:
+  // there's no timing for the jitter buffer to follow
+  if (stream.replay) timestamp = null
+
+  // In sync mode, a frame too late to play with everyone else isn't played
+  var due = timestamp !== null ? this._dueTime(stream, timestamp) : null
+  if (due !== null && due < this._audioContext.currentTime) {
+    stream.outOfSync++
+    return
   }
 
-  this._workletNode = null
-  this._useScriptProcessor = false
+  if (this._mixer) {
+    // ScriptProcessorNode fallback - its render calls are too coarse a clock
+    // for jitter measurement, so time arrivals with the context instead
+    var now = this._audioContext.currentTime
+    this._mixer.enqueue(stream.epoch, samples, timestamp, now, due !== null ? due - now : null)
+  } else if (this._workletNode) {
+    // AudioWorklet path (planes may share a buffer, transfer each once)
+    var transfer = []
+    samples.forEach(function (plane) {
+      if (transfer.indexOf(plane.buffer) === -1) transfer.push(plane.buffer)
+    })
+    this._workletNode.port.postMessage({
+      type: 'samples',
+      stream: stream.epoch,
+      samples: samples,
+      timestamp: timestamp,
+      due: due
+    }, transfer)
+  }
 }
 
 /**
- * Create Opus decoder (WebCodecs, opus-decoder library, or PCM fallback)
+ * Whether a stream plays in sync mode: it announces its capture clock, and
+ * we know the root's
  */
-AudioListener.prototype._createDecoder = async function () {
-  var self = this
+AudioListener.prototype._isSynced = function (stream) {
+  return this.sync && !!stream.capture && this._channelManager.clockOffset !== null
+}
 
-  // Try WebCodecs first (best performance)
-  if (typeof AudioDecoder !== 'undefined') {
-    try {
-      var decoder = new AudioDecoder({
-        output: function (audioData) {
-          self._onDecodedAudio(audioData)
-        },
-        error: function (err) {
-          console.error('AudioDecoder error:', err)
-        }
-      })
+/**
+ * Sync mode: the context time a live frame is to be rendered at, for it to
+ * be heard syncDelay after its capture
+ *
+ * @param {Object} stream
+ * @param {number} timestamp - Media timestamp of the frame, at the playback rate
+ * @returns {number|null} In seconds, or null if the stream isn't synced
+ */
+AudioListener.prototype._dueTime = function (stream, timestamp) {
+  if (!this._isSynced(stream) || !this._audioContext) return null
 
-      await decoder.configure({
-        codec: 'opus',
-        sampleRate: DEFAULT_SAMPLE_RATE,
-        numberOfChannels: 1
-      })
+  var capture = stream.capture
+  var since = Packet.seqDiff(timestamp, this._playbackTimestamp(stream, capture.timestamp))
+  var heard = capture.time + since * 1000 / this._playbackRate + this.syncDelay
+  return this._contextTime(heard - this._channelManager.clockOffset)
+}
 
-      console.log('[audio] Using WebCodecs AudioDecoder')
-      decoder._isOpus = true
-      return decoder
-    } catch (err) {
-      console.warn('WebCodecs Opus not supported:', err)
-    }
+/**
+ * The context time of the samples heard at a time on our clock
+ *
+ * getOutputTimestamp() pairs what is being heard with the performance
+ * clock, output latency included; without it, the context's latency
+ * figures are the best guess.
+ *
+ * @param {number} time - In ms since the epoch
+ * @returns {number} In seconds
+ */
+AudioListener.prototype._contextTime = function (time) {
+  var context = this._audioContext
+  var wait = time - Date.now()
+  var stamp = context.getOutputTimestamp ? context.getOutputTimestamp() : null
+  if (stamp && stamp.performanceTime) {
+    return stamp.contextTime + (performance.now() + wait - stamp.performanceTime) / 1000
   }
+  return context.currentTime + wait / 1000 - (context.baseLatency || 0) - (context.outputLatency || 0)
+}
 
-  // Fallback to opus-decoder library (WASM)
-  try {
-    var OpusDecoder = OpusDecoderLib.OpusDecoder
-    var wasmDecoder = new OpusDecoder({
-      sampleRate: DEFAULT_SAMPLE_RATE,
-      channels: 1
-    })
-    await wasmDecoder.ready
+// ─── Time Shift ─────────────────────────────────────────────────────────────
 
-    console.log('[audio] Using opus-decoder WASM fallback')
-    return {
-      _isOpus: true,
-      _wasmDecoder: wasmDecoder,
-      decode: function (chunk) {
-        // Get the Opus frame data
-        var opusData = new Uint8Array(chunk.byteLength)
-        chunk.copyTo ? chunk.copyTo(opusData) : (opusData = new Uint8Array(chunk.data))
+/**
+ * Stop playing, and keep the broadcast in the history to come back to
+ * (see opts.timeShift)
+ */
+AudioListener.prototype.pause = function () {
+  this._requireHistory()
+  if (this._shift && this._shift.paused) return
 
-        // Decode with opus-decoder
-        var result = wasmDecoder.decodeFrame(opusData)
-        if (result && result.samplesDecoded > 0) {
-          // result.channelData is array of Float32Arrays
-          var samples = result.channelData[0]
-          self._sendToWorklet(samples)
-        }
-      },
-      close: function () {
-        wasmDecoder.free()
-      }
-    }
-  } catch (err) {
-    console.warn('opus-decoder WASM fallback failed:', err)
+  if (this._shift) {
+    this._haltShift()
+  } else {
+    this._enterShift(this._livePosition())
   }
+  this.emit('timeshift', this.getTimeShift())
+}
+
+/**
+ * Play on from where playback is in the history, in real time
+ */
+AudioListener.prototype.resume = function () {
+  this._requireHistory()
+  if (!this._shift || (!this._shift.paused && this._shift.rate === 1)) return
+
+  this._runShift(1)
+  this.emit('timeshift', this.getTimeShift())
+}
+
+/**
+ * Move playback back (or forward) in the history
+ *
+ * Playing, it plays on from there; paused, it stays paused. Seeking back
+ * from live starts playing the history; seeking forward to the live edge
+ * goes live.
+ *
+ * @param {number} offset - In ms, e.g. -30000 for 30s back
+ */
+AudioListener.prototype.seek = function (offset) {
+  this._requireHistory()
+  var live = this._livePosition()
+  var position = Math.min(live, (this._shift ? this._shiftPosition() : live) + offset)
+
+  if (!this._shift) {
+    if (position >= live) return
+    this._enterShift(position)
+    this._runShift(1)
+  } else if (position >= live && !this._shift.paused) {
+    this.goLive()
+    return
+  } else {
+    this._moveShift(position)
+  }
+  this.emit('timeshift', this.getTimeShift())
+}
+
+/**
+ * Play the history faster than real time, keeping the pitch, until it
+ * reaches live (then it goes live)
+ *
+ * @param {number} rate - Up to 2 (default: opts.catchUpRate)
+ */
+AudioListener.prototype.catchUp = function (rate) {
+  this._requireHistory()
+  if (!this._shift) return
+
+  this._runShift(Math.max(1, Math.min(2, rate || this.catchUpRate)))
+  this.emit('timeshift', this.getTimeShift())
+}
+
+/**
+ * Jump to the live edge: the live jitter buffer kept playing all along
+ * (muted), so it's heard right away
+ */
+AudioListener.prototype.goLive = function () {
+  if (!this._shift) return
+  this._endShift()
+  this.emit('timeshift', this.getTimeShift())
+}
+
+/**
+ * Where playback is
+ *
+ * @returns {Object} live (playing the broadcast as it comes), paused, rate,
+ *   delay (ms behind live) and available (ms of history to go back into)
+ */
+AudioListener.prototype.getTimeShift = function () {
+  var shift = this._shift
+  var live = this._livePosition()
+  var start = this._history ? this._history.start() : null
 
-  // PCM-only fallback (no Opus support)
-  console.warn('[audio] No Opus decoder available, PCM only')
   return {
-    _isOpus: false,
-    decode: function () {},
-    close: function () {}
+    live: !shift,
+    paused: shift ? shift.paused : false,
+    rate: shift ? shift.rate : 1,
+    delay: shift ? Math.max(0, Math.round(live - this._shiftPosition())) : 0,
+    available: start !== null ? Math.max(0, Math.round(live - start)) : 0
   }
 }
 
+AudioListener.prototype._requireHistory = function () {
+  if (!this._history) throw new Error('Time shift needs opts.timeShift (minutes of history to keep)')
+}
+
 /**
- * Handle incoming audio data
+ * Add a frame that went to playback to the history
+ *
+ * Frames are timed by their stream's media timestamps from an anchor: the
+ * earliest arrival so far, so replay is as smooth as the quickest packets
+ * were. A frame that comes far later than that (a stall, a restart) moves
+ * the anchor.
+ *
+ * @param {Object} stream
+ * @param {Object} entry - { codec, data, timestamp }, or { lost: true, timestamp, length }
  */
-AudioListener.prototype._onAudioData = function (data) {
-  var view = new Uint8Array(data)
-  if (view.length < 2) return
+AudioListener.prototype._record = function (stream, entry) {
+  if (!this._history) return
+
+  var now = Date.now()
+  var anchor = stream.historyAnchor
+  var time = anchor
+    ? anchor.time + Packet.seqDiff(entry.timestamp, anchor.timestamp) * 1000 / stream.sampleRate
+    : now
+
+  if (!anchor || time > now || time < now - HISTORY_REANCHOR) {
+    stream.historyAnchor = { timestamp: entry.timestamp, time: now }
+    time = now
+  }
 
-  var isOpus = view[0] === 0x01
-  var payload = view.slice(1)
+  entry.time = time
+  entry.epoch = stream.epoch
+  entry.id = stream.id
+  entry.sampleRate = stream.sampleRate
+  this._history.push(entry)
+}
 
-  if (isOpus) {
-    if (this._decoder && this._decoder._isOpus) {
-      if (this._decoder._wasmDecoder) {
-        // WASM opus-decoder path
-        try {
-          var result = this._decoder._wasmDecoder.decodeFrame(payload)
-          if (result && result.samplesDecoded > 0) {
-            var samples = result.channelData[0]
-            this._sendToWorklet(samples)
-          }
-        } catch (err) {
-          console.warn('[audio] WASM decode error:', err)
-        }
-      } else {
-        // WebCodecs path
-        var timestampMicros = this._frameCount * 20000
-        var chunk = new EncodedAudioChunk({
-          type: 'key',
-          timestamp: timestampMicros,
-          data: payload
-        })
-        this._decoder.decode(chunk)
-      }
-      this._frameCount++
-    } else {
-      // Can't decode Opus - drop frame and warn once
-      if (!this._warnedOpus) {
-        this._warnedOpus = true
-        console.warn('[audio] Received Opus audio but no decoder available. Audio will not play.')
-        this.emit('unsupported', { codec: 'opus' })
-      }
-      return
-    }
-  } else {
-    // PCM: convert Int16 back to Float32
-    var pcm = new Int16Array(payload.buffer, payload.byteOffset, payload.byteLength / 2)
-    var samples = new Float32Array(pcm.length)
-    for (var i = 0; i < pcm.length; i++) {
-      samples[i] = pcm[i] / (pcm[i] < 0 ? 0x8000 : 0x7FFF)
+/**
+ * History time being heard live: frames play a jitter buffer after they're due
+ */
+AudioListener.prototype._livePosition = function () {
+  return Date.now() - this.getStats().jitterBuffer
+}
+
+/**
+ * History time playback has reached (never before the oldest entry)
+ */
+AudioListener.prototype._shiftPosition = function () {
+  var shift = this._shift
+  var position = shift.position
+  if (!shift.paused) position += (Date.now() - shift.clock) * shift.rate
+
+  var start = this._history.start()
+  return start !== null ? Math.max(start, position) : position
+}
+
+/**
+ * Leave live playback, paused at a time in the history
+ *
+ * The live streams keep being decoded and buffered, muted, so going live
+ * again is instant.
+ *
+ * @param {number} position - History time
+ */
+AudioListener.prototype._enterShift = function (position) {
+  this._shift = {
+    paused: true,
+    rate: 1,
+    position: position,
+    clock: Date.now(),
+    index: 0, // Next history entry to play
+    timer: null,
+    streams: {} // Source epoch -> replayed stream (see _replayStream)
+  }
+  this._moveShift(position)
+
+  for (var epoch in this._streams) this._applyGain(this._streams[epoch])
+}
+
+/**
+ * Go to a time in the history, dropping what playback has buffered
+ */
+AudioListener.prototype._moveShift = function (position) {
+  var shift = this._shift
+  shift.position = position
+  shift.clock = Date.now()
+  shift.index = this._history.indexAt(this._shiftPosition())
+
+  for (var epoch in shift.streams) this._resetPlayback(shift.streams[epoch])
+}
+
+/**
+ * Play the history from where it is, at a rate
+ */
+AudioListener.prototype._runShift = function (rate) {
+  var self = this
+  var shift = this._shift
+
+  if (shift.paused) this._moveShift(shift.position)
+  shift.position = this._shiftPosition()
+  shift.clock = Date.now()
+  shift.paused = false
+  shift.rate = rate
+  for (var epoch in shift.streams) this._applyRate(shift.streams[epoch])
+
+  if (!shift.timer) {
+    shift.timer = setInterval(function () {
+      self._replayStep()
+    }, SHIFT_INTERVAL)
+  }
+}
+
+/**
+ * Pause the history where it is
+ */
+AudioListener.prototype._haltShift = function () {
+  var shift = this._shift
+  shift.position = this._shiftPosition()
+  shift.paused = true
+  clearInterval(shift.timer)
+  shift.timer = null
+
+  for (var epoch in shift.streams) this._resetPlayback(shift.streams[epoch])
+}
+
+/**
+ * Back to live: drop the replayed streams and unmute the live ones
+ */
+AudioListener.prototype._endShift = function () {
+  var shift = this._shift
+  clearInterval(shift.timer)
+  this._shift = null
+
+  for (var epoch in shift.streams) {
+    var stream = shift.streams[epoch]
+    if (stream.decoder && stream.decoder._isOpus) stream.decoder.close()
+    stream.decoder = null
+
+    if (this._mixer) {
+      this._mixer.remove(stream.epoch)
+    } else if (this._workletNode) {
+      this._workletNode.port.postMessage({ type: 'remove', stream: stream.epoch })
     }
-    this._sendToWorklet(samples)
   }
 
-  this.emit('audio', { isOpus: isOpus, size: payload.length })
+  for (epoch in this._streams) this._applyGain(this._streams[epoch])
 }
 
 /**
- * Handle decoded audio from WebCodecs
+ * Send the history up to the replay position (and a little ahead) to
+ * playback, or go live once it has caught up
  */
-AudioListener.prototype._onDecodedAudio = function (audioData) {
-  var samples = new Float32Array(audioData.numberOfFrames)
-  audioData.copyTo(samples, { planeIndex: 0 })
-  audioData.close()
-  this._sendToWorklet(samples)
+AudioListener.prototype._replayStep = function () {
+  var shift = this._shift
+  shift.position = this._shiftPosition()
+  shift.clock = Date.now()
+
+  if (shift.position >= this._livePosition()) {
+    this.goLive()
+    return
+  }
+
+  // Entries expired while paused: play on from the oldest
+  var history = this._history
+  if (shift.index < history.first) shift.index = history.first
+
+  var entry
+  while ((entry = history.get(shift.index)) && entry.time <= shift.position + SHIFT_LEAD) {
+    shift.index++
+    this._replay(entry)
+  }
+}
+
+/**
+ * Play one history entry, like _onPacket and _concealFrame do live
+ */
+AudioListener.prototype._replay = function (entry) {
+  var stream = this._replayStream(entry)
+  stream.sampleRate = entry.sampleRate
+
+  if (entry.lost) {
+    if (stream.lastCodec !== null) this._concealFrame(stream, entry.timestamp, entry.length)
+    return
+  }
+
+  stream.lastCodec = entry.codec
+  if (entry.codec === Packet.CODEC_OPUS) {
+    stream.lastToc = entry.data[0]
+    var decoder = stream.decoder || this._takeDecoder(stream)
+    if (decoder && decoder._isOpus) this._decodeOpus(stream, entry.data, entry.timestamp)
+  } else if (Pcm.isPcm(entry.codec)) {
+    var samples = Pcm.decode(entry.data, entry.codec)
+    if (samples) this._sendToWorklet(stream, this._resamplePcm(stream, samples, entry.codec), null)
+  }
+}
+
+/**
+ * Playback state of a stream in the history, apart from the live stream:
+ * its own decoder and mixer key (SHIFT_KEY + epoch)
+ */
+AudioListener.prototype._replayStream = function (entry) {
+  var streams = this._shift.streams
+  var stream = streams[entry.epoch]
+  if (stream) return stream
+
+  stream = streams[entry.epoch] = {
+    epoch: SHIFT_KEY + entry.epoch, // Mixer key
+    source: entry.epoch,
+    id: entry.id,
+    replay: true,
+    sampleRate: entry.sampleRate,
+    decoder: null,
+    pcmResampler: null,
+    lastCodec: null,
+    lastTimestamp: null,
+    lastToc: null,
+    frameSamples: 0
+  }
+  this._applyGain(stream)
+  this._applyRate(stream)
+  return stream
 }
 
 /**
- * Send samples to playback worklet (or fallback)
+ * Hand a replayed stream's rate to the mixer
  */
-AudioListener.prototype._sendToWorklet = function (samples) {
-  if (this._useScriptProcessor) {
-    // ScriptProcessorNode fallback
-    this._enqueueScriptProcessorSamples(samples)
+AudioListener.prototype._applyRate = function (stream) {
+  var rate = this._shift.rate
+  if (this._mixer) {
+    this._mixer.setRate(stream.epoch, rate)
   } else if (this._workletNode) {
-    // AudioWorklet path
-    this._workletNode.port.postMessage({
-      type: 'samples',
-      samples: samples
-    }, [samples.buffer])
+    this._workletNode.port.postMessage({ type: 'rate', stream: stream.epoch, rate: rate })
+  }
+}
+
+/**
+ * Whether a stream's decoded audio should still be played: it's live, or
+ * replayed while time-shifted
+ */
+AudioListener.prototype._isPlaying = function (stream) {
+  if (stream.replay) return !!this._shift && this._shift.streams[stream.source] === stream
+  return this._streams[stream.epoch] === stream
+}
+
+/**
+ * Have a channel manager check signatures against opts.publicKey
+ */
+function addPublicKey (channelManager, opts) {
+  channelManager.addPublicKey(opts.publicKeyId || 0, opts.publicKey).catch(function (err) {
+    console.warn('[audio] Failed to import public key:', err)
+  })
+}
+
+/**
+ * Counts of a stream that add up across streams (see getStats)
+ */
+function emptyStreamStats () {
+  return {
+    received: 0,
+    lost: 0,
+    late: 0,
+    reordered: 0,
+    duplicates: 0,
+    concealed: 0,
+    recovered: 0,
+    undecryptable: 0,
+    outOfSync: 0,
+    underruns: 0
   }
 }
@@ -0,0 +1,192 @@
+module.exports = Archive
+
+var FORMATS = {
+  wav: 'audio/wav',
+  flac: 'audio/flac'
+}
+
+/**
+ * Archive - Lossless recording of the broadcaster's processed mic, in a Web Worker
+ *
+ * The worker (src/worklets/archive-worker.js) writes WAV or FLAC from every
+ * captured frame. The capture worklet sends them to it directly, over the
+ * MessagePort from port(); with the ScriptProcessorNode fallback they come
+ * through write(). Either way nothing is encoded on the main thread.
+ *
+ * Chunks of the file come out as they're written (every `timeslice` ms, or
+ * once at the end), and end() puts them together with the final header.
+ *
+ * @param {Object} init - Settings and callbacks
+ * @param {string} init.format - 'wav' or 'flac'
+ * @param {number} init.sampleRate - Of the captured frames, in Hz
+ * @param {number} init.channels
+ * @param {number} init.bitDepth - 16 or 24
+ * @param {number} init.timeslice - Chunk interval in ms, or 0 for one chunk at the end
+ * @param {boolean} init.keepData - Keep the chunks for the Blob from end()
+ * @param {string} init.workerUrl - URL to archive-worker.js
+ * @param {Function} init.data - Called with each chunk (Uint8Array)
+ * @param {Function} init.marker - Called with each marker, once its range is over
+ * @param {Function} init.error - Called with errors once started
+ */
+function Archive (init) {
+  if (!(this instanceof Archive)) return new Archive(init)
+
+  this.format = FORMATS[init.format] ? init.format : 'wav'
+  this.mimeType = FORMATS[this.format]
+  this.sampleRate = init.sampleRate
+  this.channels = init.channels
+  this.bitDepth = init.bitDepth
+  this.timeslice = init.timeslice || 0
+  this.keepData = init.keepData !== false
+  this.workerUrl = init.workerUrl
+
+  this._data = init.data || function () {}
+  this._marker = init.marker || function () {}
+  this._error = init.error || function () {}
+  this._worker = null
+  this._chunks = []
+  this._ended = null // Settles end()
+}
+
+/**
+ * Whether this browser can run the archive at all
+ * @returns {boolean}
+ */
+Archive.isSupported = function () {
+  return typeof Worker !== 'undefined'
+}
+
+/**
+ * Start the worker
+ * @returns {Promise} Rejects if the worker can't be loaded or the settings are wrong
+ */
+Archive.prototype.start = function () {
+  var self = this
+  var worker = this._worker = new Worker(this.workerUrl)
+
+  return new Promise(function (resolve, reject) {
+    var ready = false
+
+    // Before 'ready', start() fails; while end() waits, it does; else it's reported
+    var fail = function (err) {
+      if (ready && !self._ended) return self._error(err)
+      self.close()
+      if (ready) self._ended.reject(err)
+      else reject(err)
+    }
+
+    worker.onmessage = function (evt) {
+      var msg = evt.data
+      if (msg.type === 'data') {
+        var chunk = new Uint8Array(msg.data)
+        if (self.keepData) self._chunks.push(chunk)
+        self._data(chunk)
+      } else if (msg.type === 'marker') {
+        self._marker(msg.marker)
+      } else if (msg.type === 'end') {
+        self._onEnd(msg)
+      } else if (msg.type === 'ready') {
+        ready = true
+        resolve()
+      } else if (msg.type === 'error') {
+        fail(new Error(msg.message))
+      }
+    }
+
+    // Script failed to load or threw outside a message
+    worker.onerror = function (evt) {
+      evt.preventDefault()
+      fail(new Error('Archive worker failed: ' + (evt.message || 'could not load ' + self.workerUrl)))
+    }
+
+    worker.postMessage({
+      type: 'init',
+      format: self.format,
+      sampleRate: self.sampleRate,
+      channels: self.channels,
+      bitDepth: self.bitDepth,
+      timeslice: self.timeslice
+    })
+  })
+}
+
+/**
+ * A port for the capture worklet to send its frames straight to the worker
+ *
+ * @returns {MessagePort} To transfer to the worklet
+ */
+Archive.prototype.port = function () {
+  var channel = new MessageChannel()
+  this._worker.postMessage({ type: 'port', port: channel.port2 }, [channel.port2])
+  return channel.port1
+}
+
+/**
+ * Archive one frame (ScriptProcessorNode fallback; planes are copied)
+ *
+ * @param {Float32Array[]} samples - One array per channel
+ * @param {number} timestamp - Media timestamp in samples
+ * @param {boolean} gated - Whether VAD kept it off the air
+ */
+Archive.prototype.write = function (samples, timestamp, gated) {
+  if (!this._worker) return
+  this._worker.postMessage({ type: 'frame', samples: samples, timestamp: timestamp, gated: gated })
+}
+
+/**
+ * Mark a frame the live stream didn't carry
+ *
+ * @param {number} timestamp - Media timestamp in samples
+ * @param {number} length - In samples
+ * @param {string} reason - Why
+ */
+Archive.prototype.markDropped = function (timestamp, length, reason) {
+  if (!this._worker) return
+  this._worker.postMessage({ type: 'mark', marker: 'dropped', reason: reason, timestamp: timestamp, length: length })
+}
+
+/**
+ * Finish the file
+ *
+ * @returns {Promise<Object>} { blob, markers }; blob is null without keepData.
+ *   Rejects if the worker fails first (and is stopped)
+ */
+Archive.prototype.end = function () {
+  var self = this
+  if (this._ended) return this._ended.promise
+  if (!this._worker) return Promise.resolve({ blob: null, markers: [] })
+
+  var ended = this._ended = {}
+  ended.promise = new Promise(function (resolve, reject) {
+    ended.resolve = resolve
+    ended.reject = reject
+  })
+  this._worker.postMessage({ type: 'end' })
+
+  return ended.promise.then(function (result) {
+    self.close()
+    return result
+  })
+}
+
+/**
+ * Put the file together once the worker is done
+ */
+Archive.prototype._onEnd = function (msg) {
+  var blob = null
+  if (this.keepData && this._chunks.length) {
+    var parts = [new Uint8Array(msg.header), this._chunks[0].subarray(msg.headerSize)]
+    blob = new Blob(parts.concat(this._chunks.slice(1), [new Uint8Array(msg.trailer)]), { type: this.mimeType })
+  }
+  this._chunks = []
+  this._ended.resolve({ blob: blob, markers: msg.markers })
+}
+
+/**
+ * Stop the worker (an unfinished file stays unfinished)
+ */
+Archive.prototype.close = function () {
+  if (!this._worker) return
+  this._worker.terminate()
+  this._worker = null
+}
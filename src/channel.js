@@ -2,21 +2,148 @@ module.exports = AudioChannelManager
 
 var EventEmitter = require('events').EventEmitter
 var inherits = require('inherits')
+var Packet = require('./packet')
+var Signing = require('./signing')
+var Report = require('./report')
 
 inherits(AudioChannelManager, EventEmitter)
 
-// Drop frames if channel buffer exceeds this (prevents latency buildup)
-var AUDIO_BACKPRESSURE_THRESHOLD = 200
+// Drop frames rather than queue more than about this much audio on a channel
+// (prevents latency buildup). In bytes that's a few of the peer's packets,
+// whatever the codec, and never less than the floor.
+var BACKPRESSURE_LATENCY = 60 // ms
+var SERVER_BACKPRESSURE_LATENCY = 150 // ms, room for a couple of bundles (see below)
+var MIN_BACKPRESSURE_THRESHOLD = 200 // bytes
+var DEFAULT_FRAME_DURATION = 20 // ms, until a config says otherwise
+
+// Remember this many recent sequence numbers to suppress duplicate relays
+var DUPLICATE_HISTORY = 64
+
+// Forget a stream after this long without a packet from it (broadcasters
+// announce their config every couple of seconds, even while silent)
+var STREAM_EXPIRY = 10000 // ms
+
+// With signatures, the epochs a restarted broadcaster left behind are
+// refused for this long, so their signed packets can't be replayed
+var RETIRED_EXPIRY = 600000 // ms
+
+// How often each node reports its subtree's reception upstream
+var FEEDBACK_INTERVAL = 1000 // ms
+
+// Forget a downstream peer's report after this long without a new one
+var FEEDBACK_EXPIRY = 3 * FEEDBACK_INTERVAL
+
+// Listener quality reports: how often they go upstream, and how long they count
+var REPORT_INTERVAL = 5000 // ms
+var REPORT_EXPIRY = 3 * REPORT_INTERVAL
+
+// Downstream peer congestion (see _onPeerWindow), judged over windows of
+// PEER_WINDOW packets: a window is congested when more than CONGESTED_DROP of
+// them were dropped or the smoothed buffer is past CONGESTED_BUFFER of the
+// threshold, and clean with no drops and the buffer under CLEAN_BUFFER of it.
+// A congested peer recovers after RECOVERY_WINDOWS clean windows in a row.
+var PEER_WINDOW = 50 // packets, about a second of one stream
+var CONGESTED_DROP = 0.05
+var CONGESTED_BUFFER = 0.5
+var CLEAN_BUFFER = 0.25
+var RECOVERY_WINDOWS = 3
+var SMOOTHING = 0.1 // Weight of each new sample in smoothed packet size and buffer
+
+// Simulcast layer choice per downstream peer (see _updateLayer): a peer goes
+// down to the low layer on a congested window, and back up after
+// LAYER_UP_HOLD of clean windows; the hold doubles (up to LAYER_MAX_HOLD)
+// each time that fails within a hold.
+var LAYER_UP_HOLD = 5000 // ms
+var LAYER_MAX_HOLD = 60000 // ms
+
+// Links over the server transport (WebSocket, so TCP underneath) stall, then
+// deliver everything at once. On such an upstream, frames arriving more than
+// STALE_AGE behind the stream's quickest ones (over the last one or two
+// STALE_WINDOWs) are skipped. To such a peer, packets go out in bundles of
+// up to BUNDLE_SIZE, held at most BUNDLE_DELAY.
+var STALE_AGE = 250 // ms
+var STALE_WINDOW = 5000 // ms
+var BUNDLE_SIZE = 4
+var BUNDLE_DELAY = 40 // ms
+
+// A layer more than this many packets behind the other is taken to be
+// missing here (our own upstream sends us only one), and the other stands
+// in. A peer misses about this many frames when our upstream switches us down.
+var LAYER_GAP = 2
+
+// Clock pings to our upstream (see syncClock). The offset is read from the
+// quickest of the last few, whose reply was held up least on either leg.
+var CLOCK_INTERVAL = 2000 // ms
+var CLOCK_SAMPLES = 8
 
 /**
  * AudioChannelManager - Manages _audio data channels on fireflower peers
  *
  * Creates unreliable/unordered data channels for low-latency audio on each peer.
  * Handles relay logic: forwards audio from upstream to all downstream peers.
+ * Several broadcasters' streams can share the tree; they are told apart by
+ * their epoch, and duplicate suppression and loss tracking are per stream.
+ * The latest config packet of each stream is kept and sent to every newly
+ * opened downstream channel, so late joiners don't wait for the next
+ * announcement.
+ *
+ * Every FEEDBACK_INTERVAL, the loss on our upstream link and the drops on our
+ * downstream links are merged with the reports of our downstream peers, sent
+ * upstream as a TYPE_FEEDBACK packet and emitted as `feedback`. At the root,
+ * that's the whole tree.
+ *
+ * Listener quality reports (src/report.js) work the same way every
+ * REPORT_INTERVAL: our own listener's (see setReport) plus our downstream
+ * peers' are merged, sent upstream as TYPE_REPORT and emitted as `report`.
+ *
+ * Broadcasters below the root contribute their stream upstream (see
+ * contribute). Each hop passes it on toward the root, which re-broadcasts
+ * it down the whole tree once the speaker is admitted (see admit / deny).
+ * A contributor's own stream coming back down is relayed on to its
+ * subtree but not emitted, so the node doesn't play itself.
+ *
+ * Talkback (see talkback) has its own `_talkback` channel per peer, with the
+ * same unreliable config. Its packets are passed from hop to hop up to the
+ * root and emitted there (`talkback:audio`, `talkback:config`), never
+ * relayed down.
+ *
+ * Once it has public keys (see addPublicKey), audio and config packets,
+ * from above or contributed from below, the root's admission decisions and
+ * talkback must carry a valid signature from one of them (src/signing.js),
+ * and be no replay (see _isReplay). Others are dropped before they are
+ * relayed or emitted, with a `tamper` event naming the peer they came from.
+ * Emitted packets have any signature trailer taken off their payload.
+ *
+ * Simulcast streams come in two layers (Packet.FLAG_LOW), both relayed on
+ * but only the first copy of each frame emitted. Each downstream peer gets
+ * one layer, the low one while its link can't keep up with the other (see
+ * _updateLayer); switches are emitted as `layer`.
+ *
+ * Each peer's _audio channel has its own send counts and backpressure
+ * threshold, sized from its packets and the stream's frame duration (see
+ * getPeerStats). Downstream peers whose link falls behind are reported as
+ * `peer:congested`, and as `peer:recovered` once it keeps up again.
+ *
+ * Links over fireflower's server transport are TCP underneath, whatever the
+ * channel options say (see transportOf). On such an upstream, frames held up
+ * by a stall are skipped rather than relayed and played late (see _isStale);
+ * to such a downstream peer, packets go out bundled. Our upstream's transport
+ * is `transport`, and changes are emitted as `transport`.
+ *
+ * For sync mode, nodes can keep an estimate of the root's clock (see
+ * syncClock): each pings its upstream, which answers with its own estimate,
+ * so the offset is passed down hop by hop. A node asked before it has one
+ * starts syncing itself.
  *
  * @param {Object} node - fireflower Node instance
  * @param {Object} opts - Options
  * @param {boolean} opts.relay - Whether to relay audio to downstream (default: true)
+ * @param {boolean} opts.feedback - Whether to collect and send reception feedback (default: true)
+ * @param {boolean} opts.reports - Whether to collect and send listener reports (default: true)
+ * @param {string} opts.admission - At the root: 'manual' (speakers wait for admit()) or 'open' (default: 'manual')
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} opts.publicKey - Only pass on audio signed with this key (see addPublicKey)
+ * @param {number} opts.publicKeyId - Its signing key id, 0-255 (default: 0)
+ * @param {boolean} opts.clock - Keep an estimate of the root's clock from the start (default: false)
  */
 function AudioChannelManager (node, opts) {
   if (!(this instanceof AudioChannelManager)) return new AudioChannelManager(node, opts)
@@ -25,8 +152,58 @@ function AudioChannelManager (node, opts) {
   opts = opts || {}
   this.node = node
   this.relay = opts.relay !== false
+  this.feedback = opts.feedback !== false
+  this.reports = opts.reports !== false
+  this.admission = opts.admission || 'manual'
   this._started = false
   this._boundHandlers = {}
+
+  // Per stream: duplicate suppression, loss tracking and the latest config
+  this._streams = {} // Epoch -> state (see _stream)
+  this._lastEpoch = null // Most recent stream heard, for upstream packet headers
+  this._frameDuration = DEFAULT_FRAME_DURATION // Latest config's, in ms (see _threshold)
+
+  // Our upstream link: 'server' or 'p2p' (see _checkTransport)
+  this.transport = null
+  this._bundleSeq = 0
+
+  // Keys packets must be signed with, if any (see _verify)
+  this._publicKeys = {} // Signing key id -> Promise<CryptoKey>
+  this._signingKey = null // { id, key }: the root's, for admission decisions
+  this._retired = {} // Epoch -> { streamId, time }: replaced by a newer one (see _isReplay)
+  this._lastAdmission = null // { epoch, seq } of the root's latest decision
+  if (opts.publicKey) {
+    this.addPublicKey(opts.publicKeyId || 0, opts.publicKey).catch(function (err) {
+      console.warn('[audio-channel] Failed to import public key:', err)
+    })
+  }
+
+  // Speakers below us, as the root sees them (see _onContribution)
+  this._speakers = {} // Stream id -> { state, config }
+  this._admissionEpoch = Packet.randomEpoch() // Tells our decisions from an earlier root's
+  this._admissionSeq = 0
+
+  // Reception feedback (see _onFeedbackTimer)
+  this._feedbackTimer = null
+  this._feedbackSeq = 0
+  this._reports = {} // Downstream peer id -> { report, time }
+  this._expected = 0 // Packets due from upstream this interval
+  this._received = 0
+  this._sent = 0 // Packets due to downstream peers this interval
+  this._dropped = 0
+
+  // Listener reports (see _onReportTimer)
+  this._reportTimer = null
+  this._reportSeq = 0
+  this._localReport = null // { report, time }
+  this._childReports = {} // Downstream peer id -> { report, time }
+
+  // The root's clock (see syncClock)
+  this.clock = opts.clock || false
+  this.clockOffset = null // Root's clock minus ours, in ms
+  this._clockTimer = null
+  this._clockSeq = 0
+  this._clockSamples = [] // Recent pings: { offset, rtt }
 }
 
 /**
@@ -65,20 +242,41 @@ AudioChannelManager.prototype.start = function () {
   }
   this.node.on('peerCreated', this._boundHandlers.peerCreated)
 
+  if (this.feedback) {
+    this._feedbackTimer = setInterval(function () {
+      self._onFeedbackTimer()
+    }, FEEDBACK_INTERVAL)
+  }
+
+  if (this.reports) {
+    this._reportTimer = setInterval(function () {
+      self._onReportTimer()
+    }, REPORT_INTERVAL)
+  }
+
+  if (this.clock) this._startClock()
+
   // Handle incoming custom channels (for upstream audio)
   this._boundHandlers.datachannel = function (peer, channel) {
     if (channel.label === '_audio') {
       self._wireIncomingAudioChannel(peer, channel)
+    } else if (channel.label === '_talkback') {
+      peer._talkback = channel
     }
   }
   this.node.on('datachannel', this._boundHandlers.datachannel)
 
   // Handle peer disconnections
   this._boundHandlers.peerdisconnect = function (peer) {
-    // Clean up _audio reference
+    // Clean up _audio and _talkback references
     if (peer._audio) {
       peer._audio = null
     }
+    peer._talkback = null
+    peer._layer = null
+    peer._verifying = null
+    if (peer._audioStats) clearTimeout(peer._audioStats.bundleTimer)
+    peer._audioStats = null
   }
   this.node.on('peerdisconnect', this._boundHandlers.peerdisconnect)
 }
@@ -104,6 +302,27 @@ AudioChannelManager.prototype.stop = function () {
     this.node.removeListener('peerdisconnect', this._boundHandlers.peerdisconnect)
   }
   this._boundHandlers = {}
+
+  clearInterval(this._feedbackTimer)
+  this._feedbackTimer = null
+  this._reports = {}
+
+  clearInterval(this._reportTimer)
+  this._reportTimer = null
+  this._localReport = null
+  this._childReports = {}
+
+  clearInterval(this._clockTimer)
+  this._clockTimer = null
+
+  // Nothing still queued for a bundle goes out after this
+  for (var id in this.node.downstream) {
+    var stats = this.node.downstream[id]._audioStats
+    if (!stats) continue
+    clearTimeout(stats.bundleTimer)
+    stats.bundleTimer = null
+    stats.bundle = []
+  }
 }
 
 /**
@@ -124,9 +343,13 @@ AudioChannelManager.prototype._wireUpstream = function (peer) {
       self._onAudioData(peer, evt.data)
     }
     console.log('[audio-channel] Wired upstream audio channel, state:', audioChannel.readyState)
+    this._checkTransport()
   } else {
     console.warn('[audio-channel] No audio channel found on upstream peer')
   }
+
+  // Only ever sent on, so nothing to wire
+  peer._talkback = peer._talkback || (peer._channels && peer._channels._talkback) || null
 }
 
 /**
@@ -139,6 +362,7 @@ AudioChannelManager.prototype._wireIncomingAudioChannel = function (peer, channe
   channel.onmessage = function (evt) {
     self._onAudioData(peer, evt.data)
   }
+  if (peer === this.node.upstream) this._checkTransport()
 }
 
 /**
@@ -155,11 +379,40 @@ AudioChannelManager.prototype._wireDownstream = function (peer) {
   })
 
   peer._audio.onopen = function () {
+    self._pruneStreams()
+    for (var epoch in self._streams) {
+      var config = self._streams[epoch].config
+      if (config) self._sendToPeer(peer, config)
+    }
     self.emit('channel:open', peer)
   }
 
+  // Coming back up: feedback, reports and contributions
+  peer._audio.onmessage = function (evt) {
+    self._onDownstreamData(peer, evt.data)
+  }
+
   peer._audio.onclose = function () {
+    if (peer._audioStats) clearTimeout(peer._audioStats.bundleTimer)
     peer._audio = null
+    peer._layer = null
+    peer._audioStats = null
+    delete self._reports[peer.id]
+    delete self._childReports[peer.id]
+  }
+
+  // Talkback from below, on its own channel so it can't be re-broadcast
+  peer._talkback = peer.createDataChannel('_talkback', {
+    ordered: false,
+    maxRetransmits: 0
+  })
+
+  peer._talkback.onmessage = function (evt) {
+    self._onTalkbackData(peer, evt.data)
+  }
+
+  peer._talkback.onclose = function () {
+    peer._talkback = null
   }
 }
 
@@ -168,48 +421,1237 @@ AudioChannelManager.prototype._wireDownstream = function (peer) {
  */
 AudioChannelManager.prototype._onAudioData = function (fromPeer, data) {
   console.log('[audio-channel] Received audio:', data.byteLength, 'bytes from', fromPeer.id?.slice(-8))
-  // Emit for local playback
-  this.emit('audio', data, fromPeer)
+
+  // Don't pass malformed or unknown-version packets down the tree
+  var packet = Packet.decode(data)
+  if (!packet) {
+    this.emit('invalid', fromPeer, data)
+    return
+  }
+
+  // Several packets in one, from a relay over the server transport
+  if (packet.type === Packet.TYPE_BUNDLE) {
+    var packets = Packet.decodeBundle(packet.payload)
+    if (!packets) {
+      this.emit('invalid', fromPeer, data)
+      return
+    }
+    for (var i = 0; i < packets.length; i++) this._onAudioData(fromPeer, packets[i])
+    return
+  }
+
+  // Audio, configs and decisions only once we know who sent them, when we can tell
+  if (this._mustVerify(packet)) {
+    var self = this
+    this._verify(fromPeer, '_audio', data, packet, function () {
+      self._onUpstreamPacket(fromPeer, data, packet)
+    })
+    return
+  }
+  this._onUpstreamPacket(fromPeer, data, packet)
+}
+
+/**
+ * Handle a packet from upstream, verified if need be
+ */
+AudioChannelManager.prototype._onUpstreamPacket = function (fromPeer, data, packet) {
+  if (!this._stripSignature(packet)) return
+
+  // Stream config: keep each stream's newest, pass it on
+  if (packet.type === Packet.TYPE_CONFIG) {
+    if (!this._cacheConfig(data, packet)) return
+    if (!this._stream(packet).local) this.emit('config', data, fromPeer, packet)
+    if (this.relay) {
+      this._relayToDownstream(data)
+    }
+    return
+  }
+
+  // The root's speaker decisions: pass them all the way down
+  if (packet.type === Packet.TYPE_ADMISSION) {
+    var decision = Packet.decodeAdmission(packet.payload)
+    if (!decision) return
+    this.emit('admission', decision)
+    if (this.relay) {
+      this._relayToDownstream(data)
+    }
+    return
+  }
+
+  // Answers to our clock pings
+  if (packet.type === Packet.TYPE_CLOCK) {
+    this._onClockReply(packet)
+    return
+  }
+
+  // Feedback only flows upstream
+  if (packet.type !== Packet.TYPE_AUDIO) return
+
+  // Same packet twice (e.g. upstream switched mid-stream) - relay it only once
+  if (this._isDuplicate(packet)) return
+
+  // Over TCP, audio held up by a stall is worse than none
+  if (this.transport === 'server' && this._isStale(packet)) return
+
+  // A frame's other simulcast layer is only relayed
+  if (!packet.layerCopy) {
+    this._trackLoss(packet)
+
+    // Emit for local playback (our own contribution is already heard here)
+    if (!this._stream(packet).local) this.emit('audio', data, fromPeer, packet)
+  }
 
   // Relay to downstream if enabled
   if (this.relay) {
-    this._relayToDownstream(data)
+    this._relayToDownstream(data, packet)
+  }
+}
+
+/**
+ * State for the stream a packet belongs to, created on its first packet
+ *
+ * A restarted broadcaster comes back under a new epoch; its old stream is
+ * forgotten once it expires.
+ */
+AudioChannelManager.prototype._stream = function (packet) {
+  var stream = this._streams[packet.epoch]
+  if (!stream) {
+    this._pruneStreams()
+    stream = this._streams[packet.epoch] = {
+      seen: {},
+      seenOrder: [],
+      newestSeq: null,
+      highestSeq: null,
+      config: null, // Latest config packet (raw)
+      configSeq: null,
+      streamId: null, // From the config
+      speaker: null, // Stream id of a contribution (at the root)
+      local: false, // Contributed from this node
+      lastHigh: null, // Latest sequence number of each simulcast layer
+      lastLow: null,
+      sampleRate: null, // From the config, for timing arrivals (see _isStale)
+      arrival: null,
+      staleWarned: false,
+      time: 0
+    }
+  }
+
+  stream.time = Date.now()
+  this._lastEpoch = packet.epoch
+  return stream
+}
+
+/**
+ * Forget streams that haven't sent anything for a while
+ */
+AudioChannelManager.prototype._pruneStreams = function () {
+  var now = Date.now()
+  for (var epoch in this._streams) {
+    if (now - this._streams[epoch].time > STREAM_EXPIRY) delete this._streams[epoch]
+  }
+  for (epoch in this._retired) {
+    if (now - this._retired[epoch].time > RETIRED_EXPIRY) delete this._retired[epoch]
+  }
+}
+
+/**
+ * Forget a stream now, e.g. when its broadcaster stops (for broadcaster use)
+ *
+ * @param {number} epoch - The stream's epoch
+ */
+AudioChannelManager.prototype.removeStream = function (epoch) {
+  delete this._streams[epoch]
+}
+
+/**
+ * Check (and record) whether a packet's sequence number was seen recently
+ *
+ * A simulcast frame's two layers share its sequence number but are told
+ * apart here; the one that comes second is marked `layerCopy`. Packets too
+ * far behind the newest to tell count as duplicates, so a replayed packet
+ * can't get through once it has dropped out of the history.
+ */
+AudioChannelManager.prototype._isDuplicate = function (packet) {
+  var stream = this._stream(packet)
+  var layer = packet.flags & Packet.FLAG_LOW ? 2 : 1
+  var seen = stream.seen[packet.seq] || 0
+  if (seen & layer) return true
+
+  var behind = stream.newestSeq === null ? 0 : Packet.seqDiff(packet.seq, stream.newestSeq)
+  if (behind <= -DUPLICATE_HISTORY) return true
+  if (behind > 0 || stream.newestSeq === null) stream.newestSeq = packet.seq
+
+  packet.layerCopy = seen !== 0
+  stream.seen[packet.seq] = seen | layer
+  if (seen) return false
+
+  stream.seenOrder.push(packet.seq)
+  if (stream.seenOrder.length > DUPLICATE_HISTORY) {
+    delete stream.seen[stream.seenOrder.shift()]
+  }
+  return false
+}
+
+/**
+ * Count packets received and due from upstream (for feedback)
+ */
+AudioChannelManager.prototype._trackLoss = function (packet) {
+  var stream = this._stream(packet)
+
+  // Reordered packets count as received, but were already counted as due
+  var gap = stream.highestSeq === null ? 1 : Packet.seqDiff(packet.seq, stream.highestSeq)
+  if (gap > 0) {
+    this._expected += gap
+    stream.highestSeq = packet.seq
+  }
+  this._received++
+}
+
+/**
+ * Handle a feedback, report or contributed packet from a downstream peer
+ */
+AudioChannelManager.prototype._onDownstreamData = function (fromPeer, data) {
+  var packet = Packet.decode(data)
+  if (!packet) return
+
+  var report
+  if (packet.type === Packet.TYPE_AUDIO || packet.type === Packet.TYPE_CONFIG) {
+    if (!this._mustVerify(packet)) {
+      if (this._stripSignature(packet)) this._onContribution(fromPeer, data, packet)
+      return
+    }
+    var self = this
+    this._verify(fromPeer, '_audio', data, packet, function () {
+      if (self._stripSignature(packet)) self._onContribution(fromPeer, data, packet)
+    })
+  } else if (packet.type === Packet.TYPE_FEEDBACK) {
+    report = Packet.decodeFeedback(packet.payload)
+    if (report) this._reports[fromPeer.id] = { report: report, time: Date.now() }
+  } else if (packet.type === Packet.TYPE_REPORT) {
+    report = Report.decode(packet.payload)
+    if (report) this._childReports[fromPeer.id] = { report: report, time: Date.now() }
+  } else if (packet.type === Packet.TYPE_CLOCK) {
+    this._onClockRequest(fromPeer, packet)
+  }
+}
+
+// ─── Contributions ───────────────────────────────────────────────────────────
+
+/**
+ * Handle audio or config a speaker below us sent toward the root
+ *
+ * Relays pass it on upstream untouched. The root admits or holds it by the
+ * speaker's stream id (from its config), answers every config with the
+ * speaker's admission state, and re-broadcasts admitted streams like its own.
+ */
+AudioChannelManager.prototype._onContribution = function (fromPeer, data, packet) {
+  if (this.node.upstream) {
+    this._sendToPeer(this.node.upstream, data)
+    return
+  }
+
+  var stream = this._stream(packet)
+  if (packet.type === Packet.TYPE_CONFIG) {
+    var config = Packet.decodeConfig(packet.payload)
+    if (!config) return
+    stream.speaker = config.streamId
+
+    var speaker = this._speakers[config.streamId]
+    if (!speaker) {
+      speaker = this._speakers[config.streamId] = {
+        state: this.admission === 'open' ? 'admitted' : 'pending',
+        config: config
+      }
+      if (speaker.state === 'pending') this.emit('speaker:request', config.streamId, config)
+    }
+    speaker.config = config
+
+    // Every announcement gets an answer, so a lost one is soon repeated
+    this._sendAdmission(config.streamId)
+    if (speaker.state !== 'admitted' || !this._cacheConfig(data, packet)) return
+  } else {
+    // Audio before a config is from a speaker we don't know yet
+    speaker = this._speakers[stream.speaker]
+    if (!speaker || speaker.state !== 'admitted') return
+    if (this._isDuplicate(packet)) return
+  }
+
+  if (!packet.layerCopy) this.emit(packet.type === Packet.TYPE_CONFIG ? 'config' : 'audio', data, fromPeer, packet)
+  this._relayToDownstream(data, packet)
+}
+
+/**
+ * Let a speaker below the root be heard (at the root)
+ *
+ * Also works ahead of the speaker's first request.
+ *
+ * @param {string} streamId - The speaker's stream id
+ */
+AudioChannelManager.prototype.admit = function (streamId) {
+  this._setSpeakerState(streamId, 'admitted')
+}
+
+/**
+ * Refuse a speaker, or stop re-broadcasting an admitted one (at the root)
+ *
+ * @param {string} streamId - The speaker's stream id
+ */
+AudioChannelManager.prototype.deny = function (streamId) {
+  this._setSpeakerState(streamId, 'denied')
+
+  // Late joiners shouldn't hear about its stream any more
+  for (var epoch in this._streams) {
+    if (this._streams[epoch].speaker === streamId) delete this._streams[epoch]
+  }
+}
+
+/**
+ * Speakers below the root, as the root sees them
+ *
+ * @returns {Object[]} { streamId, state ('pending', 'admitted' or 'denied'), config }
+ */
+AudioChannelManager.prototype.getSpeakers = function () {
+  var speakers = []
+  for (var id in this._speakers) {
+    speakers.push({ streamId: id, state: this._speakers[id].state, config: this._speakers[id].config })
+  }
+  return speakers
+}
+
+AudioChannelManager.prototype._setSpeakerState = function (streamId, state) {
+  var speaker = this._speakers[streamId]
+  if (!speaker) speaker = this._speakers[streamId] = { state: state, config: null }
+  speaker.state = state
+  this._sendAdmission(streamId)
+}
+
+/**
+ * Tell the tree (and so the speaker) where a speaker stands
+ *
+ * Signed with our signing key if we have one (see setSigningKey), since
+ * nodes that check signatures drop unsigned decisions.
+ */
+AudioChannelManager.prototype._sendAdmission = function (streamId) {
+  var self = this
+  var signingKey = this._signingKey
+  var header = {
+    type: Packet.TYPE_ADMISSION,
+    flags: signingKey ? Packet.FLAG_SIGNED : 0,
+    epoch: this._admissionEpoch,
+    seq: this._admissionSeq,
+    timestamp: 0
+  }
+  var payload = Packet.encodeAdmission({ streamId: streamId, state: this._speakers[streamId].state })
+  this._admissionSeq = (this._admissionSeq + 1) >>> 0
+
+  if (!signingKey) {
+    this._relayToDownstream(Packet.encode(header, payload).buffer)
+    return
+  }
+
+  Signing.sign(signingKey.key, signingKey.id, header, payload).then(function (frame) {
+    if (self._started) self._relayToDownstream(frame.buffer)
+  }, function (err) {
+    console.warn('[audio-channel] Failed to sign admission:', err)
+  })
+}
+
+/**
+ * Send one of our own stream's packets toward the root, for a broadcaster
+ * below it (for broadcaster use)
+ *
+ * It reaches this node's subtree the way everyone else's does: from the
+ * root, once admitted.
+ *
+ * @param {ArrayBuffer} data - Audio or config packet
+ * @returns {boolean} Whether it went out (false under backpressure, or with no open link upstream)
+ */
+AudioChannelManager.prototype.contribute = function (data) {
+  this._stream(Packet.decode(data)).local = true
+  if (!this.node.upstream) return false
+  return this._sendToPeer(this.node.upstream, data)
+}
+
+// ─── Signatures ──────────────────────────────────────────────────────────────
+
+/**
+ * Only pass on audio, configs, admission decisions and talkback signed
+ * with one of our public keys from now on (see src/signing.js)
+ *
+ * @param {number} keyId - Signing key id the broadcaster uses, 0-255
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} publicKey - Its public key: a CryptoKey, or raw bytes
+ *   (32 for Ed25519, 65 for P-256)
+ * @returns {Promise}
+ */
+AudioChannelManager.prototype.addPublicKey = function (keyId, publicKey) {
+  var self = this
+  var id = keyId & 0xff
+
+  // Checking starts right away, so nothing slips through during the import
+  var imported = this._publicKeys[id] = Signing.importPublicKey(publicKey)
+  return imported.catch(function (err) {
+    if (self._publicKeys[id] === imported) delete self._publicKeys[id]
+    throw err
+  })
+}
+
+/**
+ * @param {number} keyId
+ */
+AudioChannelManager.prototype.removePublicKey = function (keyId) {
+  delete this._publicKeys[keyId & 0xff]
+}
+
+/**
+ * Sign our admission decisions with this key, at the root (a root
+ * broadcaster with a signingKey sets it)
+ *
+ * @param {number} keyId - Signing key id its public key is handed out under, 0-255
+ * @param {CryptoKey} privateKey - ECDSA P-256 or Ed25519 private key
+ */
+AudioChannelManager.prototype.setSigningKey = function (keyId, privateKey) {
+  this._signingKey = { id: keyId & 0xff, key: privateKey }
+}
+
+AudioChannelManager.prototype._mustVerify = function (packet) {
+  if (packet.type !== Packet.TYPE_AUDIO && packet.type !== Packet.TYPE_CONFIG &&
+      packet.type !== Packet.TYPE_ADMISSION) return false
+  return Object.keys(this._publicKeys).length > 0
+}
+
+/**
+ * Hand a packet to `deliver` once its signature checks out, or report the
+ * peer it came from if it's missing, wrong or replayed
+ *
+ * Signatures are checked side by side, but WebCrypto finishes them in any
+ * order, so each packet's result waits for the one that arrived before it
+ * on the same peer and channel. Otherwise every signing hop could reorder
+ * the stream: genuine frames would be dropped as duplicates, and a new
+ * epoch's config could retire the old one ahead of its last frames.
+ *
+ * @param {string} label - Channel it came in on: '_audio' or '_talkback'
+ * @param {Function} deliver - Called if the packet is good and we're still started
+ */
+AudioChannelManager.prototype._verify = function (fromPeer, label, data, packet, deliver) {
+  var self = this
+  var check = this._checkSignature(data, packet)
+  var queues = fromPeer._verifying = fromPeer._verifying || {}
+
+  var done = queues[label] = (queues[label] || Promise.resolve()).then(function () {
+    return check
+  }).then(function (reason) {
+    if (!self._started) return
+    if (!reason && self._isReplay(packet)) reason = 'replayed'
+    if (reason) {
+      self._reportTamper(fromPeer, packet, reason)
+      return
+    }
+    deliver()
+  }).catch(function (err) {
+    console.warn('[audio-channel] Failed to handle a signed packet:', err)
+  }).then(function () {
+    if (queues[label] === done) delete queues[label]
+  })
+}
+
+/**
+ * @returns {Promise<string|null>} Why the signature is no good, or null if it is
+ */
+AudioChannelManager.prototype._checkSignature = function (data, packet) {
+  var keyId = packet.flags & Packet.FLAG_SIGNED ? Signing.keyId(packet.payload) : null
+  var key = keyId !== null ? this._publicKeys[keyId] : null
+
+  if (keyId === null) return Promise.resolve('unsigned')
+  if (!key) return Promise.resolve('unknown key')
+  return key.then(function (publicKey) {
+    return Signing.verify(publicKey, data)
+  }).then(function (valid) {
+    return valid ? null : 'bad signature'
+  }, function () {
+    return 'bad signature'
+  })
+}
+
+AudioChannelManager.prototype._reportTamper = function (fromPeer, packet, reason) {
+  if (!fromPeer._tamperWarned) {
+    fromPeer._tamperWarned = true
+    console.warn('[audio-channel] Dropping forged packets from peer', fromPeer.id, '(' + reason + ')')
+  }
+  this.emit('tamper', fromPeer, {
+    reason: reason,
+    type: packet.type,
+    epoch: packet.epoch,
+    seq: packet.seq,
+    keyId: packet.flags & Packet.FLAG_SIGNED ? Signing.keyId(packet.payload) : null
+  })
+}
+
+/**
+ * Whether a correctly signed packet is an old one sent again
+ *
+ * Broadcast streams: an epoch whose stream id has since been announced
+ * under a newer epoch (a restart, see _cacheConfig) is retired, and none of
+ * its packets are taken any more. Replays within an epoch are caught as
+ * duplicates. Admission decisions: older than the root's latest, or from
+ * an earlier root's epoch.
+ */
+AudioChannelManager.prototype._isReplay = function (packet) {
+  var retired = this._retired[packet.epoch]
+  if (packet.type === Packet.TYPE_ADMISSION) {
+    var last = this._lastAdmission
+    if (retired) return true
+    if (last && last.epoch === packet.epoch && Packet.seqDiff(packet.seq, last.seq) <= 0) return true
+    if (last && last.epoch !== packet.epoch) this._retired[last.epoch] = { streamId: null, time: Date.now() }
+    this._lastAdmission = { epoch: packet.epoch, seq: packet.seq }
+    return false
+  }
+  if (!retired) return false
+
+  // A new stream that happens to draw a retired epoch
+  if (packet.type === Packet.TYPE_CONFIG) {
+    var config = Packet.decodeConfig(Signing.unsigned(packet.payload) || new Uint8Array(0))
+    if (config && config.streamId !== retired.streamId) {
+      delete this._retired[packet.epoch]
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Take the signature trailer off a signed packet's payload (flags are kept,
+ * since the header is authenticated as is)
+ *
+ * @returns {boolean} False if the packet is too short to be signed
+ */
+AudioChannelManager.prototype._stripSignature = function (packet) {
+  if (!(packet.flags & Packet.FLAG_SIGNED)) return true
+
+  var payload = Signing.unsigned(packet.payload)
+  if (!payload) return false
+  packet.payload = payload
+  return true
+}
+
+// ─── Talkback ────────────────────────────────────────────────────────────────
+
+/**
+ * Send a talkback packet toward the root (for AudioTalkback use)
+ *
+ * @param {ArrayBuffer} data - Audio or config packet
+ * @returns {boolean} Whether it was sent
+ */
+AudioChannelManager.prototype.talkback = function (data) {
+  if (!this.node.upstream) return false
+  return this._sendToPeer(this.node.upstream, data, '_talkback')
+}
+
+/**
+ * Handle a talkback packet from a downstream peer, checked at every hop
+ * like contributions when we check signatures
+ */
+AudioChannelManager.prototype._onTalkbackData = function (fromPeer, data) {
+  var packet = Packet.decode(data)
+  if (!packet) return
+
+  if (this._mustVerify(packet)) {
+    var self = this
+    this._verify(fromPeer, '_talkback', data, packet, function () {
+      self._onTalkbackPacket(fromPeer, data, packet)
+    })
+    return
+  }
+  this._onTalkbackPacket(fromPeer, data, packet)
+}
+
+/**
+ * Pass a talkback packet on, or at the root, emit it
+ */
+AudioChannelManager.prototype._onTalkbackPacket = function (fromPeer, data, packet) {
+  if (this.node.upstream) {
+    this._sendToPeer(this.node.upstream, data, '_talkback')
+    return
+  }
+  if (!this._stripSignature(packet)) return
+
+  if (packet.type === Packet.TYPE_AUDIO) {
+    this.emit('talkback:audio', data, fromPeer, packet)
+  } else if (packet.type === Packet.TYPE_CONFIG) {
+    this.emit('talkback:config', data, fromPeer, packet)
+  }
+}
+
+// ─── Feedback and reports ────────────────────────────────────────────────────
+
+/**
+ * Merge our own link stats with the latest downstream reports, emit the
+ * result and send it upstream. Starts a new measuring interval.
+ */
+AudioChannelManager.prototype._onFeedbackTimer = function () {
+  var now = Date.now()
+  var isReceiver = !!this.node.upstream
+  var lossRate = this._expected ? Math.max(0, 1 - this._received / this._expected) : 0
+  var dropRate = this._sent ? this._dropped / this._sent : 0
+
+  // fireflower may have moved us to another upstream, or upgraded it to P2P
+  this._checkTransport()
+
+  var report = {
+    nodes: isReceiver ? 1 : 0,
+    senders: this._sent ? 1 : 0,
+    loss: isReceiver ? lossRate : 0,
+    maxLoss: isReceiver ? lossRate : 0,
+    drop: dropRate,
+    maxDrop: dropRate,
+    serverLinks: isReceiver && this.transport === 'server' ? 1 : 0
+  }
+
+  // Means weighted by the node counts behind each report
+  for (var id in this._reports) {
+    var entry = this._reports[id]
+    if (now - entry.time > FEEDBACK_EXPIRY || !this.node.downstream[id]) {
+      delete this._reports[id]
+      continue
+    }
+
+    var child = entry.report
+    var nodes = report.nodes + child.nodes
+    var senders = report.senders + child.senders
+    report.loss = (report.loss * report.nodes + child.loss * child.nodes) / nodes
+    report.drop = senders ? (report.drop * report.senders + child.drop * child.senders) / senders : 0
+    report.maxLoss = Math.max(report.maxLoss, child.maxLoss)
+    report.maxDrop = Math.max(report.maxDrop, child.maxDrop)
+    report.nodes = nodes
+    report.senders = senders
+    report.serverLinks += child.serverLinks
+  }
+
+  this._expected = 0
+  this._received = 0
+  this._sent = 0
+  this._dropped = 0
+
+  this.emit('feedback', report)
+
+  var upstream = this.node.upstream
+  if (upstream && report.nodes) {
+    var frame = Packet.encode({
+      type: Packet.TYPE_FEEDBACK,
+      epoch: this._lastEpoch || 0,
+      seq: this._feedbackSeq,
+      timestamp: 0
+    }, Packet.encodeFeedback(report))
+    this._feedbackSeq = (this._feedbackSeq + 1) >>> 0
+    this._sendToPeer(upstream, frame.buffer)
+  }
+}
+
+/**
+ * Set this node's own listener report, included from the next interval on
+ *
+ * @param {Object} report - See src/report.js
+ */
+AudioChannelManager.prototype.setReport = function (report) {
+  this._localReport = { report: report, time: Date.now() }
+}
+
+/**
+ * Merge our own listener report with the latest downstream ones, emit the
+ * result (with each downstream peer's part) and send it upstream
+ */
+AudioChannelManager.prototype._onReportTimer = function () {
+  var now = Date.now()
+  var summary = Report.empty()
+  var branches = {}
+
+  if (this._localReport && now - this._localReport.time <= REPORT_EXPIRY) {
+    Report.merge(summary, this._localReport.report)
+  }
+
+  for (var id in this._childReports) {
+    var entry = this._childReports[id]
+    if (now - entry.time > REPORT_EXPIRY || !this.node.downstream[id]) {
+      delete this._childReports[id]
+      continue
+    }
+    Report.merge(summary, entry.report)
+    branches[id] = entry.report
+  }
+
+  this.emit('report', summary, branches)
+
+  var upstream = this.node.upstream
+  if (upstream && summary.listeners) {
+    var frame = Packet.encode({
+      type: Packet.TYPE_REPORT,
+      epoch: this._lastEpoch || 0,
+      seq: this._reportSeq,
+      timestamp: 0
+    }, Report.encode(summary))
+    this._reportSeq = (this._reportSeq + 1) >>> 0
+    this._sendToPeer(upstream, frame.buffer)
+  }
+}
+
+/**
+ * Remember a config packet if it's newer than the one we have for its stream
+ *
+ * @returns {boolean} Whether it was newer
+ */
+AudioChannelManager.prototype._cacheConfig = function (data, packet) {
+  var stream = this._stream(packet)
+  if (stream.configSeq !== null && Packet.seqDiff(packet.seq, stream.configSeq) <= 0) {
+    return false
+  }
+
+  stream.config = data
+  stream.configSeq = packet.seq
+
+  var config = Packet.decodeConfig(packet.payload)
+  if (config && config.streamId !== stream.streamId) {
+    stream.streamId = config.streamId
+    if (this._mustVerify(packet)) this._retireEpochs(packet.epoch, config.streamId)
+  }
+  if (config && config.frameDuration) this._frameDuration = config.frameDuration / 1000
+  if (config && config.sampleRate !== stream.sampleRate) {
+    stream.sampleRate = config.sampleRate
+    stream.arrival = null
+  }
+  return true
+}
+
+/**
+ * Retire a stream id's earlier epochs, once it's announced under a new one
+ * (see _isReplay)
+ */
+AudioChannelManager.prototype._retireEpochs = function (epoch, streamId) {
+  for (var other in this._streams) {
+    if (Number(other) === epoch || this._streams[other].streamId !== streamId) continue
+    this._retired[other] = { streamId: streamId, time: Date.now() }
+    delete this._streams[other]
   }
 }
 
 /**
  * Relay audio data to all downstream peers
+ *
+ * @param {Object} packet - Decoded audio packet, for simulcast streams' layers (optional)
+ * @returns {number} Peers it couldn't go out to (backpressure or a closed channel)
+ */
+AudioChannelManager.prototype._relayToDownstream = function (data, packet) {
+  var stream = packet && packet.type === Packet.TYPE_AUDIO ? this._layers(packet) : null
+  var dropped = 0
+
+  for (var id in this.node.downstream) {
+    var peer = this.node.downstream[id]
+    if (!peer._audio || peer._audio.readyState !== 'open') continue
+    if (stream) {
+      if (!this._wantsLayer(peer, stream, packet)) continue
+      this._peerStats(peer).window.simulcast = true
+    }
+
+    this._sent++
+    if (!this._sendToPeer(peer, data)) {
+      this._dropped++
+      dropped++
+    }
+  }
+  return dropped
+}
+
+// ─── Clock ───────────────────────────────────────────────────────────────────
+
+/**
+ * Keep an estimate of the root's clock (clockOffset), for sync mode and latency
+ * measurement
+ *
+ * Pings our upstream every CLOCK_INTERVAL from now on; `clock` is emitted
+ * with each new estimate. The root's own offset is 0.
+ */
+AudioChannelManager.prototype.syncClock = function () {
+  this.clock = true
+  if (this._started) this._startClock()
+}
+
+/**
+ * The root's clock as we reckon it
+ *
+ * @returns {number|null} In ms since the epoch, or null until synced
+ */
+AudioChannelManager.prototype.rootTime = function () {
+  return this.clockOffset === null ? null : Date.now() + this.clockOffset
+}
+
+AudioChannelManager.prototype._startClock = function () {
+  if (this._clockTimer) return
+  var self = this
+  this._clockTimer = setInterval(function () {
+    self._pingClock()
+  }, CLOCK_INTERVAL)
+  this._pingClock()
+}
+
+/**
+ * Ask our upstream for the root's time (at the root, it's ours)
+ */
+AudioChannelManager.prototype._pingClock = function () {
+  var upstream = this.node.upstream
+  if (!upstream) {
+    this._clockSamples = []
+    if (this.clockOffset !== 0) this._setClockOffset(0, 0)
+    return
+  }
+
+  var frame = Packet.encode({
+    type: Packet.TYPE_CLOCK,
+    epoch: 0,
+    seq: this._clockSeq,
+    timestamp: 0
+  }, Packet.encodeClock({ reply: false, sent: Date.now() }))
+  this._clockSeq = (this._clockSeq + 1) >>> 0
+  this._sendToPeer(upstream, frame.buffer)
+}
+
+/**
+ * Answer a downstream peer's ping with our reading of the root's clock
+ */
+AudioChannelManager.prototype._onClockRequest = function (fromPeer, packet) {
+  var request = Packet.decodeClock(packet.payload)
+  if (!request || request.reply) return
+
+  // Nothing to tell yet: find out, and answer its next ping
+  if (this.clockOffset === null) {
+    this.syncClock()
+    return
+  }
+
+  var frame = Packet.encode({
+    type: Packet.TYPE_CLOCK,
+    epoch: 0,
+    seq: packet.seq,
+    timestamp: 0
+  }, Packet.encodeClock({ reply: true, sent: request.sent, time: this.rootTime() }))
+
+  // Straight out, never bundled: a reply held back reads as a slower link
+  if (!fromPeer._audio || fromPeer._audio.readyState !== 'open') return
+  try {
+    fromPeer._audio.send(frame.buffer)
+  } catch (err) {
+    // Channel may be closing
+  }
+}
+
+/**
+ * Take a clock offset from our upstream's answer
+ *
+ * The reply is taken to have been read halfway through the round trip, so
+ * the quickest round trip of the last few gives the best estimate.
+ */
+AudioChannelManager.prototype._onClockReply = function (packet) {
+  var reply = Packet.decodeClock(packet.payload)
+  if (!reply || !reply.reply) return
+
+  var now = Date.now()
+  var rtt = now - reply.sent
+  if (rtt < 0) return
+
+  this._clockSamples.push({ offset: reply.time + rtt / 2 - now, rtt: rtt })
+  if (this._clockSamples.length > CLOCK_SAMPLES) this._clockSamples.shift()
+
+  var best = this._clockSamples[0]
+  this._clockSamples.forEach(function (sample) {
+    if (sample.rtt < best.rtt) best = sample
+  })
+  this._setClockOffset(best.offset, best.rtt)
+}
+
+AudioChannelManager.prototype._setClockOffset = function (offset, rtt) {
+  this.clockOffset = offset
+  this.emit('clock', offset, rtt)
+}
+
+// ─── Simulcast ───────────────────────────────────────────────────────────────
+
+/**
+ * Note which layer an audio packet is, and return its stream if that's a
+ * simulcast one
+ */
+AudioChannelManager.prototype._layers = function (packet) {
+  var stream = this._stream(packet)
+  var key = packet.flags & Packet.FLAG_LOW ? 'lastLow' : 'lastHigh'
+  if (stream[key] === null || Packet.seqDiff(packet.seq, stream[key]) > 0) {
+    stream[key] = packet.seq
+  }
+  return stream.lastLow !== null ? stream : null
+}
+
+/**
+ * Whether a simulcast packet is the layer a peer should get
+ *
+ * The other layer stands in while the peer's one isn't coming through here.
+ */
+AudioChannelManager.prototype._wantsLayer = function (peer, stream, packet) {
+  var low = !!(packet.flags & Packet.FLAG_LOW)
+  var wantsLow = !!(peer._layer && peer._layer.low)
+  if (low === wantsLow) return true
+
+  var last = wantsLow ? stream.lastLow : stream.lastHigh
+  return last === null || Packet.seqDiff(packet.seq, last) > LAYER_GAP
+}
+
+/**
+ * Move a peer between simulcast layers at the end of a window (see
+ * _onPeerWindow) in which it got a simulcast stream
+ *
+ * @param {boolean} congested - Whether the window was congested
+ * @param {boolean} clean - Whether it was clean
+ */
+AudioChannelManager.prototype._updateLayer = function (peer, congested, clean) {
+  var layer = peer._layer
+  if (!layer) {
+    layer = peer._layer = {
+      low: false,
+      cleanSince: null, // Start of the current run of clean windows
+      upAt: null, // Last switch up
+      hold: LAYER_UP_HOLD
+    }
+  }
+
+  var now = Date.now()
+  if (!layer.low) {
+    if (!congested) return
+
+    // Straight back down after going up: wait longer next time
+    var failed = layer.upAt !== null && now - layer.upAt < layer.hold
+    layer.hold = failed ? Math.min(layer.hold * 2, LAYER_MAX_HOLD) : LAYER_UP_HOLD
+    layer.low = true
+    layer.cleanSince = null
+    console.log('[audio-channel] Peer', peer.id?.slice(-8), 'congested, sending low layer')
+    this.emit('layer', peer, 'low')
+    return
+  }
+
+  if (!clean) {
+    layer.cleanSince = null
+  } else if (layer.cleanSince === null) {
+    layer.cleanSince = now
+  } else if (now - layer.cleanSince >= layer.hold) {
+    layer.low = false
+    layer.upAt = now
+    console.log('[audio-channel] Peer', peer.id?.slice(-8), 'recovered, sending high layer')
+    this.emit('layer', peer, 'high')
+  }
+}
+
+// ─── Peer stats ──────────────────────────────────────────────────────────────
+
+/**
+ * Send state of each downstream peer's audio channel
+ *
+ * @returns {Object[]} { peer (id), sent, dropped, bytes, buffered (smoothed bufferedAmount),
+ *   threshold (backpressure threshold in bytes), lastSend (ms timestamp or null), congested,
+ *   layer ('high' or 'low'), transport ('server' or 'p2p') }
  */
-AudioChannelManager.prototype._relayToDownstream = function (data) {
+AudioChannelManager.prototype.getPeerStats = function () {
+  var stats = []
   for (var id in this.node.downstream) {
     var peer = this.node.downstream[id]
-    this._sendToPeer(peer, data)
+    if (peer._audio) stats.push(this._describePeer(peer))
+  }
+  return stats
+}
+
+/**
+ * A peer's _audio send state, created on first use
+ */
+AudioChannelManager.prototype._peerStats = function (peer) {
+  if (!peer._audioStats) {
+    peer._audioStats = {
+      sent: 0,
+      dropped: 0,
+      bytes: 0, // Sent
+      buffered: 0, // Smoothed bufferedAmount
+      packetSize: 0, // Smoothed
+      threshold: MIN_BACKPRESSURE_THRESHOLD,
+      lastSend: null,
+      congested: false,
+      cleanWindows: 0,
+      window: { packets: 0, dropped: 0, simulcast: false },
+      bundle: [], // Packets waiting to go out together (see _bundle)
+      bundleTimer: null
+    }
+  }
+  return peer._audioStats
+}
+
+AudioChannelManager.prototype._describePeer = function (peer) {
+  var stats = this._peerStats(peer)
+  return {
+    peer: peer.id,
+    sent: stats.sent,
+    dropped: stats.dropped,
+    bytes: stats.bytes,
+    buffered: Math.round(stats.buffered),
+    threshold: stats.threshold,
+    lastSend: stats.lastSend,
+    congested: stats.congested,
+    layer: peer._layer && peer._layer.low ? 'low' : 'high',
+    transport: transportOf(peer, peer._audio)
+  }
+}
+
+/**
+ * Backpressure threshold for packets of this size: BACKPRESSURE_LATENCY
+ * worth of them (more over the server transport), at the latest config's
+ * frame duration
+ *
+ * @param {number} packetSize - In bytes
+ * @param {boolean} server - Whether the link is over the server transport
+ * @returns {number} Bytes
+ */
+AudioChannelManager.prototype._threshold = function (packetSize, server) {
+  var latency = server ? SERVER_BACKPRESSURE_LATENCY : BACKPRESSURE_LATENCY
+  var frames = Math.ceil(latency / this._frameDuration)
+  return Math.max(MIN_BACKPRESSURE_THRESHOLD, Math.round(packetSize * frames))
+}
+
+/**
+ * Count a packet sent or dropped in a downstream peer's current window
+ */
+AudioChannelManager.prototype._countWindow = function (peer, stats, sent) {
+  if (this.node.downstream[peer.id] !== peer) return
+
+  stats.window.packets++
+  if (!sent) stats.window.dropped++
+  if (stats.window.packets >= PEER_WINDOW) this._onPeerWindow(peer, stats)
+}
+
+/**
+ * Judge a downstream peer's link at the end of a window: report it
+ * congested or recovered, and pick its simulcast layer
+ */
+AudioChannelManager.prototype._onPeerWindow = function (peer, stats) {
+  var window = stats.window
+  var congested = window.dropped / window.packets > CONGESTED_DROP ||
+    stats.buffered > stats.threshold * CONGESTED_BUFFER
+  var clean = !window.dropped && stats.buffered <= stats.threshold * CLEAN_BUFFER
+  stats.window = { packets: 0, dropped: 0, simulcast: false }
+
+  stats.cleanWindows = clean ? stats.cleanWindows + 1 : 0
+  if (congested && !stats.congested) {
+    stats.congested = true
+    console.log('[audio-channel] Peer', peer.id?.slice(-8), 'congested')
+    this.emit('peer:congested', peer, this._describePeer(peer))
+  } else if (stats.congested && stats.cleanWindows >= RECOVERY_WINDOWS) {
+    stats.congested = false
+    console.log('[audio-channel] Peer', peer.id?.slice(-8), 'recovered')
+    this.emit('peer:recovered', peer, this._describePeer(peer))
   }
+
+  if (window.simulcast) this._updateLayer(peer, congested, clean)
 }
 
 /**
  * Send audio data to a specific peer (with backpressure check)
+ *
+ * On a peer's _audio channel, the threshold follows the size of the packets
+ * sent on it, and sends and drops are counted (see getPeerStats). To a
+ * downstream peer over the server transport, packets are queued instead,
+ * and checked and counted when their bundle comes back through here (see
+ * _flushBundle).
+ *
+ * @param {string} label - Channel to send on: '_audio' or '_talkback' (default: '_audio')
+ * @param {number} count - Packets data carries, for a bundle (default: 1)
+ * @returns {boolean} Whether it was sent (or queued)
  */
-AudioChannelManager.prototype._sendToPeer = function (peer, data) {
-  if (!peer._audio) return
-  if (peer._audio.readyState !== 'open') return
+AudioChannelManager.prototype._sendToPeer = function (peer, data, label, count) {
+  var channel = peer[label || '_audio']
+  if (!channel) return false
+  if (channel.readyState !== 'open') return false
+
+  var stats = channel === peer._audio ? this._peerStats(peer) : null
+  var server = transportOf(peer, channel) === 'server'
+
+  // Fewer, bigger messages over TCP (downstream only: the packets going up are few)
+  if (stats && server && !count && this.node.downstream[peer.id] === peer) {
+    this._bundle(peer, stats, data)
+    return true
+  }
+  count = count || 1
+
+  var threshold
+  if (stats) {
+    var size = data.byteLength / count
+    stats.packetSize = stats.packetSize
+      ? stats.packetSize + SMOOTHING * (size - stats.packetSize)
+      : size
+    stats.buffered += SMOOTHING * (channel.bufferedAmount - stats.buffered)
+    threshold = stats.threshold = this._threshold(stats.packetSize, server)
+  } else {
+    threshold = this._threshold(data.byteLength, server)
+  }
 
   // Drop if buffer is building up (old audio is toxic)
-  if (peer._audio.bufferedAmount > AUDIO_BACKPRESSURE_THRESHOLD) {
-    this.emit('drop', peer)
-    return
+  var i
+  if (channel.bufferedAmount > threshold) {
+    if (stats) {
+      stats.dropped += count
+      this.emit('drop', peer, this._describePeer(peer))
+      for (i = 0; i < count; i++) this._countWindow(peer, stats, false)
+    }
+    return false
   }
 
   try {
-    peer._audio.send(data)
+    channel.send(data)
   } catch (err) {
     // Send failed, channel may be closing
+    return false
+  }
+
+  if (stats) {
+    stats.sent += count
+    stats.bytes += data.byteLength
+    stats.lastSend = Date.now()
+    for (i = 0; i < count; i++) this._countWindow(peer, stats, true)
+  }
+  return true
+}
+
+// ─── Server transport ────────────────────────────────────────────────────────
+
+/**
+ * 'server' or 'p2p': how a peer's data gets there
+ *
+ * fireflower's server transport carries a peer's channels over a WebSocket
+ * (so TCP). A transport the peer (or, for our upstream, the node) names
+ * itself wins; then one its channel names (`channel.transport`), and a
+ * channel that is a WebSocket is a server link. Anything else is P2P.
+ *
+ * @param {Object} peer
+ * @param {Object} channel - One of its channels
+ * @param {string} hint - The node's own transport, for our upstream (optional)
+ * @returns {string}
+ */
+function transportOf (peer, channel, hint) {
+  if (peer.transport === 'server' || peer.transport === 'p2p') return peer.transport
+  if (hint === 'server' || hint === 'p2p') return hint
+  if (!channel) return 'p2p'
+  if (channel.transport === 'server' || channel.transport === 'p2p') return channel.transport
+  if (typeof WebSocket !== 'undefined' && channel instanceof WebSocket) return 'server'
+  return 'p2p'
+}
+
+/**
+ * Note our upstream link's transport, and emit `transport` when it changes
+ */
+AudioChannelManager.prototype._checkTransport = function () {
+  var upstream = this.node.upstream
+  if (!upstream || !upstream._audio) return
+
+  var transport = transportOf(upstream, upstream._audio, this.node.transport)
+  if (transport === this.transport) return
+
+  var previous = this.transport
+  this.transport = transport
+  console.log('[audio-channel] Upstream transport:', transport)
+  this.emit('transport', transport, previous)
+}
+
+/**
+ * Whether an audio packet arrived too long after the quickest ones of its
+ * stream to be worth playing or relaying
+ *
+ * Transit (arrival minus media time) includes an unknown clock offset, but
+ * that's the same for every packet, so the quickest recent ones are the
+ * baseline.
+ */
+AudioChannelManager.prototype._isStale = function (packet) {
+  var stream = this._stream(packet)
+  if (!stream.sampleRate) return false
+
+  var now = Date.now()
+  var arrival = stream.arrival
+  if (!arrival) {
+    arrival = stream.arrival = {
+      lastTimestamp: packet.timestamp,
+      timestamp: 0, // Unwrapped past 32 bits
+      windowStart: now,
+      min: Infinity, // Quickest transit this window
+      previousMin: Infinity // And last window
+    }
   }
+
+  arrival.timestamp += Packet.seqDiff(packet.timestamp, arrival.lastTimestamp)
+  arrival.lastTimestamp = packet.timestamp
+  var transit = now - arrival.timestamp * 1000 / stream.sampleRate
+
+  if (now - arrival.windowStart > STALE_WINDOW) {
+    arrival.previousMin = arrival.min
+    arrival.min = Infinity
+    arrival.windowStart = now
+  }
+  arrival.min = Math.min(arrival.min, transit)
+
+  var stale = transit - Math.min(arrival.min, arrival.previousMin) > STALE_AGE
+  if (stale && !stream.staleWarned) console.log('[audio-channel] Skipping stale frames after a stall')
+  stream.staleWarned = stale
+  return stale
+}
+
+/**
+ * Queue a packet for a peer over the server transport
+ */
+AudioChannelManager.prototype._bundle = function (peer, stats, data) {
+  var self = this
+  stats.bundle.push(data)
+  if (stats.bundle.length >= BUNDLE_SIZE) {
+    this._flushBundle(peer, stats)
+  } else if (!stats.bundleTimer) {
+    stats.bundleTimer = setTimeout(function () {
+      self._flushBundle(peer, stats)
+    }, BUNDLE_DELAY)
+  }
+}
+
+/**
+ * Send a peer's queued packets as one TYPE_BUNDLE packet (or alone, if it's one)
+ */
+AudioChannelManager.prototype._flushBundle = function (peer, stats) {
+  clearTimeout(stats.bundleTimer)
+  stats.bundleTimer = null
+  var packets = stats.bundle
+  stats.bundle = []
+  if (!packets.length) return
+
+  var data = packets[0]
+  if (packets.length > 1) {
+    data = Packet.encode({
+      type: Packet.TYPE_BUNDLE,
+      epoch: this._lastEpoch || 0,
+      seq: this._bundleSeq,
+      timestamp: 0
+    }, Packet.encodeBundle(packets)).buffer
+    this._bundleSeq = (this._bundleSeq + 1) >>> 0
+  }
+
+  if (!this._sendToPeer(peer, data, '_audio', packets.length)) this._dropped += packets.length
 }
 
 /**
  * Send audio data to all downstream peers (for broadcaster use)
+ *
+ * @returns {number} Peers it couldn't go out to (backpressure or a closed channel)
  */
 AudioChannelManager.prototype.broadcast = function (data) {
+  return this._relayToDownstream(data, Packet.decode(data))
+}
+
+/**
+ * Send a stream config packet to all downstream peers, and to every
+ * peer that connects later (for broadcaster use)
+ */
+AudioChannelManager.prototype.broadcastConfig = function (data) {
+  this._cacheConfig(data, Packet.decode(data))
   this._relayToDownstream(data)
 }
@@ -0,0 +1,114 @@
+/**
+ * End-to-end encrypted audio payloads (Packet.FLAG_ENCRYPTED)
+ *
+ *   offset  size  field
+ *   0       1     key id
+ *   1       12    AES-GCM IV (random per packet)
+ *   13      ...   ciphertext, with the 16-byte GCM tag at the end
+ *
+ * The packet header stays in the clear, so relays can still drop duplicates,
+ * count loss and forward, and is authenticated as additional data: a relay
+ * can't move a payload to another sequence number or timestamp. Only the
+ * payload (including any redundant copies) is encrypted; configs are not.
+ *
+ * The key id says which key a packet was encrypted with, so a broadcaster
+ * can switch keys mid-stream and listeners follow packet by packet.
+ *
+ * IVs are random rather than counted, since a key can outlive a broadcaster
+ * (and its epoch and sequence numbers). That costs 29 bytes per packet,
+ * about 12 kbps at 20ms frames.
+ */
+
+var Packet = require('./packet')
+
+var IV_SIZE = 12
+var TAG_SIZE = 16
+var OVERHEAD = 1 + IV_SIZE + TAG_SIZE
+
+exports.OVERHEAD = OVERHEAD
+exports.importKey = importKey
+exports.encrypt = encrypt
+exports.decrypt = decrypt
+exports.keyId = keyId
+exports.isSupported = isSupported
+
+/**
+ * Whether WebCrypto is there (it needs a secure context)
+ */
+function isSupported () {
+  return typeof crypto !== 'undefined' && !!crypto.subtle
+}
+
+/**
+ * Turn an app-supplied key into an AES-GCM CryptoKey
+ *
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} key - A CryptoKey, or 16, 24 or 32 raw bytes
+ * @returns {Promise<CryptoKey>}
+ */
+function importKey (key) {
+  if (typeof CryptoKey !== 'undefined' && key instanceof CryptoKey) {
+    return Promise.resolve(key)
+  }
+
+  var bytes = key instanceof Uint8Array ? key : new Uint8Array(key)
+  if ([16, 24, 32].indexOf(bytes.byteLength) === -1) {
+    return Promise.reject(new Error('AES-GCM keys are 16, 24 or 32 bytes, got ' + bytes.byteLength))
+  }
+  return crypto.subtle.importKey('raw', bytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])
+}
+
+/**
+ * Encrypt a packet's payload
+ *
+ * @param {CryptoKey} key
+ * @param {number} id - Key id (0-255)
+ * @param {Object} header - Packet header fields, with FLAG_ENCRYPTED set
+ * @param {ArrayBuffer|Uint8Array} payload
+ * @returns {Promise<Uint8Array>} Encrypted payload
+ */
+function encrypt (key, id, header, payload) {
+  var iv = crypto.getRandomValues(new Uint8Array(IV_SIZE))
+
+  return crypto.subtle.encrypt({
+    name: 'AES-GCM',
+    iv: iv,
+    additionalData: Packet.encode(header, new Uint8Array(0))
+  }, key, payload).then(function (ciphertext) {
+    var out = new Uint8Array(1 + IV_SIZE + ciphertext.byteLength)
+    out[0] = id
+    out.set(iv, 1)
+    out.set(new Uint8Array(ciphertext), 1 + IV_SIZE)
+    return out
+  })
+}
+
+/**
+ * Decrypt a packet's payload
+ *
+ * Rejects if the payload was tampered with or the key is wrong.
+ *
+ * @param {CryptoKey} key - The key for keyId(packet.payload)
+ * @param {Object} packet - Decoded packet (see Packet.decode)
+ * @returns {Promise<Uint8Array>} Payload as the broadcaster encoded it
+ */
+function decrypt (key, packet) {
+  var payload = packet.payload
+  if (payload.byteLength < OVERHEAD) return Promise.reject(new Error('Encrypted payload too short'))
+
+  return crypto.subtle.decrypt({
+    name: 'AES-GCM',
+    iv: payload.subarray(1, 1 + IV_SIZE),
+    additionalData: Packet.encode(packet, new Uint8Array(0))
+  }, key, payload.subarray(1 + IV_SIZE)).then(function (plaintext) {
+    return new Uint8Array(plaintext)
+  })
+}
+
+/**
+ * Key id of an encrypted payload
+ *
+ * @returns {number|null}
+ */
+function keyId (payload) {
+  return payload.byteLength ? payload[0] : null
+}
@@ -0,0 +1,103 @@
+module.exports = History
+
+// Expired entries are dropped from the array in batches of this many
+var COMPACT_THRESHOLD = 1024
+
+/**
+ * History - Rolling store of what a listener played, for time shifting
+ *
+ * Entries are frames as they went to playback (see AudioListener#_record):
+ * encoded audio, or lost frames that were concealed, each with the time it
+ * was due on the listener's clock (entry.time, in ms). They are kept in time
+ * order across streams, for the last `duration` ms.
+ *
+ * Entries are addressed by an index that keeps counting up as old ones
+ * expire, so a reader's place stays valid while the history moves on.
+ *
+ * @param {Object} opts - Options
+ * @param {number} opts.duration - How long to keep entries, in ms
+ */
+function History (opts) {
+  if (!(this instanceof History)) return new History(opts)
+  this.duration = opts.duration
+  this.clear()
+}
+
+/**
+ * Forget every entry
+ */
+History.prototype.clear = function () {
+  this._entries = []
+  this._head = 0 // Expired entries at the front of the array
+  this.first = 0 // Index of the oldest entry
+}
+
+/**
+ * Add an entry, and expire those more than `duration` older
+ *
+ * An entry timed before the newest one is moved up to it, so indexes
+ * never shift.
+ *
+ * @param {Object} entry - With its time in ms
+ */
+History.prototype.push = function (entry) {
+  var entries = this._entries
+  var last = entries.length > this._head ? entries[entries.length - 1] : null
+  if (last && entry.time < last.time) entry.time = last.time
+  entries.push(entry)
+
+  var oldest = entry.time - this.duration
+  while (entries[this._head].time < oldest) {
+    entries[this._head] = null
+    this._head++
+    this.first++
+  }
+  if (this._head >= COMPACT_THRESHOLD) {
+    entries.splice(0, this._head)
+    this._head = 0
+  }
+}
+
+/**
+ * @param {number} index
+ * @returns {Object|null} The entry, or null if expired or not there yet
+ */
+History.prototype.get = function (index) {
+  if (index < this.first) return null
+  return this._entries[this._head + index - this.first] || null
+}
+
+/**
+ * @returns {number} Index the next entry will get
+ */
+History.prototype.end = function () {
+  return this.first + this._entries.length - this._head
+}
+
+/**
+ * @returns {number|null} Time of the oldest entry, or null if there are none
+ */
+History.prototype.start = function () {
+  var oldest = this.get(this.first)
+  return oldest ? oldest.time : null
+}
+
+/**
+ * Index of the first entry at or after a time
+ *
+ * @param {number} time - In ms
+ * @returns {number} Between first and end()
+ */
+History.prototype.indexAt = function (time) {
+  var low = this.first
+  var high = this.end()
+  while (low < high) {
+    var mid = (low + high) >>> 1
+    if (this.get(mid).time < time) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return low
+}
@@ -0,0 +1,268 @@
+/**
+ * Ogg Opus muxing (RFC 3533 pages, RFC 7845 Opus mapping)
+ *
+ * A page carries whole packets, laced into 255-byte segments:
+ *
+ *   offset  size  field
+ *   0       4     "OggS"
+ *   4       1     version (0)
+ *   5       1     header type (continued 0x1 | first 0x2 | last 0x4)
+ *   6       8     granule position
+ *   14      4     stream serial number
+ *   18      4     page sequence number
+ *   22      4     CRC-32 of the page, taken with this field zeroed
+ *   26      1     segment count
+ *   27      ...   segment lengths, then the packet data
+ *
+ * All fields are little-endian. An Opus stream starts with a page holding
+ * the OpusHead packet and one holding OpusTags, then audio pages whose
+ * granule position is the number of 48 kHz samples decoded by the end of
+ * the page's last packet, whatever the input rate.
+ *
+ * Packets here never span pages: an Opus packet is at most 1275 bytes per
+ * frame, far under a page's 255 segments.
+ */
+
+var OGG_RATE = 48000 // Opus granule positions count 48 kHz samples
+var MAX_SEGMENTS = 255
+var HEADER_SIZE = 27
+
+// Header types
+var FIRST_PAGE = 0x2
+var LAST_PAGE = 0x4
+
+// Opus frame sizes by TOC config (RFC 6716 3.1), in 48 kHz samples
+var SILK_FRAMES = [480, 960, 1920, 2880]
+var HYBRID_FRAMES = [480, 960]
+var CELT_FRAMES = [120, 240, 480, 960]
+
+// CELT-only fullband configs by frame size, longest first (silence frames)
+var CELT_CONFIGS = [{ config: 31, samples: 960 }, { config: 30, samples: 480 },
+  { config: 29, samples: 240 }, { config: 28, samples: 120 }]
+var CELT_SILENCE = [0xff, 0xfe] // A CELT frame with only the silence flag set
+var MAX_PACKET_FRAMES = 6 // 120ms of 20ms frames, the most one packet may hold
+
+var CRC_TABLE = null
+
+exports.OGG_RATE = OGG_RATE
+exports.FIRST_PAGE = FIRST_PAGE
+exports.LAST_PAGE = LAST_PAGE
+exports.page = page
+exports.opusHead = opusHead
+exports.opusTags = opusTags
+exports.packetSamples = packetSamples
+exports.silence = silence
+exports.lostFrame = lostFrame
+exports.canFit = canFit
+
+/**
+ * Build an Ogg page
+ *
+ * @param {Uint8Array[]} packets - Whole packets, in order
+ * @param {Object} opts
+ * @param {number} opts.serial - Stream serial number (uint32)
+ * @param {number} opts.sequence - Page sequence number (uint32)
+ * @param {number} opts.granule - Granule position, or -1 if no packet ends on the page
+ * @param {number} opts.type - Header type bits (default: 0)
+ * @returns {Uint8Array}
+ */
+function page (packets, opts) {
+  var segments = []
+  var size = 0
+  packets.forEach(function (packet) {
+    for (var left = packet.byteLength; left >= 255; left -= 255) segments.push(255)
+    segments.push(left)
+    size += packet.byteLength
+  })
+  if (segments.length > MAX_SEGMENTS) throw new Error('Too many packets for one Ogg page')
+
+  var out = new Uint8Array(HEADER_SIZE + segments.length + size)
+  var view = new DataView(out.buffer)
+
+  out.set([0x4f, 0x67, 0x67, 0x53], 0) // "OggS"
+  view.setUint8(5, opts.type || 0)
+  if (opts.granule < 0) {
+    view.setUint32(6, 0xffffffff, true)
+    view.setUint32(10, 0xffffffff, true)
+  } else {
+    view.setUint32(6, opts.granule % 0x100000000, true)
+    view.setUint32(10, Math.floor(opts.granule / 0x100000000), true)
+  }
+  view.setUint32(14, opts.serial >>> 0, true)
+  view.setUint32(18, opts.sequence >>> 0, true)
+  view.setUint8(26, segments.length)
+  out.set(segments, HEADER_SIZE)
+
+  var offset = HEADER_SIZE + segments.length
+  packets.forEach(function (packet) {
+    out.set(packet, offset)
+    offset += packet.byteLength
+  })
+
+  view.setUint32(22, crc32(out), true)
+  return out
+}
+
+/**
+ * Whether a packet still fits on a page holding these packets
+ *
+ * @param {Uint8Array[]} packets
+ * @param {Uint8Array} packet
+ * @returns {boolean}
+ */
+function canFit (packets, packet) {
+  var segments = 0
+  packets.concat([packet]).forEach(function (p) {
+    segments += Math.floor(p.byteLength / 255) + 1
+  })
+  return segments <= MAX_SEGMENTS
+}
+
+/**
+ * The OpusHead identification header (RFC 7845 5.1)
+ *
+ * @param {number} channels - 1 or 2 (mapping family 0)
+ * @param {number} preSkip - 48 kHz samples to drop from the start of decoding
+ * @param {number} inputRate - Sample rate the audio was captured at, in Hz
+ * @returns {Uint8Array}
+ */
+function opusHead (channels, preSkip, inputRate) {
+  var out = new Uint8Array(19)
+  var view = new DataView(out.buffer)
+
+  out.set(ascii('OpusHead'), 0)
+  view.setUint8(8, 1) // Version
+  view.setUint8(9, channels)
+  view.setUint16(10, preSkip, true)
+  view.setUint32(12, inputRate, true)
+  view.setInt16(16, 0, true) // Output gain
+  view.setUint8(18, 0) // Mapping family: mono or stereo, no table
+
+  return out
+}
+
+/**
+ * The OpusTags comment header (RFC 7845 5.2)
+ *
+ * @param {string} vendor
+ * @param {Object} tags - Comments, as { NAME: value }
+ * @returns {Uint8Array}
+ */
+function opusTags (vendor, tags) {
+  var encoder = new TextEncoder()
+  var fields = [encoder.encode(vendor || '')]
+  for (var name in tags || {}) fields.push(encoder.encode(name + '=' + tags[name]))
+
+  var size = 8 + 4 + 4
+  fields.forEach(function (field) { size += 4 + field.byteLength })
+
+  var out = new Uint8Array(size)
+  var view = new DataView(out.buffer)
+  var offset = 8
+
+  out.set(ascii('OpusTags'), 0)
+  fields.forEach(function (field, i) {
+    view.setUint32(offset, field.byteLength, true)
+    out.set(field, offset + 4)
+    offset += 4 + field.byteLength
+
+    // The comment count goes between the vendor string and the comments
+    if (i === 0) {
+      view.setUint32(offset, fields.length - 1, true)
+      offset += 4
+    }
+  })
+
+  return out
+}
+
+/**
+ * Duration of an Opus packet, from its TOC byte (and frame count)
+ *
+ * @param {Uint8Array} packet
+ * @returns {number} 48 kHz samples, or 0 if malformed
+ */
+function packetSamples (packet) {
+  if (packet.byteLength < 1) return 0
+
+  var config = packet[0] >> 3
+  var frame = config < 12
+    ? SILK_FRAMES[config & 3]
+    : config < 16 ? HYBRID_FRAMES[config & 1] : CELT_FRAMES[config & 3]
+
+  var code = packet[0] & 3
+  if (code === 0) return frame
+  if (code !== 3) return frame * 2
+  if (packet.byteLength < 2) return 0
+  return frame * (packet[1] & 0x3f)
+}
+
+/**
+ * Opus packets that decode to silence, for a gap of the given length
+ *
+ * Whole 20ms frames go six to a packet; the rest is made up of shorter
+ * frames, to the nearest 2.5ms below.
+ *
+ * @param {number} samples - Gap length in 48 kHz samples
+ * @param {number} channels - 1 or 2
+ * @returns {Uint8Array[]}
+ */
+function silence (samples, channels) {
+  var stereo = channels > 1 ? 0x4 : 0
+  var packets = []
+
+  CELT_CONFIGS.forEach(function (celt) {
+    var frames = Math.floor(samples / celt.samples)
+    samples -= frames * celt.samples
+
+    while (frames > 0) {
+      var count = Math.min(frames, MAX_PACKET_FRAMES)
+      var packet = new Uint8Array(2 + count * CELT_SILENCE.length)
+
+      // Code 3: frame count, then equal-sized frames
+      packet[0] = (celt.config << 3) | stereo | 3
+      packet[1] = count
+      for (var i = 0; i < count; i++) packet.set(CELT_SILENCE, 2 + i * CELT_SILENCE.length)
+
+      packets.push(packet)
+      frames -= count
+    }
+  })
+
+  return packets
+}
+
+/**
+ * An Opus packet standing in for a lost frame: the TOC of the frame
+ * before and no frame data, which decoders conceal (RFC 6716 3.2.1)
+ *
+ * @param {number} toc - TOC byte of the last frame received
+ * @returns {Uint8Array}
+ */
+function lostFrame (toc) {
+  return new Uint8Array([toc & ~3])
+}
+
+function ascii (text) {
+  var out = new Uint8Array(text.length)
+  for (var i = 0; i < text.length; i++) out[i] = text.charCodeAt(i)
+  return out
+}
+
+// CRC-32 with polynomial 0x04c11db7, unreflected, starting at 0 (as Ogg has it)
+function crc32 (data) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256)
+    for (var n = 0; n < 256; n++) {
+      var r = n << 24
+      for (var k = 0; k < 8; k++) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1
+      CRC_TABLE[n] = r >>> 0
+    }
+  }
+
+  var crc = 0
+  for (var i = 0; i < data.byteLength; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ data[i]) & 0xff]) >>> 0
+  }
+  return crc
+}
@@ -0,0 +1,130 @@
+module.exports = WasmOpusEncoder
+
+/**
+ * WasmOpusEncoder - libopus in a Web Worker, for browsers without WebCodecs
+ *
+ * Stands in for the parts of AudioEncoder the broadcaster uses: configure()
+ * takes the same config object, and output() gets chunk-like objects
+ * (byteLength, timestamp, copyTo). encode() takes a planar frame,
+ * { data: Float32Array[], timestamp (µs) }, since browsers without
+ * AudioEncoder don't have AudioData either.
+ *
+ * The worker (src/worklets/opus-encoder-worker.js) loads opusscript's
+ * emscripten build of libopus from `libraryUrl`, with its .wasm alongside.
+ *
+ * @param {Object} init - Callbacks and URLs
+ * @param {Function} init.output - Called with each encoded chunk
+ * @param {Function} init.error - Called with errors once configured
+ * @param {string} init.workerUrl - URL to opus-encoder-worker.js
+ * @param {string} init.libraryUrl - URL to opusscript_native_wasm.js
+ */
+function WasmOpusEncoder (init) {
+  if (!(this instanceof WasmOpusEncoder)) return new WasmOpusEncoder(init)
+
+  this._output = init.output
+  this._error = init.error || function () {}
+  this.workerUrl = init.workerUrl
+  this.libraryUrl = init.libraryUrl
+  this._worker = null
+}
+
+/**
+ * Whether this browser can run the encoder at all
+ * @returns {boolean}
+ */
+WasmOpusEncoder.isSupported = function () {
+  return typeof Worker !== 'undefined' && typeof WebAssembly !== 'undefined'
+}
+
+/**
+ * Start the worker and set up libopus
+ *
+ * Once running, calling it again only changes the bitrate
+ * (the way the broadcaster changes them on the fly).
+ *
+ * @param {Object} config - AudioEncoderConfig (sampleRate, numberOfChannels, bitrate, opus.*)
+ * @returns {Promise} Rejects if the worker or libopus can't handle the config
+ */
+WasmOpusEncoder.prototype.configure = function (config) {
+  var self = this
+  var opus = config.opus || {}
+
+  if (this._worker) {
+    this._worker.postMessage({
+      type: 'configure',
+      bitrate: config.bitrate
+    })
+    return Promise.resolve()
+  }
+
+  var worker = this._worker = new Worker(this.workerUrl)
+
+  return new Promise(function (resolve, reject) {
+    var ready = false
+
+    worker.onmessage = function (evt) {
+      var msg = evt.data
+      if (msg.type === 'chunk') {
+        self._output(new EncodedChunk(msg.data, msg.timestamp))
+      } else if (msg.type === 'ready') {
+        ready = true
+        resolve()
+      } else if (msg.type === 'error') {
+        var err = new Error(msg.message)
+        if (ready) return self._error(err)
+        self.close()
+        reject(err)
+      }
+    }
+
+    // Script failed to load or threw outside a message
+    worker.onerror = function (evt) {
+      evt.preventDefault()
+      var err = new Error('Opus encoder worker failed: ' + (evt.message || 'could not load ' + self.workerUrl))
+      if (ready) return self._error(err)
+      self.close()
+      reject(err)
+    }
+
+    worker.postMessage({
+      type: 'init',
+      libraryUrl: new URL(self.libraryUrl, location.href).href,
+      sampleRate: config.sampleRate,
+      channels: config.numberOfChannels,
+      bitrate: config.bitrate,
+      frameSamples: Math.round(config.sampleRate * (opus.frameDuration || 20000) / 1000000)
+    })
+  })
+}
+
+/**
+ * Queue one frame (planes are copied, the caller keeps them)
+ *
+ * @param {Object} frame - { data: Float32Array[], timestamp (µs) }
+ */
+WasmOpusEncoder.prototype.encode = function (frame) {
+  if (!this._worker) return
+  this._worker.postMessage({ type: 'encode', samples: frame.data, timestamp: frame.timestamp })
+}
+
+/**
+ * Stop the worker (pending frames are dropped)
+ */
+WasmOpusEncoder.prototype.close = function () {
+  if (!this._worker) return
+  this._worker.terminate()
+  this._worker = null
+}
+
+/**
+ * Encoded packet, shaped like the EncodedAudioChunk fields the broadcaster reads
+ */
+function EncodedChunk (data, timestamp) {
+  this._data = new Uint8Array(data)
+  this.byteLength = this._data.byteLength
+  this.timestamp = timestamp
+}
+
+EncodedChunk.prototype.copyTo = function (destination) {
+  destination.set(this._data)
+}
@@ -0,0 +1,518 @@
+/**
+ * Audio packet format
+ *
+ * Every packet on the _audio channel starts with a fixed 12-byte header:
+ *
+ *   offset  size  field
+ *   0       1     version (high nibble) | packet type (low nibble)
+ *   1       1     flags (high nibble) | codec (low nibble)
+ *   2       2     stream epoch (random per broadcaster start)
+ *   4       4     sequence number (+1 per packet sent)
+ *   8       4     media timestamp (samples at the stream sample rate)
+ *
+ * All multi-byte fields are big-endian. The sequence number only advances
+ * for packets actually sent, while the timestamp advances for every captured
+ * frame (including ones skipped by VAD), so listeners can tell a lost frame
+ * (sequence gap) from a silent gap (timestamp jump with contiguous sequence).
+ *
+ * The epoch also tells concurrent streams apart when several broadcasters
+ * share the tree: sequence numbers and timestamps are per stream. Each
+ * stream's config names it (streamId), which is how a listener recognizes
+ * a restarted broadcaster behind a new epoch.
+ *
+ * Codecs that carry audio at a reduced rate (e.g. CODEC_PCMU_8K) still count
+ * timestamps at the stream rate; the listener resamples before playback.
+ *
+ * Version 0 was the legacy 1-byte codec flag (0x00 PCM / 0x01 Opus).
+ *
+ * With FLAG_RED set, the payload carries low-bitrate copies of earlier frames
+ * ahead of the primary frame (RFC 2198 style, see encodeRedundant).
+ *
+ * With FLAG_ENCRYPTED set, the payload is AES-GCM encrypted under a key id
+ * (see src/e2ee.js); decrypting it gives the payload the other flags describe.
+ *
+ * With FLAG_SIGNED set, a signature trailer follows the payload (see
+ * src/signing.js). It covers the header and payload as sent, after
+ * encryption.
+ *
+ * With FLAG_LOW set, the packet is a simulcast broadcaster's low-bitrate
+ * copy of a frame, with the same sequence number and timestamp as the
+ * frame's normal packet. Relays forward one layer or the other to each
+ * peer, and listeners see one unbroken sequence either way.
+ *
+ * TYPE_CONFIG packets describe the stream (see encodeConfig). Their sequence
+ * numbers count config packets only, so they never show up as audio gaps.
+ *
+ * TYPE_FEEDBACK packets go the other way, from each node to its upstream,
+ * and summarize reception in the sender's subtree (see encodeFeedback).
+ * Their epoch is that of the last stream heard, the sequence number counts
+ * feedback packets and the timestamp is unused. TYPE_REPORT packets (listener
+ * quality reports, see src/report.js) travel upstream the same way, less often.
+ *
+ * Broadcasters below the root send their TYPE_AUDIO and TYPE_CONFIG packets
+ * upstream too; the root re-broadcasts those of admitted speakers. Its
+ * decisions go down the whole tree as TYPE_ADMISSION packets (see
+ * encodeAdmission), with their own sequence numbers and an unused epoch and
+ * timestamp.
+ *
+ * On links over the server transport (TCP), relays send TYPE_BUNDLE packets
+ * holding several whole packets each (see encodeBundle), with their own
+ * sequence numbers, the epoch of the last stream heard and an unused
+ * timestamp. Receivers take them apart and handle each packet as if it had
+ * come alone.
+ *
+ * TYPE_CLOCK packets ask a node's upstream for the root's time and carry
+ * the answer back down, one hop at a time (see encodeClock). Their sequence
+ * numbers count the asker's requests (a reply keeps its request's), and the
+ * epoch and timestamp are unused.
+ */
+
+var VERSION = 1
+var HEADER_SIZE = 12
+
+exports.VERSION = VERSION
+exports.HEADER_SIZE = HEADER_SIZE
+
+// Packet types
+exports.TYPE_AUDIO = 0x0
+exports.TYPE_CONFIG = 0x1 // Stream configuration announcement
+exports.TYPE_FEEDBACK = 0x2 // Subtree reception report, sent upstream
+exports.TYPE_REPORT = 0x3 // Subtree listener quality report, sent upstream
+exports.TYPE_ADMISSION = 0x4 // Speaker admission decision, sent down from the root
+exports.TYPE_BUNDLE = 0x5 // Several packets in one, on server transport links
+exports.TYPE_CLOCK = 0x6 // Clock sync request (upstream) or reply (downstream)
+
+// Flags
+exports.FLAG_RED = 0x1 // Payload carries redundant copies of earlier frames
+exports.FLAG_ENCRYPTED = 0x2 // Payload is encrypted (see src/e2ee.js)
+exports.FLAG_SIGNED = 0x4 // Signature trailer after the payload (see src/signing.js)
+exports.FLAG_LOW = 0x8 // Low-bitrate simulcast layer (see AudioChannelManager)
+
+// Codecs (PCM family payloads are described in src/pcm.js)
+exports.CODEC_PCM = 0x0 // Int16 at the stream sample rate
+exports.CODEC_OPUS = 0x1
+exports.CODEC_PCM_16K = 0x2 // Int16 at 16 kHz
+exports.CODEC_PCM_24K = 0x3 // Int16 at 24 kHz
+exports.CODEC_PCMU_8K = 0x4 // G.711 µ-law at 8 kHz
+exports.CODEC_PCMU_16K = 0x5 // G.711 µ-law at 16 kHz
+exports.CODEC_PCMA_8K = 0x6 // G.711 A-law at 8 kHz
+exports.CODEC_PCMA_16K = 0x7 // G.711 A-law at 16 kHz
+
+exports.encode = encode
+exports.decode = decode
+exports.encodeRedundant = encodeRedundant
+exports.decodeRedundant = decodeRedundant
+exports.encodeConfig = encodeConfig
+exports.decodeConfig = decodeConfig
+exports.encodeFeedback = encodeFeedback
+exports.decodeFeedback = decodeFeedback
+exports.encodeAdmission = encodeAdmission
+exports.decodeAdmission = decodeAdmission
+exports.encodeBundle = encodeBundle
+exports.decodeBundle = decodeBundle
+exports.encodeClock = encodeClock
+exports.decodeClock = decodeClock
+exports.seqDiff = seqDiff
+exports.randomEpoch = randomEpoch
+
+/**
+ * Build a packet from a header and payload
+ *
+ * @param {Object} header
+ * @param {number} header.type - Packet type (default: TYPE_AUDIO)
+ * @param {number} header.codec - Codec id
+ * @param {number} header.flags - Flag bits (default: 0)
+ * @param {number} header.epoch - Stream epoch (uint16)
+ * @param {number} header.seq - Sequence number (uint32)
+ * @param {number} header.timestamp - Media timestamp in samples (uint32)
+ * @param {ArrayBuffer|Uint8Array} payload
+ * @returns {Uint8Array}
+ */
+function encode (header, payload) {
+  var body = payload instanceof Uint8Array ? payload : new Uint8Array(payload)
+  var frame = new Uint8Array(HEADER_SIZE + body.byteLength)
+  var view = new DataView(frame.buffer)
+
+  view.setUint8(0, (VERSION << 4) | ((header.type || 0) & 0x0f))
+  view.setUint8(1, ((header.flags || 0) << 4) | (header.codec & 0x0f))
+  view.setUint16(2, header.epoch & 0xffff)
+  view.setUint32(4, header.seq >>> 0)
+  view.setUint32(8, header.timestamp >>> 0)
+  frame.set(body, HEADER_SIZE)
+
+  return frame
+}
+
+/**
+ * Parse a packet
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Object|null} Parsed header with `payload`, or null if the packet
+ *   is too short or uses an unknown version
+ */
+function decode (data) {
+  var bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+  if (bytes.byteLength < HEADER_SIZE) return null
+
+  var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  var b0 = view.getUint8(0)
+  var b1 = view.getUint8(1)
+  if ((b0 >> 4) !== VERSION) return null
+
+  return {
+    version: b0 >> 4,
+    type: b0 & 0x0f,
+    flags: b1 >> 4,
+    codec: b1 & 0x0f,
+    epoch: view.getUint16(2),
+    seq: view.getUint32(4),
+    timestamp: view.getUint32(8),
+    payload: bytes.subarray(HEADER_SIZE)
+  }
+}
+
+/**
+ * Build a redundant (FLAG_RED) payload
+ *
+ * Layout: block count (1 byte), then per block its sequence offset (1 byte,
+ * how many packets back), timestamp offset (2 bytes, samples back) and length
+ * (2 bytes), then the block data in the same order, then the primary frame.
+ *
+ * @param {Uint8Array} primary - Primary encoded frame
+ * @param {Array} blocks - [{ seqOffset, tsOffset, data }], oldest first
+ * @returns {Uint8Array}
+ */
+function encodeRedundant (primary, blocks) {
+  var size = 1 + blocks.length * 5 + primary.byteLength
+  blocks.forEach(function (block) { size += block.data.byteLength })
+
+  var out = new Uint8Array(size)
+  var view = new DataView(out.buffer)
+  var offset = 1 + blocks.length * 5
+
+  view.setUint8(0, blocks.length)
+  blocks.forEach(function (block, i) {
+    view.setUint8(1 + i * 5, block.seqOffset)
+    view.setUint16(2 + i * 5, block.tsOffset)
+    view.setUint16(4 + i * 5, block.data.byteLength)
+    out.set(block.data, offset)
+    offset += block.data.byteLength
+  })
+  out.set(primary, offset)
+
+  return out
+}
+
+/**
+ * Parse a redundant (FLAG_RED) payload
+ *
+ * @param {Uint8Array} payload
+ * @returns {Object|null} { primary, blocks: [{ seqOffset, tsOffset, data }] },
+ *   or null if malformed
+ */
+function decodeRedundant (payload) {
+  if (payload.byteLength < 1) return null
+
+  var view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength)
+  var count = view.getUint8(0)
+  var offset = 1 + count * 5
+  if (offset > payload.byteLength) return null
+
+  var blocks = []
+  for (var i = 0; i < count; i++) {
+    var length = view.getUint16(4 + i * 5)
+    if (offset + length > payload.byteLength) return null
+    blocks.push({
+      seqOffset: view.getUint8(1 + i * 5),
+      tsOffset: view.getUint16(2 + i * 5),
+      data: payload.subarray(offset, offset + length)
+    })
+    offset += length
+  }
+
+  return { primary: payload.subarray(offset), blocks: blocks }
+}
+
+/**
+ * Build a stream config (TYPE_CONFIG) payload
+ *
+ * Layout: codec (1 byte), channels (1 byte), sample rate in Hz (4 bytes),
+ * frame duration in µs (4 bytes), bitrate in bps (4 bytes), stream id
+ * length (1 byte), stream id (UTF-8). Then, for listeners in sync mode, a
+ * media timestamp (4 bytes) and when that sample was captured, in ms on the
+ * root's clock (8 bytes, float64); configs without them have no capture
+ * clock.
+ *
+ * @param {Object} config
+ * @param {number} config.codec - Codec id
+ * @param {number} config.channels
+ * @param {number} config.sampleRate
+ * @param {number} config.frameDuration - Frame duration in µs
+ * @param {number} config.bitrate - Bitrate in bps
+ * @param {string} config.streamId
+ * @param {Object} config.capture - { timestamp, time } of a recent frame (optional)
+ * @returns {Uint8Array}
+ */
+function encodeConfig (config) {
+  var id = new TextEncoder().encode(config.streamId || '').subarray(0, 255)
+  var out = new Uint8Array(15 + id.byteLength + (config.capture ? 12 : 0))
+  var view = new DataView(out.buffer)
+
+  view.setUint8(0, config.codec)
+  view.setUint8(1, config.channels)
+  view.setUint32(2, config.sampleRate)
+  view.setUint32(6, config.frameDuration)
+  view.setUint32(10, config.bitrate || 0)
+  view.setUint8(14, id.byteLength)
+  out.set(id, 15)
+  if (config.capture) {
+    view.setUint32(15 + id.byteLength, config.capture.timestamp >>> 0)
+    view.setFloat64(19 + id.byteLength, config.capture.time)
+  }
+
+  return out
+}
+
+/**
+ * Parse a stream config (TYPE_CONFIG) payload
+ *
+ * @param {Uint8Array} payload
+ * @returns {Object|null} Config (see encodeConfig), or null if malformed
+ */
+function decodeConfig (payload) {
+  if (payload.byteLength < 15) return null
+
+  var view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength)
+  var idLength = view.getUint8(14)
+  if (15 + idLength > payload.byteLength) return null
+
+  var config = {
+    codec: view.getUint8(0),
+    channels: view.getUint8(1),
+    sampleRate: view.getUint32(2),
+    frameDuration: view.getUint32(6),
+    bitrate: view.getUint32(10),
+    streamId: new TextDecoder().decode(payload.subarray(15, 15 + idLength))
+  }
+  if (!config.channels || !config.sampleRate) return null
+
+  if (payload.byteLength >= 27 + idLength) {
+    config.capture = {
+      timestamp: view.getUint32(15 + idLength),
+      time: view.getFloat64(19 + idLength)
+    }
+  }
+
+  return config
+}
+
+/**
+ * Build a feedback (TYPE_FEEDBACK) payload
+ *
+ * Layout: receiving node count (2 bytes), relaying node count (2 bytes),
+ * then mean loss, max loss, mean drop and max drop rates (2 bytes each, in
+ * 1/10000ths). Loss is the share of packets a node never got, and is
+ * averaged over the receiving nodes; drop is the share of packets a node
+ * dropped under backpressure instead of relaying, averaged over the nodes
+ * that relayed anything. Then the number of nodes whose upstream link is
+ * over the server transport (2 bytes; reports without it count as none).
+ *
+ * @param {Object} report
+ * @param {number} report.nodes - Receiving nodes in the subtree (including the sender)
+ * @param {number} report.senders - Nodes in the subtree that relayed audio
+ * @param {number} report.loss - Mean loss rate, 0-1
+ * @param {number} report.maxLoss - Worst loss rate, 0-1
+ * @param {number} report.drop - Mean drop rate, 0-1
+ * @param {number} report.maxDrop - Worst drop rate, 0-1
+ * @param {number} report.serverLinks - Nodes in the subtree receiving over the server transport
+ * @returns {Uint8Array}
+ */
+function encodeFeedback (report) {
+  var out = new Uint8Array(14)
+  var view = new DataView(out.buffer)
+
+  view.setUint16(0, Math.min(report.nodes, 0xffff))
+  view.setUint16(2, Math.min(report.senders, 0xffff))
+  view.setUint16(4, toRate(report.loss))
+  view.setUint16(6, toRate(report.maxLoss))
+  view.setUint16(8, toRate(report.drop))
+  view.setUint16(10, toRate(report.maxDrop))
+  view.setUint16(12, Math.min(report.serverLinks || 0, 0xffff))
+
+  return out
+}
+
+/**
+ * Parse a feedback (TYPE_FEEDBACK) payload
+ *
+ * @param {Uint8Array} payload
+ * @returns {Object|null} Report (see encodeFeedback), or null if malformed
+ */
+function decodeFeedback (payload) {
+  if (payload.byteLength < 12) return null
+
+  var view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength)
+  var nodes = view.getUint16(0)
+  if (!nodes) return null
+
+  return {
+    nodes: nodes,
+    senders: view.getUint16(2),
+    loss: view.getUint16(4) / 10000,
+    maxLoss: view.getUint16(6) / 10000,
+    drop: view.getUint16(8) / 10000,
+    maxDrop: view.getUint16(10) / 10000,
+    serverLinks: payload.byteLength >= 14 ? view.getUint16(12) : 0
+  }
+}
+
+function toRate (value) {
+  return Math.round(Math.max(0, Math.min(1, value || 0)) * 10000)
+}
+
+// Admission states, by their byte in the payload
+var ADMISSION_STATES = ['pending', 'admitted', 'denied']
+
+/**
+ * Build an admission decision (TYPE_ADMISSION) payload
+ *
+ * Layout: state (1 byte: 0 pending, 1 admitted, 2 denied), stream id
+ * length (1 byte), stream id (UTF-8).
+ *
+ * @param {Object} decision
+ * @param {string} decision.streamId - The speaker's stream id, from its config
+ * @param {string} decision.state - 'pending', 'admitted' or 'denied'
+ * @returns {Uint8Array}
+ */
+function encodeAdmission (decision) {
+  var id = new TextEncoder().encode(decision.streamId || '').subarray(0, 255)
+  var out = new Uint8Array(2 + id.byteLength)
+
+  out[0] = Math.max(0, ADMISSION_STATES.indexOf(decision.state))
+  out[1] = id.byteLength
+  out.set(id, 2)
+
+  return out
+}
+
+/**
+ * Parse an admission decision (TYPE_ADMISSION) payload
+ *
+ * @param {Uint8Array} payload
+ * @returns {Object|null} Decision (see encodeAdmission), or null if malformed
+ */
+function decodeAdmission (payload) {
+  if (payload.byteLength < 2 || 2 + payload[1] > payload.byteLength) return null
+
+  var state = ADMISSION_STATES[payload[0]]
+  if (!state) return null
+
+  return {
+    streamId: new TextDecoder().decode(payload.subarray(2, 2 + payload[1])),
+    state: state
+  }
+}
+
+/**
+ * Build a bundle (TYPE_BUNDLE) payload
+ *
+ * Layout: per packet, its length (2 bytes), then the packet as it was.
+ *
+ * @param {Array<ArrayBuffer|Uint8Array>} packets
+ * @returns {Uint8Array}
+ */
+function encodeBundle (packets) {
+  var parts = packets.map(function (data) {
+    return data instanceof Uint8Array ? data : new Uint8Array(data)
+  })
+  var size = parts.reduce(function (sum, part) { return sum + 2 + part.byteLength }, 0)
+  var out = new Uint8Array(size)
+  var view = new DataView(out.buffer)
+
+  var offset = 0
+  parts.forEach(function (part) {
+    view.setUint16(offset, part.byteLength)
+    out.set(part, offset + 2)
+    offset += 2 + part.byteLength
+  })
+
+  return out
+}
+
+/**
+ * Parse a bundle (TYPE_BUNDLE) payload
+ *
+ * @param {Uint8Array} payload
+ * @returns {ArrayBuffer[]|null} The packets, or null if malformed
+ */
+function decodeBundle (payload) {
+  var view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength)
+  var packets = []
+  var offset = 0
+
+  while (offset < payload.byteLength) {
+    if (offset + 2 > payload.byteLength) return null
+    var length = view.getUint16(offset)
+    if (offset + 2 + length > payload.byteLength) return null
+    packets.push(payload.slice(offset + 2, offset + 2 + length).buffer)
+    offset += 2 + length
+  }
+
+  return packets
+}
+
+/**
+ * Build a clock sync (TYPE_CLOCK) payload
+ *
+ * Layout: kind (1 byte: 0 request, 1 reply), the asker's clock when it sent
+ * the request (8 bytes), and the answerer's reading of the root's clock when
+ * it replied (8 bytes, 0 in a request). Times are ms, as float64.
+ *
+ * @param {Object} clock
+ * @param {boolean} clock.reply - Whether it's the answer
+ * @param {number} clock.sent - Request send time on the asker's clock, echoed in the reply
+ * @param {number} clock.time - Root's time as the answerer reckons it (replies only)
+ * @returns {Uint8Array}
+ */
+function encodeClock (clock) {
+  var out = new Uint8Array(17)
+  var view = new DataView(out.buffer)
+
+  view.setUint8(0, clock.reply ? 1 : 0)
+  view.setFloat64(1, clock.sent)
+  view.setFloat64(9, clock.time || 0)
+
+  return out
+}
+
+/**
+ * Parse a clock sync (TYPE_CLOCK) payload
+ *
+ * @param {Uint8Array} payload
+ * @returns {Object|null} Clock (see encodeClock), or null if malformed
+ */
+function decodeClock (payload) {
+  if (payload.byteLength < 17 || payload[0] > 1) return null
+
+  var view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength)
+  return {
+    reply: payload[0] === 1,
+    sent: view.getFloat64(1),
+    time: view.getFloat64(9)
+  }
+}
+
+/**
+ * Signed distance from b to a in uint32 serial number space
+ * (positive if a is after b, handles wrap-around)
+ */
+function seqDiff (a, b) {
+  return (a - b) | 0
+}
+
+/**
+ * Random stream epoch, so listeners can detect a broadcaster restart
+ */
+function randomEpoch () {
+  return Math.floor(Math.random() * 0x10000)
+}
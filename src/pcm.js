@@ -0,0 +1,228 @@
+/**
+ * PCM payload formats (Packet.CODEC_PCM and the reduced-rate variants)
+ *
+ *   offset  size  field
+ *   0       1     channel count
+ *   1       ...   samples, interleaved by channel
+ *
+ * Samples are Int16 little-endian for CODEC_PCM / CODEC_PCM_16K / CODEC_PCM_24K,
+ * and one G.711 byte each for the µ-law (CODEC_PCMU_*) and A-law (CODEC_PCMA_*)
+ * codecs. The codec id also fixes the sample rate (see FORMATS); CODEC_PCM is
+ * at the stream rate. Resampling is up to the caller (see src/resample.js).
+ *
+ * Frames are planar everywhere else (one Float32Array per channel), so
+ * these convert between the two.
+ */
+
+var Packet = require('./packet')
+
+// G.711
+var ULAW_BIAS = 0x84
+var ULAW_CLIP = 32635
+var ALAW_SEGMENT_ENDS = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff]
+
+// Per codec: sample encoding and rate in Hz (0: the stream rate)
+var FORMATS = {}
+FORMATS[Packet.CODEC_PCM] = { encoding: 'pcm', sampleRate: 0 }
+FORMATS[Packet.CODEC_PCM_16K] = { encoding: 'pcm', sampleRate: 16000 }
+FORMATS[Packet.CODEC_PCM_24K] = { encoding: 'pcm', sampleRate: 24000 }
+FORMATS[Packet.CODEC_PCMU_8K] = { encoding: 'pcmu', sampleRate: 8000 }
+FORMATS[Packet.CODEC_PCMU_16K] = { encoding: 'pcmu', sampleRate: 16000 }
+FORMATS[Packet.CODEC_PCMA_8K] = { encoding: 'pcma', sampleRate: 8000 }
+FORMATS[Packet.CODEC_PCMA_16K] = { encoding: 'pcma', sampleRate: 16000 }
+
+var BITS_PER_SAMPLE = { pcm: 16, pcmu: 8, pcma: 8 }
+
+// Decoded G.711 values, by byte
+var ULAW_TABLE = null
+var ALAW_TABLE = null
+
+exports.FORMATS = FORMATS
+exports.encode = encode
+exports.decode = decode
+exports.isPcm = isPcm
+exports.codecFor = codecFor
+exports.sampleRate = sampleRate
+exports.bitrate = bitrate
+
+/**
+ * @param {Float32Array[]} planes - One array per channel
+ * @param {number} codec - Packet.CODEC_* id of the PCM family (default: CODEC_PCM)
+ * @returns {Uint8Array}
+ */
+function encode (planes, codec) {
+  var encoding = FORMATS[codec || Packet.CODEC_PCM].encoding
+  var channels = planes.length
+  var frames = planes[0].length
+  var bytes = BITS_PER_SAMPLE[encoding] / 8
+  var payload = new Uint8Array(1 + frames * channels * bytes)
+  var view = new DataView(payload.buffer)
+
+  payload[0] = channels
+  for (var i = 0; i < frames; i++) {
+    for (var c = 0; c < channels; c++) {
+      var s = Math.max(-1, Math.min(1, planes[c][i]))
+      var value = Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF)
+      var offset = 1 + (i * channels + c) * bytes
+
+      if (encoding === 'pcmu') {
+        payload[offset] = linearToUlaw(value)
+      } else if (encoding === 'pcma') {
+        payload[offset] = linearToAlaw(value)
+      } else {
+        view.setInt16(offset, value, true)
+      }
+    }
+  }
+
+  return payload
+}
+
+/**
+ * @param {Uint8Array} payload
+ * @param {number} codec - Packet.CODEC_* id of the PCM family (default: CODEC_PCM)
+ * @returns {Float32Array[]|null} One array per channel, or null if malformed
+ */
+function decode (payload, codec) {
+  var format = FORMATS[codec || Packet.CODEC_PCM]
+  if (!format || payload.byteLength < 1) return null
+
+  var channels = payload[0]
+  if (!channels) return null
+
+  var bytes = BITS_PER_SAMPLE[format.encoding] / 8
+  var table = format.encoding === 'pcmu' ? ulawTable() : format.encoding === 'pcma' ? alawTable() : null
+  var view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength)
+  var frames = Math.floor((payload.byteLength - 1) / (channels * bytes))
+  var planes = []
+  for (var c = 0; c < channels; c++) {
+    planes.push(new Float32Array(frames))
+  }
+
+  for (var i = 0; i < frames; i++) {
+    for (c = 0; c < channels; c++) {
+      var offset = 1 + (i * channels + c) * bytes
+      var s = table ? table[payload[offset]] : view.getInt16(offset, true)
+      planes[c][i] = s / (s < 0 ? 0x8000 : 0x7FFF)
+    }
+  }
+
+  return planes
+}
+
+/**
+ * @param {number} codec - Packet.CODEC_* id
+ * @returns {boolean} Whether this module handles the codec
+ */
+function isPcm (codec) {
+  return !!FORMATS[codec]
+}
+
+/**
+ * Pick the codec id for an encoding and rate
+ *
+ * @param {string} encoding - 'pcm' (Int16), 'pcmu' (µ-law) or 'pcma' (A-law)
+ * @param {number} rate - Sample rate in Hz
+ * @param {number} streamRate - Stream sample rate in Hz (Int16 may also use this)
+ * @returns {number|null} Packet.CODEC_* id, or null if there's none
+ */
+function codecFor (encoding, rate, streamRate) {
+  if (encoding === 'pcm' && rate === streamRate) return Packet.CODEC_PCM
+
+  for (var codec in FORMATS) {
+    var format = FORMATS[codec]
+    if (format.encoding === encoding && format.sampleRate === rate) return Number(codec)
+  }
+  return null
+}
+
+/**
+ * @param {number} codec - Packet.CODEC_* id of the PCM family
+ * @param {number} streamRate - Stream sample rate in Hz
+ * @returns {number} Rate the payload samples are at, in Hz
+ */
+function sampleRate (codec, streamRate) {
+  return FORMATS[codec].sampleRate || streamRate
+}
+
+/**
+ * @param {number} codec - Packet.CODEC_* id of the PCM family
+ * @param {number} streamRate - Stream sample rate in Hz
+ * @param {number} channels - Channel count
+ * @returns {number} Payload bitrate in bps (not counting headers)
+ */
+function bitrate (codec, streamRate, channels) {
+  return sampleRate(codec, streamRate) * channels * BITS_PER_SAMPLE[FORMATS[codec].encoding]
+}
+
+// ─── G.711 ───────────────────────────────────────────────────────────────────
+
+function linearToUlaw (value) {
+  var sign = 0
+  if (value < 0) {
+    value = -value
+    sign = 0x80
+  }
+  if (value > ULAW_CLIP) value = ULAW_CLIP
+  value += ULAW_BIAS
+
+  var exponent = 7
+  for (var mask = 0x4000; (value & mask) === 0 && exponent > 0; mask >>= 1) exponent--
+  var mantissa = (value >> (exponent + 3)) & 0x0f
+
+  return ~(sign | (exponent << 4) | mantissa) & 0xff
+}
+
+function ulawToLinear (byte) {
+  byte = ~byte & 0xff
+  var exponent = (byte >> 4) & 0x07
+  var value = (((byte & 0x0f) << 3) + ULAW_BIAS) << exponent
+  value -= ULAW_BIAS
+  return byte & 0x80 ? -value : value
+}
+
+function linearToAlaw (value) {
+  var mask = 0xd5
+  value >>= 3 // A-law works on 13 bits
+  if (value < 0) {
+    mask = 0x55
+    value = -value - 1
+  }
+
+  var segment = 0
+  while (segment < 8 && value > ALAW_SEGMENT_ENDS[segment]) segment++
+  if (segment >= 8) return 0x7f ^ mask
+
+  var byte = segment << 4
+  byte |= (segment < 2 ? value >> 1 : value >> segment) & 0x0f
+  return byte ^ mask
+}
+
+function alawToLinear (byte) {
+  byte ^= 0x55
+  var segment = (byte & 0x70) >> 4
+  var value = (byte & 0x0f) << 4
+
+  if (segment === 0) {
+    value += 8
+  } else {
+    value = (value + 0x108) << (segment - 1)
+  }
+  return byte & 0x80 ? value : -value
+}
+
+function ulawTable () {
+  if (!ULAW_TABLE) {
+    ULAW_TABLE = new Int16Array(256)
+    for (var i = 0; i < 256; i++) ULAW_TABLE[i] = ulawToLinear(i)
+  }
+  return ULAW_TABLE
+}
+
+function alawTable () {
+  if (!ALAW_TABLE) {
+    ALAW_TABLE = new Int16Array(256)
+    for (var i = 0; i < 256; i++) ALAW_TABLE[i] = alawToLinear(i)
+  }
+  return ALAW_TABLE
+}
@@ -0,0 +1,537 @@
+module.exports = AudioRecorder
+
+var AudioChannelManager = require('./channel')
+var E2ee = require('./e2ee')
+var Ogg = require('./ogg')
+var Packet = require('./packet')
+var Pcm = require('./pcm')
+var ReorderBuffer = require('./reorder')
+var Resampler = require('./resample')
+var Wav = require('./wav')
+var EventEmitter = require('events').EventEmitter
+var inherits = require('inherits')
+
+inherits(AudioRecorder, EventEmitter)
+
+// A recording isn't played live, so it can wait longer for stragglers
+var DEFAULT_REORDER_DELAY = 100 // ms
+var DEFAULT_PRE_SKIP = 312 // 48 kHz samples of libopus encoder lookahead (6.5ms)
+var PAGE_SAMPLES = Ogg.OGG_RATE // An Ogg page holds at most 1s of audio
+var VENDOR = 'fireflower-audio'
+
+// A WAV gap is written as zeros, at most MAX_WAV_GAP of them (a longer
+// jump in timestamps is a discontinuity, not lost frames), SILENCE_CHUNK
+// bytes at a time
+var MAX_WAV_GAP = 10 // s
+var SILENCE_CHUNK = 16384 // bytes
+
+/**
+ * AudioRecorder - Records a stream as it arrives, without re-encoding
+ *
+ * Opus streams are muxed into Ogg Opus as received. Frames skipped by the
+ * broadcaster's VAD become Opus silence frames, and lost frames become
+ * empty packets (which players conceal) or the redundant copies that came
+ * after them, so the file keeps the stream's timing. PCM-family streams
+ * (the fallback codecs) are recorded as 16-bit WAV at their codec's rate,
+ * with gaps as zeros (up to 10s each).
+ *
+ * The recorder taps a channel manager's `audio` and `config` events, so it
+ * works on any node, next to an AudioListener or AudioRelay sharing the
+ * manager (opts.channelManager) or on its own. It starts with the first
+ * config announcement of its stream (every 2s), which gives the sample rate.
+ *
+ * @param {Object} node - fireflower Node instance
+ * @param {Object} opts - Configuration options
+ * @param {string} opts.streamId - Stream to record (default: the first one announced)
+ * @param {number} opts.timeslice - Emit the recording as `data` chunks this often, in ms (default: 0, once on stop)
+ * @param {boolean} opts.keepData - Keep the chunks for the Blob stop() returns (default: true)
+ * @param {Object} opts.tags - Ogg Opus comments, as { NAME: value } (default: none)
+ * @param {number} opts.preSkip - 48 kHz samples players drop from the start of an Opus recording (default: 312)
+ * @param {number} opts.reorderDelay - Max wait for an out-of-order packet before counting it lost, in ms (default: 100)
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} opts.key - Key to decrypt an encrypted stream with (see addKey)
+ * @param {number} opts.keyId - Its key id, 0-255 (default: 0)
+ * @param {AudioChannelManager} opts.channelManager - Channel manager to record from (default: a new one)
+ */
+function AudioRecorder (node, opts) {
+  if (!(this instanceof AudioRecorder)) return new AudioRecorder(node, opts)
+  EventEmitter.call(this)
+
+  opts = opts || {}
+  this.node = node
+  this.streamId = opts.streamId || null
+  this.timeslice = opts.timeslice || 0
+  this.keepData = opts.keepData !== false
+  this.tags = opts.tags || {}
+  this.preSkip = opts.preSkip != null ? opts.preSkip : DEFAULT_PRE_SKIP
+  this.reorderDelay = opts.reorderDelay != null ? opts.reorderDelay : DEFAULT_REORDER_DELAY
+
+  this._channelManager = opts.channelManager || new AudioChannelManager(node, { relay: true })
+  this._ownsChannelManager = !opts.channelManager
+  this._started = false
+  this._boundHandlers = {}
+  this._flushTimer = null
+
+  // Decryption keys, by key id (see addKey)
+  this._keys = {} // Key id -> Promise<CryptoKey>
+  if (opts.key) {
+    this.addKey(opts.keyId || 0, opts.key).catch(function (err) {
+      console.warn('[audio] Failed to import key:', err)
+    })
+  }
+
+  // The stream being recorded (see _follow)
+  this._stream = null
+
+  // Output, once the first packet picks the format: 'ogg' or 'wav'
+  this.format = null
+  this.mimeType = null
+  this._ogg = null
+  this._wav = null
+  this._pending = [] // Bytes not emitted yet
+  this._chunks = [] // Bytes emitted, for the Blob
+}
+
+/**
+ * Start recording
+ * @returns {Promise}
+ */
+AudioRecorder.prototype.start = async function () {
+  if (this._started) return
+  this._started = true
+
+  var self = this
+
+  // A new recording each time
+  this.format = null
+  this.mimeType = null
+  this._ogg = null
+  this._wav = null
+  this._pending = []
+  this._chunks = []
+
+  this._channelManager.start()
+
+  this._boundHandlers.audio = function (data, fromPeer, packet) {
+    self._onAudio(packet)
+  }
+  this._channelManager.on('audio', this._boundHandlers.audio)
+
+  this._boundHandlers.config = function (data, fromPeer, packet) {
+    self._onConfig(packet)
+  }
+  this._channelManager.on('config', this._boundHandlers.config)
+
+  if (this.timeslice) {
+    this._flushTimer = setInterval(function () {
+      self._flush()
+    }, this.timeslice)
+  }
+}
+
+/**
+ * Stop recording
+ *
+ * The last chunk is emitted as `data` first.
+ *
+ * @returns {Blob|null} The whole recording, or null if nothing was
+ *   recorded or opts.keepData is off
+ */
+AudioRecorder.prototype.stop = function () {
+  if (!this._started) return null
+  this._started = false
+
+  // Stop channel manager (a shared one keeps running for the others)
+  if (this._ownsChannelManager) this._channelManager.stop()
+  for (var name in this._boundHandlers) {
+    this._channelManager.removeListener(name, this._boundHandlers[name])
+  }
+  this._boundHandlers = {}
+
+  clearInterval(this._flushTimer)
+  this._flushTimer = null
+
+  if (this._stream) {
+    this._stream.reorder.destroy()
+    this._stream = null
+  }
+
+  if (!this.format) return null
+  if (this.format === 'ogg') this._oggPage(Ogg.LAST_PAGE)
+  this._flush()
+  if (!this.keepData) return null
+
+  // Now that its length is known, the WAV header can say it
+  var parts = this._chunks
+  if (this.format === 'wav') {
+    parts = [Wav.header(this._wav.sampleRate, this._wav.channels, this._wav.size),
+      parts[0].subarray(Wav.HEADER_SIZE)].concat(parts.slice(1))
+  }
+  return new Blob(parts, { type: this.mimeType })
+}
+
+// ─── Streams ────────────────────────────────────────────────────────────────
+
+/**
+ * Handle a stream config announcement
+ *
+ * The first stream announced (or the one asked for) is recorded. A
+ * restarted broadcaster comes back under a new epoch with the same id; the
+ * recording carries on with it, right after the old stream's last frame.
+ */
+AudioRecorder.prototype._onConfig = function (packet) {
+  var config = Packet.decodeConfig(packet.payload)
+  if (!config) return
+
+  var stream = this._stream
+  if (stream && stream.epoch === packet.epoch) {
+    stream.config = config
+    return
+  }
+
+  var id = config.streamId || String(packet.epoch)
+  if (this.streamId && id !== this.streamId) return
+
+  if (stream) stream.reorder.destroy()
+  this._follow(packet.epoch, id, config)
+}
+
+/**
+ * Start recording the stream of this epoch
+ */
+AudioRecorder.prototype._follow = function (epoch, id, config) {
+  var self = this
+  var stream = this._stream = {
+    epoch: epoch,
+    id: id,
+    config: config,
+    reorder: new ReorderBuffer({ maxDelay: this.reorderDelay }),
+    next: null, // Timestamp the next frame should have
+    lastSeq: null,
+    lastToc: null, // Of the last Opus frame, for lost ones
+    missingKeys: {},
+    warnedCodec: false
+  }
+  this.streamId = id
+
+  stream.reorder.on('packet', function (packet) {
+    if (self._stream === stream) self._write(stream, packet)
+  })
+}
+
+AudioRecorder.prototype._onAudio = function (packet) {
+  var stream = this._stream
+  if (!stream || packet.epoch !== stream.epoch) return
+
+  // Others on the channel manager get the same packet object
+  packet = Object.assign({}, packet)
+
+  if (packet.flags & Packet.FLAG_ENCRYPTED) {
+    this._decrypt(stream, packet)
+    return
+  }
+  stream.reorder.push(packet)
+}
+
+// ─── Decryption ─────────────────────────────────────────────────────────────
+
+/**
+ * Add a key to decrypt the stream with (see AudioListener#addKey)
+ *
+ * @param {number} keyId - 0-255
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} key - AES-GCM key, or 16, 24 or 32 raw bytes
+ * @returns {Promise}
+ */
+AudioRecorder.prototype.addKey = function (keyId, key) {
+  var self = this
+  var id = keyId & 0xff
+
+  if (!E2ee.isSupported()) {
+    return Promise.reject(new Error('Decryption needs WebCrypto (a secure context)'))
+  }
+
+  var imported = this._keys[id] = E2ee.importKey(key)
+  return imported.then(function () {
+    if (self._stream) delete self._stream.missingKeys[id]
+  }, function (err) {
+    if (self._keys[id] === imported) delete self._keys[id]
+    throw err
+  })
+}
+
+/**
+ * Forget a key
+ *
+ * @param {number} keyId
+ */
+AudioRecorder.prototype.removeKey = function (keyId) {
+  delete this._keys[keyId & 0xff]
+}
+
+/**
+ * Decrypt an encrypted packet, then record it like any other
+ *
+ * Packets without a matching key, or that fail to authenticate, are
+ * recorded as lost.
+ */
+AudioRecorder.prototype._decrypt = function (stream, packet) {
+  var self = this
+  var keyId = E2ee.keyId(packet.payload)
+  var key = this._keys[keyId]
+
+  if (!key) {
+    if (keyId !== null && !stream.missingKeys[keyId]) {
+      stream.missingKeys[keyId] = true
+      console.warn('[audio] No key for key id', keyId)
+      this.emit('key:missing', stream.id, keyId)
+    }
+    return
+  }
+
+  key.then(function (cryptoKey) {
+    return E2ee.decrypt(cryptoKey, packet)
+  }).then(function (payload) {
+    if (self._stream !== stream) return
+    packet.payload = payload
+    packet.flags &= ~Packet.FLAG_ENCRYPTED
+    stream.reorder.push(packet)
+  }, function () {})
+}
+
+// ─── Writing ────────────────────────────────────────────────────────────────
+
+/**
+ * Record one audio packet of the stream (called in sequence order)
+ */
+AudioRecorder.prototype._write = function (stream, packet) {
+  var payload = packet.payload
+  var blocks = []
+  if (packet.flags & Packet.FLAG_RED) {
+    var red = Packet.decodeRedundant(payload)
+    if (!red) return
+    payload = red.primary
+    blocks = red.blocks
+  }
+  if (payload.length < 1) return
+
+  var isOpus = packet.codec === Packet.CODEC_OPUS
+  if (!isOpus && !Pcm.isPcm(packet.codec)) return
+  if (!this.format) this._begin(stream, packet, payload)
+
+  // The format can't change mid-file
+  if (isOpus !== (this.format === 'ogg')) {
+    if (!stream.warnedCodec) {
+      stream.warnedCodec = true
+      console.warn('[audio] Stream changed codec mid-recording; its new frames are not recorded')
+    }
+    return
+  }
+
+  if (isOpus) {
+    this._writeOpus(stream, packet, payload, blocks)
+  } else {
+    this._writePcm(stream, packet, payload)
+  }
+  stream.lastSeq = packet.seq
+}
+
+/**
+ * Pick the format from the first packet and write the file's headers
+ */
+AudioRecorder.prototype._begin = function (stream, packet, payload) {
+  if (packet.codec === Packet.CODEC_OPUS) {
+    this.format = 'ogg'
+    this.mimeType = 'audio/ogg; codecs=opus'
+    this._ogg = {
+      serial: (Math.random() * 0x100000000) >>> 0,
+      sequence: 0,
+      channels: payload[0] & 0x4 ? 2 : 1, // TOC stereo bit
+      packets: [], // On the page being filled
+      granule: 0, // 48 kHz samples written
+      pageStart: 0 // Granule at the start of the page being filled
+    }
+    this._output(Ogg.page([Ogg.opusHead(this._ogg.channels, this.preSkip, stream.config.sampleRate)], {
+      serial: this._ogg.serial, sequence: this._ogg.sequence++, granule: 0, type: Ogg.FIRST_PAGE
+    }))
+    this._output(Ogg.page([Ogg.opusTags(VENDOR, this.tags)], {
+      serial: this._ogg.serial, sequence: this._ogg.sequence++, granule: 0
+    }))
+  } else {
+    this.format = 'wav'
+    this.mimeType = 'audio/wav'
+    this._wav = {
+      sampleRate: Pcm.sampleRate(packet.codec, stream.config.sampleRate),
+      channels: payload[0],
+      size: 0, // Bytes of samples written
+      resampler: null
+    }
+    this._output(Wav.header(this._wav.sampleRate, this._wav.channels, null))
+  }
+
+  console.log('[audio] Recording', stream.id, 'as', this.format)
+  this.emit('start', stream.id, this.format)
+}
+
+/**
+ * Add an Opus frame, after whatever fills the time since the last one
+ *
+ * A sequence gap means lost frames. Those the packet carries redundant
+ * copies of go in as such; the rest become empty packets, which decoders
+ * conceal. Time the lost frames don't account for was skipped by VAD, and
+ * becomes silence.
+ */
+AudioRecorder.prototype._writeOpus = function (stream, packet, payload, blocks) {
+  var rate = stream.config.sampleRate
+  var self = this
+
+  if (stream.next !== null) {
+    var missing = Packet.seqDiff(packet.seq, stream.lastSeq) - 1
+
+    blocks.forEach(function (block) {
+      if (block.seqOffset > missing) return // Not lost
+      var timestamp = (packet.timestamp - block.tsOffset) >>> 0
+      var before = (timestamp - stream.next) | 0
+      if (before < 0 || !block.data.length) return
+
+      self._oggSilence(Math.round(before * Ogg.OGG_RATE / rate))
+      self._oggPacket(block.data)
+      stream.next = (timestamp + Math.round(Ogg.packetSamples(block.data) * rate / Ogg.OGG_RATE)) >>> 0
+      missing--
+    })
+
+    var gap = Math.round(((packet.timestamp - stream.next) | 0) * Ogg.OGG_RATE / rate)
+    var frame = Ogg.packetSamples(Ogg.lostFrame(stream.lastToc))
+    var lost = frame ? Math.max(0, Math.min(missing, Math.floor(gap / frame))) : 0
+
+    // Lost frames were the ones just before this one
+    this._oggSilence(gap - lost * frame)
+    for (var i = 0; i < lost; i++) this._oggPacket(Ogg.lostFrame(stream.lastToc))
+  }
+
+  this._oggPacket(payload)
+  stream.lastToc = payload[0]
+  stream.next = (packet.timestamp + Math.round(Ogg.packetSamples(payload) * rate / Ogg.OGG_RATE)) >>> 0
+}
+
+AudioRecorder.prototype._oggSilence = function (samples) {
+  if (samples <= 0) return
+  var packets = Ogg.silence(samples, this._ogg.channels)
+  for (var i = 0; i < packets.length; i++) this._oggPacket(packets[i])
+}
+
+AudioRecorder.prototype._oggPacket = function (data) {
+  var ogg = this._ogg
+  if (!Ogg.canFit(ogg.packets, data) || ogg.granule - ogg.pageStart >= PAGE_SAMPLES) {
+    this._oggPage(0)
+  }
+  ogg.packets.push(data)
+  ogg.granule += Ogg.packetSamples(data)
+}
+
+/**
+ * Close the page being filled
+ *
+ * @param {number} type - Header type bits; Ogg.LAST_PAGE ends the stream,
+ *   with an empty page if need be
+ * @param {number} keep - Packets to leave for the next page (default: 0)
+ */
+AudioRecorder.prototype._oggPage = function (type, keep) {
+  var ogg = this._ogg
+  var packets = ogg.packets.slice(0, Math.max(0, ogg.packets.length - (keep || 0)))
+  if (!packets.length && !(type & Ogg.LAST_PAGE)) return
+
+  var kept = ogg.packets.slice(packets.length)
+  var granule = ogg.granule
+  kept.forEach(function (packet) { granule -= Ogg.packetSamples(packet) })
+
+  this._output(Ogg.page(packets, {
+    serial: ogg.serial,
+    sequence: ogg.sequence++,
+    granule: packets.length ? granule : -1,
+    type: type
+  }))
+  ogg.packets = kept
+  ogg.pageStart = granule
+}
+
+/**
+ * Add a PCM frame, after zeros for the time since the last one
+ */
+AudioRecorder.prototype._writePcm = function (stream, packet, payload) {
+  var wav = this._wav
+  var samples = Pcm.decode(payload, packet.codec)
+  if (!samples) return
+
+  if (samples.length !== wav.channels) {
+    if (!stream.warnedCodec) {
+      stream.warnedCodec = true
+      console.warn('[audio] Stream changed channel count mid-recording; its new frames are not recorded')
+    }
+    return
+  }
+
+  var streamRate = stream.config.sampleRate
+  var rate = Pcm.sampleRate(packet.codec, streamRate)
+  var frames = samples[0].length
+  if (rate !== wav.sampleRate) {
+    if (!wav.resampler || wav.resampler.inputRate !== rate) {
+      wav.resampler = new Resampler(rate, wav.sampleRate, wav.channels)
+    }
+    samples = wav.resampler.process(samples)
+  }
+
+  if (stream.next !== null) {
+    var gap = Math.round(((packet.timestamp - stream.next) | 0) * wav.sampleRate / streamRate)
+    this._wavSilence(Math.min(gap, MAX_WAV_GAP * wav.sampleRate))
+  }
+
+  this._wavData(Wav.samples(samples))
+  stream.next = (packet.timestamp + Math.round(frames * streamRate / rate)) >>> 0
+}
+
+AudioRecorder.prototype._wavSilence = function (frames) {
+  var bytes = frames * this._wav.channels * 2
+  if (bytes <= 0) return
+  var chunk = new Uint8Array(Math.min(bytes, SILENCE_CHUNK))
+  for (; bytes > 0; bytes -= chunk.byteLength) {
+    this._wavData(bytes < chunk.byteLength ? chunk.subarray(0, bytes) : chunk)
+  }
+}
+
+AudioRecorder.prototype._wavData = function (bytes) {
+  this._wav.size += bytes.byteLength
+  this._output(bytes)
+}
+
+// ─── Output ─────────────────────────────────────────────────────────────────
+
+AudioRecorder.prototype._output = function (bytes) {
+  this._pending.push(bytes)
+}
+
+/**
+ * Emit what's been written since the last chunk as one `data` chunk
+ *
+ * An Ogg chunk ends on a page boundary, so the chunks so far always make a
+ * playable file. The newest frame waits for the next chunk, so that the
+ * last page, which stop() marks, is never empty. A WAV file's first chunk
+ * has a header with unknown sizes (see src/wav.js); the Blob from stop()
+ * has the real ones.
+ */
+AudioRecorder.prototype._flush = function () {
+  if (this.format === 'ogg' && this._started) this._oggPage(0, 1)
+  if (!this._pending.length) return
+
+  var size = 0
+  this._pending.forEach(function (bytes) { size += bytes.byteLength })
+
+  var chunk = new Uint8Array(size)
+  var offset = 0
+  this._pending.forEach(function (bytes) {
+    chunk.set(bytes, offset)
+    offset += bytes.byteLength
+  })
+  this._pending = []
+
+  if (this.keepData) this._chunks.push(chunk)
+  this.emit('data', chunk)
+}
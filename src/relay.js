@@ -0,0 +1,271 @@
+module.exports = AudioRelay
+
+var AudioChannelManager = require('./channel')
+var Packet = require('./packet')
+var ReorderBuffer = require('./reorder')
+var EventEmitter = require('events').EventEmitter
+var inherits = require('inherits')
+
+inherits(AudioRelay, EventEmitter)
+
+// A stream that sends nothing for this long has ended (as in AudioListener)
+var STREAM_TIMEOUT = 6000 // ms
+var DEFAULT_REORDER_DELAY = 20 // ms
+
+/**
+ * AudioRelay - Passes audio down the tree without playing it
+ *
+ * For nodes that should carry the stream but not hear it: muted tabs,
+ * kiosks, bots. There's no AudioContext, worklet or decoder, so it needs
+ * no Web Audio and no user gesture, and runs wherever the node does.
+ *
+ * The channel manager does the relaying (and contributions, talkback,
+ * feedback and signature checks). The relay follows the streams going
+ * through, with the same packet counts and events as AudioListener, minus
+ * everything about playback.
+ *
+ * @param {Object} node - fireflower Node instance
+ * @param {Object} opts - Configuration options
+ * @param {number} opts.reorderDelay - Max wait for an out-of-order packet before counting it lost, in ms (default: 20)
+ * @param {AudioChannelManager} opts.channelManager - Channel manager to relay through (default: a new one)
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} opts.publicKey - Only relay packets signed with this key
+ *   (see AudioChannelManager#addPublicKey)
+ * @param {number} opts.publicKeyId - Its signing key id, 0-255 (default: 0)
+ */
+function AudioRelay (node, opts) {
+  if (!(this instanceof AudioRelay)) return new AudioRelay(node, opts)
+  EventEmitter.call(this)
+
+  opts = opts || {}
+  this.node = node
+  this.reorderDelay = opts.reorderDelay != null ? opts.reorderDelay : DEFAULT_REORDER_DELAY
+
+  this._channelManager = opts.channelManager || new AudioChannelManager(node, { relay: true })
+  this._ownsChannelManager = !opts.channelManager
+  this._started = false
+  this._boundHandlers = {}
+
+  if (opts.publicKey) {
+    this._channelManager.addPublicKey(opts.publicKeyId || 0, opts.publicKey).catch(function (err) {
+      console.warn('[audio] Failed to import public key:', err)
+    })
+  }
+
+  // Streams going through, by epoch (see _addStream)
+  this._streams = {}
+  this._streamTimer = null
+  this._endedStats = emptyStats() // Counts of streams that have ended
+
+  // Stream configuration, as last announced by any broadcaster
+  this.streamConfig = null
+
+  // Our upstream link: 'server' or 'p2p'
+  this.transport = null
+}
+
+/**
+ * Start relaying
+ * @returns {Promise}
+ */
+AudioRelay.prototype.start = async function () {
+  if (this._started) return
+  this._started = true
+
+  var self = this
+
+  this._channelManager.start()
+
+  this._boundHandlers.audio = function (data, fromPeer, packet) {
+    self._onAudio(packet)
+  }
+  this._channelManager.on('audio', this._boundHandlers.audio)
+
+  this._boundHandlers.config = function (data, fromPeer, packet) {
+    self._onConfig(packet)
+  }
+  this._channelManager.on('config', this._boundHandlers.config)
+
+  this._boundHandlers.drop = function (peer, stats) {
+    self.emit('drop', peer, stats)
+  }
+  this._channelManager.on('drop', this._boundHandlers.drop)
+
+  this._boundHandlers.tamper = function (peer, info) {
+    self.emit('tamper', peer, info)
+  }
+  this._channelManager.on('tamper', this._boundHandlers.tamper)
+
+  this._boundHandlers.transport = function (transport, previous) {
+    self.transport = transport
+    self.emit('transport', transport, previous)
+  }
+  this._channelManager.on('transport', this._boundHandlers.transport)
+  this.transport = this._channelManager.transport
+
+  // End streams whose broadcaster went away
+  this._streamTimer = setInterval(function () {
+    self._checkStreams()
+  }, STREAM_TIMEOUT / 3)
+}
+
+/**
+ * Stop relaying
+ */
+AudioRelay.prototype.stop = function () {
+  if (!this._started) return
+  this._started = false
+
+  // Stop channel manager (a shared one keeps running for the others)
+  if (this._ownsChannelManager) this._channelManager.stop()
+  for (var name in this._boundHandlers) {
+    this._channelManager.removeListener(name, this._boundHandlers[name])
+  }
+  this._boundHandlers = {}
+
+  clearInterval(this._streamTimer)
+  this._streamTimer = null
+
+  for (var epoch in this._streams) {
+    this._removeStream(this._streams[epoch])
+  }
+}
+
+// ─── Streams ────────────────────────────────────────────────────────────────
+
+/**
+ * The streams going through, as { id, config, stats } (stats as in getStats())
+ *
+ * @returns {Object[]}
+ */
+AudioRelay.prototype.getStreams = function () {
+  var streams = []
+  for (var epoch in this._streams) {
+    var stream = this._streams[epoch]
+    streams.push({ id: stream.id, config: stream.config, stats: streamStats(stream) })
+  }
+  return streams
+}
+
+/**
+ * Start following a stream (first packet or config of a new epoch)
+ */
+AudioRelay.prototype._addStream = function (epoch) {
+  var self = this
+  var stream = {
+    epoch: epoch,
+    id: String(epoch), // Until its config names it
+    config: null,
+    time: Date.now(), // Last packet
+
+    // Only counts: packets are relayed as they come, not in order
+    reorder: new ReorderBuffer({ maxDelay: this.reorderDelay })
+  }
+
+  stream.reorder.on('packet', function (packet) {
+    self.emit('audio', {
+      stream: stream.id,
+      isOpus: packet.codec === Packet.CODEC_OPUS,
+      size: packet.payload.byteLength,
+      seq: packet.seq,
+      timestamp: packet.timestamp
+    })
+  })
+  stream.reorder.on('lost', function (info) {
+    self.emit('loss', { stream: stream.id, seq: info.seq, count: info.count })
+  })
+
+  this._streams[epoch] = stream
+  return stream
+}
+
+AudioRelay.prototype._removeStream = function (stream) {
+  if (this._streams[stream.epoch] !== stream) return
+  delete this._streams[stream.epoch]
+
+  // Keep its counts in the totals
+  var stats = streamStats(stream)
+  for (var key in this._endedStats) this._endedStats[key] += stats[key]
+
+  stream.reorder.destroy()
+  if (stream.config) this.emit('stream:end', stream.id)
+}
+
+AudioRelay.prototype._checkStreams = function () {
+  var now = Date.now()
+  for (var epoch in this._streams) {
+    var stream = this._streams[epoch]
+    if (now - stream.time > STREAM_TIMEOUT) this._removeStream(stream)
+  }
+}
+
+AudioRelay.prototype._onAudio = function (packet) {
+  var stream = this._streams[packet.epoch] || this._addStream(packet.epoch)
+  stream.time = Date.now()
+  stream.reorder.push(packet)
+}
+
+/**
+ * Handle a stream config announcement
+ *
+ * A restarted broadcaster comes back under a new epoch with the same id;
+ * its old stream ends right away.
+ */
+AudioRelay.prototype._onConfig = function (packet) {
+  var config = Packet.decodeConfig(packet.payload)
+  if (!config) return
+
+  var stream = this._streams[packet.epoch] || this._addStream(packet.epoch)
+  stream.time = Date.now()
+
+  // The capture clock (sync mode) moves on with every announcement
+  delete config.capture
+
+  // Announcements repeat; only report changes
+  var changed = JSON.stringify(config) !== JSON.stringify(stream.config)
+  var started = !stream.config
+  stream.config = config
+  this.streamConfig = config
+
+  if (config.streamId && config.streamId !== stream.id) {
+    for (var epoch in this._streams) {
+      var other = this._streams[epoch]
+      if (other !== stream && other.id === config.streamId) this._removeStream(other)
+    }
+    stream.id = config.streamId
+  }
+
+  if (started) this.emit('stream:start', stream.id, config)
+  if (changed) this.emit('config', config)
+}
+
+// ─── Stats ──────────────────────────────────────────────────────────────────
+
+/**
+ * Get reception statistics, over all streams
+ * @returns {Object} Packet counts (received, lost, late, reordered, duplicates)
+ */
+AudioRelay.prototype.getStats = function () {
+  var stats = Object.assign({}, this._endedStats)
+  for (var epoch in this._streams) {
+    var stream = streamStats(this._streams[epoch])
+    for (var key in stats) stats[key] += stream[key]
+  }
+  return stats
+}
+
+function streamStats (stream) {
+  var stats = stream.reorder.stats
+  var out = emptyStats()
+  for (var key in out) out[key] = stats[key] || 0
+  return out
+}
+
+function emptyStats () {
+  return {
+    received: 0,
+    lost: 0,
+    late: 0,
+    reordered: 0,
+    duplicates: 0
+  }
+}
@@ -0,0 +1,168 @@
+module.exports = ReorderBuffer
+
+var EventEmitter = require('events').EventEmitter
+var inherits = require('inherits')
+var seqDiff = require('./packet').seqDiff
+
+inherits(ReorderBuffer, EventEmitter)
+
+// Hold out-of-order packets at most this long before declaring the gap lost
+var DEFAULT_MAX_DELAY = 20 // ms (one frame)
+
+// Never hold more than this many packets, whatever the delay
+var MAX_PENDING = 16
+
+/**
+ * ReorderBuffer - Restores sequence order for packets from an unordered channel
+ *
+ * Packets are released in sequence order via the `packet` event. A hole in the
+ * sequence is waited on for at most `maxDelay` ms, after which it is reported
+ * via `lost` and the following packets are released. Packets arriving after
+ * their slot was given up on are reported via `late` and not released.
+ *
+ * @param {Object} opts - Options
+ * @param {number} opts.maxDelay - Max time to wait for a missing packet in ms (default: 20)
+ */
+function ReorderBuffer (opts) {
+  if (!(this instanceof ReorderBuffer)) return new ReorderBuffer(opts)
+  EventEmitter.call(this)
+
+  opts = opts || {}
+  this.maxDelay = opts.maxDelay != null ? opts.maxDelay : DEFAULT_MAX_DELAY
+
+  this.stats = {
+    received: 0,
+    lost: 0,
+    late: 0,
+    reordered: 0,
+    duplicates: 0
+  }
+
+  this._epoch = null
+  this._timer = null
+  this.reset()
+}
+
+/**
+ * Forget sequence state (e.g. on stream restart)
+ */
+ReorderBuffer.prototype.reset = function () {
+  this._clearTimer()
+  this._nextSeq = null
+  this._highestSeq = null
+  this._pending = {}
+  this._pendingCount = 0
+}
+
+/**
+ * Add a parsed packet (see packet.decode)
+ */
+ReorderBuffer.prototype.push = function (packet) {
+  // New epoch: broadcaster restarted, sequence numbers start over
+  if (packet.epoch !== this._epoch) {
+    this.reset()
+    if (this._epoch !== null) this.emit('reset', packet.epoch)
+    this._epoch = packet.epoch
+  }
+
+  if (this._nextSeq === null) {
+    this._nextSeq = packet.seq
+    this._highestSeq = packet.seq
+  }
+
+  if (seqDiff(packet.seq, this._nextSeq) < 0) {
+    // Slot already released or given up on
+    this.stats.late++
+    this.emit('late', packet)
+    return
+  }
+
+  if (this._pending[packet.seq]) {
+    this.stats.duplicates++
+    return
+  }
+
+  this.stats.received++
+  if (seqDiff(packet.seq, this._highestSeq) < 0) {
+    this.stats.reordered++
+  } else {
+    this._highestSeq = packet.seq
+  }
+
+  this._pending[packet.seq] = packet
+  this._pendingCount++
+  this._release()
+
+  if (this._pendingCount > MAX_PENDING) {
+    this._skipGap()
+  } else if (this._pendingCount > 0 && !this._timer) {
+    this._armTimer()
+  }
+}
+
+/**
+ * Release all in-order packets at the head of the buffer
+ */
+ReorderBuffer.prototype._release = function () {
+  var released = false
+
+  while (this._pending[this._nextSeq]) {
+    var packet = this._pending[this._nextSeq]
+    delete this._pending[this._nextSeq]
+    this._pendingCount--
+    this._nextSeq = (this._nextSeq + 1) >>> 0
+    released = true
+    this.emit('packet', packet)
+  }
+
+  // The head moved, so any running deadline was for a hole that is now filled
+  if (released) this._clearTimer()
+}
+
+/**
+ * Give up on the hole at the head of the buffer and release what follows
+ */
+ReorderBuffer.prototype._skipGap = function () {
+  this._clearTimer()
+  if (this._pendingCount === 0) return
+
+  // Find the earliest pending packet
+  var next = null
+  for (var key in this._pending) {
+    var seq = this._pending[key].seq
+    if (next === null || seqDiff(seq, next) < 0) next = seq
+  }
+
+  var count = seqDiff(next, this._nextSeq)
+  this.stats.lost += count
+  this.emit('lost', { seq: this._nextSeq, count: count, before: this._pending[next] })
+  this._nextSeq = next
+  this._release()
+
+  // More holes behind this one get their own deadline
+  if (this._pendingCount > 0) this._armTimer()
+}
+
+ReorderBuffer.prototype._armTimer = function () {
+  var self = this
+  this._clearTimer()
+  this._timer = setTimeout(function () {
+    self._timer = null
+    self._skipGap()
+  }, this.maxDelay)
+}
+
+ReorderBuffer.prototype._clearTimer = function () {
+  if (this._timer) {
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+}
+
+/**
+ * Stop timers and drop held packets
+ */
+ReorderBuffer.prototype.destroy = function () {
+  this.reset()
+  this._epoch = null
+}
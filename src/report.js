@@ -0,0 +1,193 @@
+/**
+ * Receiver report payload (Packet.TYPE_REPORT)
+ *
+ * A report summarizes how a subtree hears the stream, as histograms that
+ * relays can merge by adding them up:
+ *
+ *   offset  size  field
+ *   0       2     listener count
+ *   2       16    loss rate histogram (8 × u16 counts, see LOSS_BOUNDS)
+ *   18      16    underruns per minute histogram (see UNDERRUN_BOUNDS)
+ *   34      16    jitter buffer target histogram (see BUFFER_BOUNDS)
+ *   50      2×3   decoder counts: WebCodecs, WASM, none (PCM only)
+ *
+ * All big-endian. Each listener falls in one bucket per histogram: the
+ * first whose upper bound is at least its value.
+ */
+
+var LOSS_BOUNDS = [0, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, Infinity] // Share of packets
+var UNDERRUN_BOUNDS = [0, 1, 2, 5, 10, 20, 60, Infinity] // Per minute
+var BUFFER_BOUNDS = [20, 30, 40, 60, 80, 120, 160, Infinity] // ms
+var DECODERS = ['webcodecs', 'wasm', 'none']
+var BUCKETS = 8
+var PAYLOAD_SIZE = 2 + 3 * BUCKETS * 2 + DECODERS.length * 2
+
+exports.LOSS_BOUNDS = LOSS_BOUNDS
+exports.UNDERRUN_BOUNDS = UNDERRUN_BOUNDS
+exports.BUFFER_BOUNDS = BUFFER_BOUNDS
+exports.DECODERS = DECODERS
+exports.empty = empty
+exports.fromListener = fromListener
+exports.merge = merge
+exports.encode = encode
+exports.decode = decode
+exports.describe = describe
+
+/**
+ * @returns {Object} Report with no listeners
+ */
+function empty () {
+  return {
+    listeners: 0,
+    loss: zeros(),
+    underruns: zeros(),
+    jitterBuffer: zeros(),
+    decoders: { webcodecs: 0, wasm: 0, none: 0 }
+  }
+}
+
+/**
+ * Report for a single listener
+ *
+ * @param {Object} stats
+ * @param {number} stats.loss - Share of packets lost, 0-1
+ * @param {number} stats.underruns - Underruns per minute
+ * @param {number} stats.jitterBuffer - Jitter buffer target in ms
+ * @param {string} stats.decoder - 'webcodecs', 'wasm' or 'none'
+ * @returns {Object}
+ */
+function fromListener (stats) {
+  var report = empty()
+  report.listeners = 1
+  report.loss[bucket(LOSS_BOUNDS, stats.loss)]++
+  report.underruns[bucket(UNDERRUN_BOUNDS, stats.underruns)]++
+  report.jitterBuffer[bucket(BUFFER_BOUNDS, stats.jitterBuffer)]++
+  if (report.decoders[stats.decoder] !== undefined) report.decoders[stats.decoder]++
+  return report
+}
+
+/**
+ * Add b into a
+ *
+ * @param {Object} a - Report (modified)
+ * @param {Object} b - Report
+ * @returns {Object} a
+ */
+function merge (a, b) {
+  a.listeners += b.listeners
+  for (var i = 0; i < BUCKETS; i++) {
+    a.loss[i] += b.loss[i]
+    a.underruns[i] += b.underruns[i]
+    a.jitterBuffer[i] += b.jitterBuffer[i]
+  }
+  DECODERS.forEach(function (name) {
+    a.decoders[name] += b.decoders[name]
+  })
+  return a
+}
+
+/**
+ * @param {Object} report
+ * @returns {Uint8Array}
+ */
+function encode (report) {
+  var out = new Uint8Array(PAYLOAD_SIZE)
+  var view = new DataView(out.buffer)
+  var offset = 2
+
+  view.setUint16(0, clamp16(report.listeners))
+  ;[report.loss, report.underruns, report.jitterBuffer].forEach(function (histogram) {
+    for (var i = 0; i < BUCKETS; i++) {
+      view.setUint16(offset, clamp16(histogram[i]))
+      offset += 2
+    }
+  })
+  DECODERS.forEach(function (name) {
+    view.setUint16(offset, clamp16(report.decoders[name]))
+    offset += 2
+  })
+
+  return out
+}
+
+/**
+ * @param {Uint8Array} payload
+ * @returns {Object|null} Report, or null if malformed
+ */
+function decode (payload) {
+  if (payload.byteLength < PAYLOAD_SIZE) return null
+
+  var view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength)
+  var report = empty()
+  var offset = 2
+
+  report.listeners = view.getUint16(0)
+  ;[report.loss, report.underruns, report.jitterBuffer].forEach(function (histogram) {
+    for (var i = 0; i < BUCKETS; i++) {
+      histogram[i] = view.getUint16(offset)
+      offset += 2
+    }
+  })
+  DECODERS.forEach(function (name) {
+    report.decoders[name] = view.getUint16(offset)
+    offset += 2
+  })
+
+  return report
+}
+
+/**
+ * Percentiles of a report, for people to read
+ *
+ * Values are bucket upper bounds, so they're upper estimates; the open-ended
+ * last bucket reports its lower bound.
+ *
+ * @param {Object} report
+ * @returns {Object} { listeners, loss, underruns, jitterBuffer, decoders }, where
+ *   loss (0-1), underruns (per minute) and jitterBuffer (ms) are { p50, p90, p99 }
+ */
+function describe (report) {
+  return {
+    listeners: report.listeners,
+    loss: percentiles(report.loss, LOSS_BOUNDS, report.listeners),
+    underruns: percentiles(report.underruns, UNDERRUN_BOUNDS, report.listeners),
+    jitterBuffer: percentiles(report.jitterBuffer, BUFFER_BOUNDS, report.listeners),
+    decoders: Object.assign({}, report.decoders)
+  }
+}
+
+function percentiles (histogram, bounds, total) {
+  return {
+    p50: percentile(histogram, bounds, total, 0.5),
+    p90: percentile(histogram, bounds, total, 0.9),
+    p99: percentile(histogram, bounds, total, 0.99)
+  }
+}
+
+function percentile (histogram, bounds, total, p) {
+  if (!total) return 0
+
+  var rank = Math.ceil(total * p)
+  var count = 0
+  for (var i = 0; i < BUCKETS; i++) {
+    count += histogram[i]
+    if (count >= rank) break
+  }
+  i = Math.min(i, BUCKETS - 1)
+  return bounds[i] === Infinity ? bounds[i - 1] : bounds[i]
+}
+
+function bucket (bounds, value) {
+  for (var i = 0; i < BUCKETS - 1; i++) {
+    if (value <= bounds[i]) return i
+  }
+  return BUCKETS - 1
+}
+
+function zeros () {
+  return [0, 0, 0, 0, 0, 0, 0, 0]
+}
+
+function clamp16 (value) {
+  return Math.min(value, 0xffff)
+}
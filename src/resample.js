@@ -0,0 +1,133 @@
+module.exports = Resampler
+
+// Zero crossings of the sinc kernel on each side (at the lower of the two rates)
+var ZERO_CROSSINGS = 8
+
+// Passband as a share of the lower Nyquist frequency, leaving room for the
+// transition band so nothing above Nyquist folds back
+var ROLLOFF = 0.9
+
+// Kernel table resolution (samples per zero crossing)
+var KERNEL_RESOLUTION = 128
+
+var kernel = null
+
+/**
+ * Resampler - Band-limited sample rate conversion for planar audio
+ *
+ * Windowed-sinc interpolation with the cutoff at the lower of the two rates,
+ * so downsampling is anti-aliased and upsampling doesn't image. State is
+ * kept between calls, so a stream can be fed frame by frame without seams;
+ * output lags input by the kernel's half-width.
+ *
+ * Frame lengths out vary by a sample when the ratio isn't a whole number.
+ *
+ * @param {number} inputRate - Input sample rate in Hz
+ * @param {number} outputRate - Output sample rate in Hz
+ * @param {number} channels - Channel count (default: 1)
+ */
+function Resampler (inputRate, outputRate, channels) {
+  if (!(this instanceof Resampler)) return new Resampler(inputRate, outputRate, channels)
+
+  this.inputRate = inputRate
+  this.outputRate = outputRate
+  this.channels = channels || 1
+
+  this._step = inputRate / outputRate // Input samples per output sample
+  this._cutoff = Math.min(1, outputRate / inputRate) * ROLLOFF
+  this._halfWidth = Math.ceil(ZERO_CROSSINGS / this._cutoff) // In input samples
+
+  kernel = kernel || buildKernel()
+  this.reset()
+}
+
+/**
+ * Forget the signal history (e.g. on stream restart)
+ */
+Resampler.prototype.reset = function () {
+  // Start with a half-width of silence, so the first output has left context
+  this._history = []
+  for (var c = 0; c < this.channels; c++) {
+    this._history.push(new Float32Array(this._halfWidth))
+  }
+  this._time = this._halfWidth // Next output position in the history, in input samples
+}
+
+/**
+ * Convert one block
+ *
+ * @param {Float32Array[]} planes - One array per channel, at the input rate
+ * @returns {Float32Array[]} One array per channel, at the output rate
+ */
+Resampler.prototype.process = function (planes) {
+  var halfWidth = this._halfWidth
+  var length = this._history[0].length + planes[0].length
+
+  // Outputs whose kernel is covered by the input so far
+  var count = Math.max(0, Math.floor((length - halfWidth - this._time) / this._step))
+  var out = []
+  var c
+
+  for (c = 0; c < this.channels; c++) {
+    var input = new Float32Array(length)
+    input.set(this._history[c])
+    input.set(planes[Math.min(c, planes.length - 1)], this._history[c].length)
+
+    var output = new Float32Array(count)
+    for (var j = 0; j < count; j++) {
+      output[j] = this._interpolate(input, this._time + j * this._step)
+    }
+    out.push(output)
+
+    this._history[c] = input
+  }
+
+  // Keep what the next outputs' kernels still reach back to
+  var time = this._time + count * this._step
+  var keep = Math.max(0, Math.floor(time) - halfWidth)
+  for (c = 0; c < this.channels; c++) {
+    this._history[c] = this._history[c].slice(keep)
+  }
+  this._time = time - keep
+
+  return out
+}
+
+Resampler.prototype._interpolate = function (input, time) {
+  var halfWidth = this._halfWidth
+  var cutoff = this._cutoff
+  var first = Math.max(0, Math.ceil(time - halfWidth))
+  var last = Math.min(input.length - 1, Math.floor(time + halfWidth))
+  var sum = 0
+
+  for (var k = first; k <= last; k++) {
+    sum += input[k] * kernelAt(Math.abs(time - k) * cutoff)
+  }
+
+  return sum * cutoff
+}
+
+/**
+ * Blackman-windowed sinc over [0, ZERO_CROSSINGS], one side (it's symmetric)
+ */
+function buildKernel () {
+  var size = ZERO_CROSSINGS * KERNEL_RESOLUTION + 2
+  var table = new Float32Array(size)
+
+  for (var i = 0; i < size; i++) {
+    var x = i / KERNEL_RESOLUTION
+    if (x >= ZERO_CROSSINGS) break
+    var sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x)
+    var w = 0.42 + 0.5 * Math.cos(Math.PI * x / ZERO_CROSSINGS) + 0.08 * Math.cos(2 * Math.PI * x / ZERO_CROSSINGS)
+    table[i] = sinc * w
+  }
+
+  return table
+}
+
+function kernelAt (x) {
+  var position = x * KERNEL_RESOLUTION
+  var i = Math.floor(position)
+  if (i >= kernel.length - 1) return 0
+  return kernel[i] + (kernel[i + 1] - kernel[i]) * (position - i)
+}
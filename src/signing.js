@@ -0,0 +1,120 @@
+/**
+ * Signed packets (Packet.FLAG_SIGNED)
+ *
+ * A signed packet ends in a trailer after its payload:
+ *
+ *   size  field
+ *   1     signing key id
+ *   64    signature over everything before it (header, payload, key id)
+ *
+ * Signatures are ECDSA P-256 with SHA-256 (raw r|s) or Ed25519; both are
+ * 64 bytes, and the key says which. The broadcaster signs with its private
+ * key; relays and listeners check against public keys the app hands out.
+ * With encryption, the encrypted payload is what gets signed, so relays can
+ * check packets they can't decrypt.
+ *
+ * The key id lets several broadcasters (or a new key) coexist: each packet
+ * names the public key to check it with.
+ */
+
+var Packet = require('./packet')
+
+var SIGNATURE_SIZE = 64
+var TRAILER_SIZE = 1 + SIGNATURE_SIZE
+
+exports.TRAILER_SIZE = TRAILER_SIZE
+exports.importPublicKey = importPublicKey
+exports.sign = sign
+exports.verify = verify
+exports.keyId = keyId
+exports.unsigned = unsigned
+
+// WebCrypto parameters for a key's algorithm
+function params (key) {
+  return key.algorithm.name === 'Ed25519'
+    ? { name: 'Ed25519' }
+    : { name: 'ECDSA', hash: 'SHA-256' }
+}
+
+/**
+ * Turn an app-supplied public key into a CryptoKey
+ *
+ * @param {CryptoKey|ArrayBuffer|Uint8Array} key - A CryptoKey, or a raw public key:
+ *   32 bytes for Ed25519, 65 (uncompressed point) for P-256
+ * @returns {Promise<CryptoKey>}
+ */
+function importPublicKey (key) {
+  if (typeof CryptoKey !== 'undefined' && key instanceof CryptoKey) {
+    return Promise.resolve(key)
+  }
+
+  var bytes = key instanceof Uint8Array ? key : new Uint8Array(key)
+  var algorithm
+  if (bytes.byteLength === 32) {
+    algorithm = { name: 'Ed25519' }
+  } else if (bytes.byteLength === 65) {
+    algorithm = { name: 'ECDSA', namedCurve: 'P-256' }
+  } else {
+    return Promise.reject(new Error('Public keys are 32 (Ed25519) or 65 (P-256) raw bytes, got ' + bytes.byteLength))
+  }
+  return crypto.subtle.importKey('raw', bytes, algorithm, false, ['verify'])
+}
+
+/**
+ * Build a signed packet
+ *
+ * @param {CryptoKey} key - Private ECDSA P-256 or Ed25519 key
+ * @param {number} id - Signing key id (0-255)
+ * @param {Object} header - Packet header fields, with FLAG_SIGNED set
+ * @param {ArrayBuffer|Uint8Array} payload
+ * @returns {Promise<Uint8Array>} The whole packet
+ */
+function sign (key, id, header, payload) {
+  var body = payload instanceof Uint8Array ? payload : new Uint8Array(payload)
+  var signed = new Uint8Array(body.byteLength + 1)
+  signed.set(body)
+  signed[body.byteLength] = id
+
+  var frame = Packet.encode(header, signed)
+  return crypto.subtle.sign(params(key), key, frame).then(function (signature) {
+    var out = new Uint8Array(frame.byteLength + SIGNATURE_SIZE)
+    out.set(frame)
+    out.set(new Uint8Array(signature), frame.byteLength)
+    return out
+  })
+}
+
+/**
+ * Check a signed packet
+ *
+ * @param {CryptoKey} key - Public key for keyId(packet.payload)
+ * @param {ArrayBuffer|Uint8Array} data - The packet as received
+ * @returns {Promise<boolean>}
+ */
+function verify (key, data) {
+  var bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+  if (bytes.byteLength < Packet.HEADER_SIZE + TRAILER_SIZE) return Promise.resolve(false)
+
+  var end = bytes.byteLength - SIGNATURE_SIZE
+  return crypto.subtle.verify(params(key), key, bytes.subarray(end), bytes.subarray(0, end))
+}
+
+/**
+ * Signing key id of a signed packet's payload (trailer included)
+ *
+ * @returns {number|null}
+ */
+function keyId (payload) {
+  if (payload.byteLength < TRAILER_SIZE) return null
+  return payload[payload.byteLength - TRAILER_SIZE]
+}
+
+/**
+ * A signed packet's payload without the trailer
+ *
+ * @returns {Uint8Array|null}
+ */
+function unsigned (payload) {
+  if (payload.byteLength < TRAILER_SIZE) return null
+  return payload.subarray(0, payload.byteLength - TRAILER_SIZE)
+}
@@ -0,0 +1,78 @@
+/**
+ * WAV (RIFF) files of 16-bit PCM
+ *
+ *   offset  size  field
+ *   0       4     "RIFF", then the size of what follows (4)
+ *   8       4     "WAVE"
+ *   12      24    "fmt " chunk: format 1 (PCM), channels, sample rate,
+ *                 byte rate, block align, bits per sample
+ *   36      8     "data", then the size of the samples (4)
+ *   44      ...   samples, interleaved by channel
+ *
+ * All fields are little-endian. When a file is streamed out before its
+ * length is known, both sizes are 0xffffffff, which most readers take as
+ * "to the end of the file".
+ */
+
+var HEADER_SIZE = 44
+var UNKNOWN_SIZE = 0xffffffff
+
+exports.HEADER_SIZE = HEADER_SIZE
+exports.header = header
+exports.samples = samples
+
+/**
+ * Build a WAV header
+ *
+ * @param {number} sampleRate - In Hz
+ * @param {number} channels
+ * @param {number} dataSize - Bytes of samples that follow, or null if not known yet
+ * @returns {Uint8Array}
+ */
+function header (sampleRate, channels, dataSize) {
+  var out = new Uint8Array(HEADER_SIZE)
+  var view = new DataView(out.buffer)
+  var blockAlign = channels * 2
+
+  setAscii(out, 0, 'RIFF')
+  view.setUint32(4, dataSize == null ? UNKNOWN_SIZE : 36 + dataSize, true)
+  setAscii(out, 8, 'WAVE')
+  setAscii(out, 12, 'fmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true) // PCM
+  view.setUint16(22, channels, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * blockAlign, true)
+  view.setUint16(32, blockAlign, true)
+  view.setUint16(34, 16, true)
+  setAscii(out, 36, 'data')
+  view.setUint32(40, dataSize == null ? UNKNOWN_SIZE : dataSize, true)
+
+  return out
+}
+
+/**
+ * Interleave planar samples as 16-bit WAV data
+ *
+ * @param {Float32Array[]} planes - One array per channel
+ * @returns {Uint8Array}
+ */
+function samples (planes) {
+  var channels = planes.length
+  var frames = planes[0].length
+  var out = new Uint8Array(frames * channels * 2)
+  var view = new DataView(out.buffer)
+
+  for (var i = 0; i < frames; i++) {
+    for (var c = 0; c < channels; c++) {
+      var s = Math.max(-1, Math.min(1, planes[c][i]))
+      view.setInt16((i * channels + c) * 2, Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF), true)
+    }
+  }
+
+  return out
+}
+
+function setAscii (out, offset, text) {
+  for (var i = 0; i < text.length; i++) out[offset + i] = text.charCodeAt(i)
+}
@@ -0,0 +1,590 @@
+/**
+ * Archive worker - lossless WAV or FLAC of the broadcaster's processed mic
+ *
+ * Gets every captured frame, including those VAD kept off the air, straight
+ * from the capture worklet over a MessagePort (or from the main thread with
+ * the ScriptProcessorNode fallback), and writes them in a dedicated Web
+ * Worker, so the archive costs neither the main thread nor the audio thread.
+ *
+ * Markers are sample ranges of the archive the live stream didn't carry:
+ * 'gated' (VAD skipped the frames) from the worklet's frames, and
+ * 'dropped' (encoded but not sent, see AudioBroadcaster) from the main thread.
+ *
+ * Messages in:
+ *   { type: 'init', format: 'wav' | 'flac', sampleRate, channels, bitDepth, timeslice }
+ *   { type: 'port', port } - frames from the capture worklet come through it
+ *   { type: 'frame', samples: Float32Array[] (planar), timestamp, gated }
+ *   { type: 'mark', marker: 'dropped', reason, timestamp, length }
+ *   { type: 'end' }
+ *
+ * Messages out:
+ *   { type: 'data', data: ArrayBuffer } - the next chunk of the file
+ *   { type: 'marker', marker: { type, reason, start, end } } - once a range is over
+ *   { type: 'end', header: ArrayBuffer, headerSize, trailer: ArrayBuffer, samples, markers }
+ *     - the header to put in place of the first headerSize bytes, now that
+ *       the length is known, and what goes after the last chunk
+ *
+ * Positions (start, end, samples) count sample frames from the first one
+ * archived.
+ */
+
+var FLAC_BLOCK_SIZE = 4096 // Samples per channel in each FLAC frame
+var FLAC_MAX_RICE = 30 // Largest 5-bit Rice parameter (31 is the escape code)
+
+// Fixed predictors by order, newest sample first (RFC 9639 9.2.5)
+var FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]]
+
+var DROP_SETTLE = 1 // s; a dropped range this far behind the archive is over
+
+var writer = null
+var timer = null
+var first = null // Timestamp of the first frame archived
+var written = 0 // Sample frames archived
+var open = {} // Marker ranges still growing, by type
+var markers = []
+
+var CRC8_TABLE = null
+var CRC16_TABLE = null
+
+self.onmessage = function (evt) {
+  var msg = evt.data
+  try {
+    if (msg.type === 'init') {
+      init(msg)
+    } else if (msg.type === 'port') {
+      msg.port.onmessage = function (evt) { onFrame(evt.data) }
+    } else if (msg.type === 'frame') {
+      onFrame(msg)
+    } else if (msg.type === 'mark') {
+      mark(msg)
+    } else if (msg.type === 'end') {
+      end()
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) })
+  }
+}
+
+function init (opts) {
+  if (opts.bitDepth !== 16 && opts.bitDepth !== 24) {
+    throw new Error('Archives are 16 or 24 bits, not ' + opts.bitDepth)
+  }
+  writer = opts.format === 'flac'
+    ? new FlacWriter(opts.sampleRate, opts.channels, opts.bitDepth)
+    : new WavWriter(opts.sampleRate, opts.channels, opts.bitDepth)
+
+  if (opts.timeslice) timer = setInterval(flush, opts.timeslice)
+  self.postMessage({ type: 'ready' })
+}
+
+function onFrame (frame) {
+  if (!writer || frame.type !== 'frame') return
+  if (first === null) first = frame.timestamp
+
+  var start = frame.timestamp - first
+  var length = frame.samples[0].length
+  if (frame.gated) extend('gated', null, start, length)
+  else close('gated')
+
+  writer.write(frame.samples)
+  written = start + length
+
+  var dropped = open.dropped
+  if (dropped && dropped.end < written - DROP_SETTLE * writer.sampleRate) close('dropped')
+}
+
+function mark (msg) {
+  if (first === null) return
+  extend(msg.marker, msg.reason || null, msg.timestamp - first, msg.length)
+}
+
+/**
+ * Grow the open range of a type by one frame, or start a new one
+ */
+function extend (type, reason, start, length) {
+  var range = open[type]
+  if (range && (range.end !== start || (range.reason || null) !== reason)) range = close(type)
+  if (!range) {
+    range = open[type] = { type: type, start: start, end: start }
+    if (reason) range.reason = reason
+  }
+  range.end = start + length
+}
+
+function close (type) {
+  var range = open[type]
+  if (!range) return null
+  delete open[type]
+  markers.push(range)
+  self.postMessage({ type: 'marker', marker: range })
+  return null
+}
+
+function flush () {
+  var data = writer.take()
+  if (data.byteLength) self.postMessage({ type: 'data', data: data.buffer }, [data.buffer])
+}
+
+function end () {
+  if (!writer) return
+  clearInterval(timer)
+  for (var type in open) close(type)
+
+  writer.finish()
+  flush()
+
+  var trailer = writer.trailer(markers)
+  var header = writer.header(true)
+  self.postMessage({
+    type: 'end',
+    header: header.buffer,
+    headerSize: writer.headerSize,
+    trailer: trailer.buffer,
+    samples: writer.samples,
+    markers: markers
+  }, [header.buffer, trailer.buffer])
+
+  writer = null
+  self.close()
+}
+
+// ─── WAV ────────────────────────────────────────────────────────────────────
+
+/**
+ * PCM WAV, 16 or 24 bits (see src/wav.js)
+ *
+ * Markers go after the samples, as cue points with labelled regions
+ * ('cue ' and 'LIST' / 'adtl' chunks), which most editors show.
+ */
+function WavWriter (sampleRate, channels, bitDepth) {
+  this.sampleRate = sampleRate
+  this.channels = channels
+  this.bytes = bitDepth / 8
+  this.samples = 0
+  this.headerSize = 44
+  this._trailerSize = 0 // Counted in the final header (see trailer)
+  this._chunks = [this.header(false)]
+}
+
+/**
+ * @param {boolean} final - With the real sizes (otherwise 0xffffffff, "to the end")
+ */
+WavWriter.prototype.header = function (final) {
+  var out = new Uint8Array(44)
+  var view = new DataView(out.buffer)
+  var blockAlign = this.channels * this.bytes
+  var dataSize = this.samples * blockAlign
+
+  setAscii(out, 0, 'RIFF')
+  view.setUint32(4, final ? 36 + dataSize + this._trailerSize : 0xffffffff, true)
+  setAscii(out, 8, 'WAVE')
+  setAscii(out, 12, 'fmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true) // PCM
+  view.setUint16(22, this.channels, true)
+  view.setUint32(24, this.sampleRate, true)
+  view.setUint32(28, this.sampleRate * blockAlign, true)
+  view.setUint16(32, blockAlign, true)
+  view.setUint16(34, this.bytes * 8, true)
+  setAscii(out, 36, 'data')
+  view.setUint32(40, final ? dataSize : 0xffffffff, true)
+
+  return out
+}
+
+WavWriter.prototype.write = function (planes) {
+  var frames = planes[0].length
+  var out = new Uint8Array(frames * this.channels * this.bytes)
+  var max = this.bytes === 2 ? 0x7fff : 0x7fffff
+  var offset = 0
+
+  for (var i = 0; i < frames; i++) {
+    for (var c = 0; c < this.channels; c++) {
+      var value = toInt(planes[Math.min(c, planes.length - 1)][i], max)
+      out[offset++] = value & 0xff
+      out[offset++] = (value >> 8) & 0xff
+      if (this.bytes === 3) out[offset++] = (value >> 16) & 0xff
+    }
+  }
+
+  this.samples += frames
+  this._chunks.push(out)
+}
+
+WavWriter.prototype.finish = function () {}
+
+WavWriter.prototype.take = function () {
+  var out = concat(this._chunks)
+  this._chunks = []
+  return out
+}
+
+/**
+ * The pad byte an odd-sized data chunk needs, then markers as cue points
+ * and labelled regions
+ */
+WavWriter.prototype.trailer = function (markers) {
+  var parts = []
+  if ((this.samples * this.channels * this.bytes) & 1) parts.push(new Uint8Array(1))
+
+  if (markers.length) {
+    var cue = new Uint8Array(12 + 24 * markers.length)
+    var view = new DataView(cue.buffer)
+    setAscii(cue, 0, 'cue ')
+    view.setUint32(4, 4 + 24 * markers.length, true)
+    view.setUint32(8, markers.length, true)
+
+    var labels = []
+    markers.forEach(function (marker, i) {
+      var offset = 12 + i * 24
+      view.setUint32(offset, i + 1, true) // Cue point id
+      view.setUint32(offset + 4, marker.start, true)
+      setAscii(cue, offset + 8, 'data')
+      view.setUint32(offset + 20, marker.start, true)
+
+      // Region length, then its label
+      var ltxt = new Uint8Array(28)
+      var ltxtView = new DataView(ltxt.buffer)
+      setAscii(ltxt, 0, 'ltxt')
+      ltxtView.setUint32(4, 20, true)
+      ltxtView.setUint32(8, i + 1, true)
+      ltxtView.setUint32(12, marker.end - marker.start, true)
+      setAscii(ltxt, 16, 'rgn ')
+      labels.push(ltxt)
+
+      var text = new TextEncoder().encode(marker.type + (marker.reason ? ' (' + marker.reason + ')' : ''))
+      var size = 4 + text.byteLength + 1
+      var labl = new Uint8Array(8 + size + (size & 1))
+      var lablView = new DataView(labl.buffer)
+      setAscii(labl, 0, 'labl')
+      lablView.setUint32(4, size, true)
+      lablView.setUint32(8, i + 1, true)
+      labl.set(text, 12)
+      labels.push(labl)
+    })
+
+    var list = concat(labels)
+    var head = new Uint8Array(12)
+    setAscii(head, 0, 'LIST')
+    new DataView(head.buffer).setUint32(4, 4 + list.byteLength, true)
+    setAscii(head, 8, 'adtl')
+    parts.push(cue, head, list)
+  }
+
+  var out = concat(parts)
+  this._trailerSize = out.byteLength
+  return out
+}
+
+// ─── FLAC ───────────────────────────────────────────────────────────────────
+
+/**
+ * FLAC, 16 or 24 bits: fixed-size blocks, each channel coded on its own
+ * with the best fixed predictor (orders 0-4) and Rice-coded residuals
+ *
+ * The stream header's total sample count is 0 ("unknown") in the chunks;
+ * the final header fills it in. Markers aren't part of the file.
+ */
+function FlacWriter (sampleRate, channels, bitDepth) {
+  this.sampleRate = sampleRate
+  this.channels = channels
+  this.bitDepth = bitDepth
+  this.samples = 0
+  this.headerSize = 42
+  this._frame = 0 // Frame number
+  this._minFrame = 0
+  this._maxFrame = 0
+  this._block = []
+  for (var c = 0; c < channels; c++) this._block.push(new Int32Array(FLAC_BLOCK_SIZE))
+  this._blockLength = 0
+  this._chunks = [this.header(false)]
+}
+
+/**
+ * "fLaC", then the STREAMINFO block
+ *
+ * @param {boolean} final - With the sample count and frame sizes
+ */
+FlacWriter.prototype.header = function (final) {
+  var bits = new BitWriter(42)
+  bits.write(0x664c6143, 32) // "fLaC"
+  bits.write(1, 1) // Last metadata block
+  bits.write(0, 7) // STREAMINFO
+  bits.write(34, 24)
+  bits.write(FLAC_BLOCK_SIZE, 16) // Min block size (bar the last block)
+  bits.write(FLAC_BLOCK_SIZE, 16) // Max block size
+  bits.write(final ? this._minFrame : 0, 24)
+  bits.write(final ? this._maxFrame : 0, 24)
+  bits.write(this.sampleRate, 20)
+  bits.write(this.channels - 1, 3)
+  bits.write(this.bitDepth - 1, 5)
+  var total = final ? this.samples : 0
+  bits.write(Math.floor(total / 0x100000000), 4)
+  bits.write(total >>> 0, 32)
+  for (var i = 0; i < 4; i++) bits.write(0, 32) // MD5 not computed
+  return bits.bytes()
+}
+
+FlacWriter.prototype.write = function (planes) {
+  var frames = planes[0].length
+  var max = this.bitDepth === 16 ? 0x7fff : 0x7fffff
+
+  for (var i = 0; i < frames; i++) {
+    for (var c = 0; c < this.channels; c++) {
+      this._block[c][this._blockLength] = toInt(planes[Math.min(c, planes.length - 1)][i], max)
+    }
+    if (++this._blockLength === FLAC_BLOCK_SIZE) this._writeFrame()
+  }
+  this.samples += frames
+}
+
+FlacWriter.prototype.finish = function () {
+  if (this._blockLength) this._writeFrame()
+}
+
+FlacWriter.prototype.take = function () {
+  var out = concat(this._chunks)
+  this._chunks = []
+  return out
+}
+
+FlacWriter.prototype.trailer = function () {
+  return new Uint8Array(0)
+}
+
+FlacWriter.prototype._writeFrame = function () {
+  var length = this._blockLength
+  var bits = new BitWriter(32 + this.channels * (length * 4 + 16))
+
+  // Frame header
+  var blockCode = length === FLAC_BLOCK_SIZE ? 12 : 7 // 4096, or 16 bits at the end
+  bits.write(0x3ffe, 14) // Sync
+  bits.write(0, 1)
+  bits.write(0, 1) // Fixed block size: numbered by frame
+  bits.write(blockCode, 4)
+  bits.write(0, 4) // Sample rate from STREAMINFO
+  bits.write(this.channels - 1, 4) // Independent channels
+  bits.write(this.bitDepth === 16 ? 4 : 6, 3)
+  bits.write(0, 1)
+  writeUtf8(bits, this._frame)
+  if (blockCode === 7) bits.write(length - 1, 16)
+  bits.write(crc8(bits.bytes()), 8)
+
+  for (var c = 0; c < this.channels; c++) {
+    writeSubframe(bits, this._block[c].subarray(0, length), this.bitDepth)
+  }
+
+  bits.align()
+  bits.write(crc16(bits.bytes()), 16)
+
+  var frame = bits.bytes()
+  this._chunks.push(frame)
+  this._minFrame = this._minFrame ? Math.min(this._minFrame, frame.byteLength) : frame.byteLength
+  this._maxFrame = Math.max(this._maxFrame, frame.byteLength)
+  this._frame++
+  this._blockLength = 0
+}
+
+/**
+ * One channel of a frame: constant, fixed predictor or verbatim, whichever is smallest
+ */
+function writeSubframe (bits, samples, bitDepth) {
+  var length = samples.length
+  var constant = true
+  for (var i = 1; i < length && constant; i++) constant = samples[i] === samples[0]
+  if (constant) {
+    bits.write(0, 8) // CONSTANT
+    bits.write(samples[0], bitDepth)
+    return
+  }
+
+  // The order whose residual is smallest, then its best Rice parameter
+  var best = null
+  for (var order = 0; order <= 4 && order < length; order++) {
+    var residual = fixedResidual(samples, order)
+    var rice = riceParameter(residual)
+    var cost = order * bitDepth + 6 + 5 + rice.bits
+    if (!best || cost < best.cost) best = { order: order, residual: residual, k: rice.k, cost: cost }
+  }
+
+  if (best.cost >= length * bitDepth) {
+    bits.write(1 << 1, 8) // VERBATIM
+    for (i = 0; i < length; i++) bits.write(samples[i], bitDepth)
+    return
+  }
+
+  bits.write((0x8 | best.order) << 1, 8) // FIXED
+  for (i = 0; i < best.order; i++) bits.write(samples[i], bitDepth)
+  bits.write(1, 2) // Rice, 5-bit parameters
+  bits.write(0, 4) // One partition
+  bits.write(best.k, 5)
+  for (i = 0; i < best.residual.length; i++) {
+    var r = best.residual[i]
+    var u = r >= 0 ? r * 2 : -r * 2 - 1
+    bits.zeros(Math.floor(u / Math.pow(2, best.k)))
+    bits.write(1, 1)
+    if (best.k) bits.write(u % Math.pow(2, best.k), best.k)
+  }
+}
+
+/**
+ * What's left of each sample after the fixed predictor of this order
+ */
+function fixedResidual (samples, order) {
+  var coefs = FIXED_COEFFICIENTS[order]
+  var out = new Float64Array(samples.length - order)
+  for (var i = order; i < samples.length; i++) {
+    var prediction = 0
+    for (var j = 0; j < order; j++) prediction += coefs[j] * samples[i - 1 - j]
+    out[i - order] = samples[i] - prediction
+  }
+  return out
+}
+
+/**
+ * The Rice parameter that codes a residual in the fewest bits
+ */
+function riceParameter (residual) {
+  var sum = 0
+  for (var i = 0; i < residual.length; i++) {
+    var r = residual[i]
+    sum += r >= 0 ? r * 2 : -r * 2 - 1
+  }
+  var mean = residual.length ? sum / residual.length : 0
+  var guess = mean > 1 ? Math.floor(Math.log2(mean)) : 0
+
+  var best = null
+  for (var k = Math.max(0, guess - 1); k <= Math.min(FLAC_MAX_RICE, guess + 1); k++) {
+    var bits = residual.length * (k + 1)
+    var scale = Math.pow(2, k)
+    for (i = 0; i < residual.length; i++) {
+      r = residual[i]
+      bits += Math.floor((r >= 0 ? r * 2 : -r * 2 - 1) / scale)
+    }
+    if (!best || bits < best.bits) best = { k: k, bits: bits }
+  }
+  return best
+}
+
+// Frame numbers are coded like UTF-8, up to 36 bits
+function writeUtf8 (bits, value) {
+  if (value < 0x80) {
+    bits.write(value, 8)
+    return
+  }
+  var extra = value < 0x800 ? 1 : value < 0x10000 ? 2 : value < 0x200000 ? 3 : value < 0x4000000 ? 4 : 5
+  var lead = (0xff00 >> (extra + 1)) & 0xff
+  bits.write(lead | Math.floor(value / Math.pow(2, 6 * extra)), 8)
+  for (var i = extra - 1; i >= 0; i--) {
+    bits.write(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3f), 8)
+  }
+}
+
+/**
+ * MSB-first bit writer into a buffer that grows as needed
+ */
+function BitWriter (size) {
+  this._buffer = new Uint8Array(size)
+  this._length = 0 // Whole bytes
+  this._byte = 0
+  this._bits = 0 // In _byte
+}
+
+/**
+ * @param {number} value - Written as its low n bits (two's complement if negative)
+ * @param {number} n - Bit count, up to 32
+ */
+BitWriter.prototype.write = function (value, n) {
+  while (n > 0) {
+    var take = Math.min(8 - this._bits, n)
+    var chunk = (value >>> (n - take)) & ((1 << take) - 1)
+    this._byte = (this._byte << take) | chunk
+    this._bits += take
+    n -= take
+    if (this._bits === 8) this._push()
+  }
+}
+
+BitWriter.prototype.zeros = function (n) {
+  while (n > 0) {
+    var take = Math.min(8 - this._bits, n)
+    this._byte <<= take
+    this._bits += take
+    n -= take
+    if (this._bits === 8) this._push()
+  }
+}
+
+// Zero-pad to a byte boundary
+BitWriter.prototype.align = function () {
+  if (this._bits) this.zeros(8 - this._bits)
+}
+
+BitWriter.prototype._push = function () {
+  if (this._length === this._buffer.length) {
+    var grown = new Uint8Array(this._buffer.length * 2)
+    grown.set(this._buffer)
+    this._buffer = grown
+  }
+  this._buffer[this._length++] = this._byte & 0xff
+  this._byte = 0
+  this._bits = 0
+}
+
+// The whole bytes written so far
+BitWriter.prototype.bytes = function () {
+  return this._buffer.slice(0, this._length)
+}
+
+// CRC-8, polynomial 0x07 (frame headers)
+function crc8 (data) {
+  if (!CRC8_TABLE) {
+    CRC8_TABLE = new Uint8Array(256)
+    for (var n = 0; n < 256; n++) {
+      var r = n
+      for (var k = 0; k < 8; k++) r = r & 0x80 ? (r << 1) ^ 0x07 : r << 1
+      CRC8_TABLE[n] = r & 0xff
+    }
+  }
+  var crc = 0
+  for (var i = 0; i < data.length; i++) crc = CRC8_TABLE[crc ^ data[i]]
+  return crc
+}
+
+// CRC-16, polynomial 0x8005 (whole frames)
+function crc16 (data) {
+  if (!CRC16_TABLE) {
+    CRC16_TABLE = new Uint16Array(256)
+    for (var n = 0; n < 256; n++) {
+      var r = n << 8
+      for (var k = 0; k < 8; k++) r = r & 0x8000 ? (r << 1) ^ 0x8005 : r << 1
+      CRC16_TABLE[n] = r & 0xffff
+    }
+  }
+  var crc = 0
+  for (var i = 0; i < data.length; i++) crc = ((crc << 8) ^ CRC16_TABLE[(crc >> 8) ^ data[i]]) & 0xffff
+  return crc
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function toInt (sample, max) {
+  var s = Math.max(-1, Math.min(1, sample || 0))
+  return Math.round(s < 0 ? s * (max + 1) : s * max)
+}
+
+function concat (parts) {
+  var size = 0
+  parts.forEach(function (part) { size += part.byteLength })
+  var out = new Uint8Array(size)
+  var offset = 0
+  parts.forEach(function (part) {
+    out.set(part, offset)
+    offset += part.byteLength
+  })
+  return out
+}
+
+function setAscii (out, offset, text) {
+  for (var i = 0; i < text.length; i++) out[offset + i] = text.charCodeAt(i)
+}
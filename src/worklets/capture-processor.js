@@ -3,6 +3,11 @@
  *
  * Accumulates 128-sample chunks into 20ms frames (960 samples @ 48kHz),
  * applies VAD to skip silent frames, and posts frames to main thread.
+ * Frames are planar: one Float32Array per channel.
+ * Each frame carries its media timestamp (sample offset since start), which
+ * keeps advancing across skipped frames so silent gaps are visible downstream.
+ * With an archive port, every frame (VAD-skipped ones too) is also posted
+ * there, straight to the archive worker.
  */
 class CaptureProcessor extends AudioWorkletProcessor {
   constructor (options) {
@@ -12,19 +17,29 @@ class CaptureProcessor extends AudioWorkletProcessor {
     this.frameSize = opts.frameSize || 20 // ms
     this.vadEnabled = opts.vadEnabled !== false
     this.vadThreshold = opts.vadThreshold || 0.01
+    this.channels = opts.channels || 1
 
     // Calculate samples per frame (e.g., 20ms @ 48kHz = 960 samples)
     this.samplesPerFrame = Math.floor(sampleRate * this.frameSize / 1000)
 
-    // Accumulation buffer
-    this.buffer = new Float32Array(this.samplesPerFrame)
+    // Accumulation buffer per channel
+    this.buffers = []
+    for (var c = 0; c < this.channels; c++) {
+      this.buffers.push(new Float32Array(this.samplesPerFrame))
+    }
     this.bufferIndex = 0
 
+    // Media timestamp of the frame being accumulated (in samples)
+    this.frameTimestamp = 0
+
     // VAD state
     this.speaking = false
     this.hangoverFrames = 0
     this.HANGOVER_FRAMES = 15 // Keep sending for 15 frames (300ms) after speech stops
 
+    // Archive worker, when archiving (see src/archive.js)
+    this.archivePort = null
+
     // Handle config updates from main thread
     this.port.onmessage = this._onMessage.bind(this)
   }
@@ -37,6 +52,8 @@ class CaptureProcessor extends AudioWorkletProcessor {
       if (evt.data.vadThreshold !== undefined) {
         this.vadThreshold = evt.data.vadThreshold
       }
+    } else if (evt.data.type === 'archive') {
+      this.archivePort = evt.data.port
     }
   }
 
@@ -44,11 +61,12 @@ class CaptureProcessor extends AudioWorkletProcessor {
     var input = inputs[0]
     if (!input || !input[0]) return true
 
-    var samples = input[0]
-
-    // Accumulate samples
-    for (var i = 0; i < samples.length; i++) {
-      this.buffer[this.bufferIndex++] = samples[i]
+    // Accumulate samples (a source with fewer channels repeats its last one)
+    for (var i = 0; i < input[0].length; i++) {
+      for (var c = 0; c < this.channels; c++) {
+        this.buffers[c][this.bufferIndex] = input[Math.min(c, input.length - 1)][i]
+      }
+      this.bufferIndex++
 
       // Frame complete?
       if (this.bufferIndex >= this.samplesPerFrame) {
@@ -61,12 +79,15 @@ class CaptureProcessor extends AudioWorkletProcessor {
   }
 
   _processFrame () {
-    // Calculate RMS for VAD
+    // Calculate RMS for VAD (over all channels)
     var sumSquares = 0
-    for (var i = 0; i < this.buffer.length; i++) {
-      sumSquares += this.buffer[i] * this.buffer[i]
+    for (var c = 0; c < this.channels; c++) {
+      var buffer = this.buffers[c]
+      for (var i = 0; i < buffer.length; i++) {
+        sumSquares += buffer[i] * buffer[i]
+      }
     }
-    var rms = Math.sqrt(sumSquares / this.buffer.length)
+    var rms = Math.sqrt(sumSquares / (this.samplesPerFrame * this.channels))
 
     // VAD logic
     var isSpeech = rms >= this.vadThreshold
@@ -85,14 +106,28 @@ class CaptureProcessor extends AudioWorkletProcessor {
     }
 
     // Only send if VAD disabled or currently speaking (includes hangover)
-    if (!this.vadEnabled || this.speaking || this.hangoverFrames > 0) {
-      // Copy buffer (it will be reused)
-      var frame = new Float32Array(this.buffer)
+    var send = !this.vadEnabled || this.speaking || this.hangoverFrames > 0
+    if (send) {
+      // Copy buffers (they will be reused)
+      var frame = this.buffers.map(function (buffer) { return new Float32Array(buffer) })
       this.port.postMessage({
         type: 'frame',
-        samples: frame
-      }, [frame.buffer])
+        samples: frame,
+        timestamp: this.frameTimestamp
+      }, frame.map(function (plane) { return plane.buffer }))
     }
+
+    if (this.archivePort) {
+      var copy = this.buffers.map(function (buffer) { return new Float32Array(buffer) })
+      this.archivePort.postMessage({
+        type: 'frame',
+        samples: copy,
+        timestamp: this.frameTimestamp,
+        gated: !send
+      }, copy.map(function (plane) { return plane.buffer }))
+    }
+
+    this.frameTimestamp += this.samplesPerFrame
   }
 }
 
@@ -0,0 +1,112 @@
+/**
+ * Opus encoder worker - libopus (WASM) for browsers without WebCodecs
+ *
+ * Runs opusscript's emscripten build of libopus in a dedicated Web Worker,
+ * so encoding stays off both the main thread and the audio thread.
+ * One packet comes back per frame, in input order.
+ *
+ * Messages in:
+ *   { type: 'init', libraryUrl, sampleRate, channels, bitrate, frameSamples }
+ *   { type: 'configure', bitrate }
+ *   { type: 'encode', samples: Float32Array[] (planar), timestamp }
+ *
+ * Messages out:
+ *   { type: 'ready' } or { type: 'error', message }
+ *   { type: 'chunk', data: ArrayBuffer, timestamp }
+ */
+
+/* global importScripts, Module */
+
+// libopus constants (opus_defines.h)
+var OPUS_APPLICATION_AUDIO = 2049
+var OPUS_SET_BITRATE_REQUEST = 4002
+var MAX_PACKET_SIZE = 1276 * 3
+var SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000]
+var FRAME_DURATIONS = [2.5, 5, 10, 20, 40, 60] // ms
+
+var lib = null
+var encoder = null
+var channels = 1
+var frameSamples = 0
+var pcmPointer = 0
+var packetPointer = 0
+
+self.onmessage = function (evt) {
+  var msg = evt.data
+  try {
+    if (msg.type === 'init') {
+      init(msg)
+    } else if (msg.type === 'configure') {
+      configure(msg)
+    } else if (msg.type === 'encode') {
+      encode(msg.samples, msg.timestamp)
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) })
+  }
+}
+
+function init (opts) {
+  if (SAMPLE_RATES.indexOf(opts.sampleRate) === -1) {
+    throw new Error('Opus does not support ' + opts.sampleRate + ' Hz')
+  }
+  if (opts.channels < 1 || opts.channels > 2) {
+    throw new Error('Opus encoder does not support ' + opts.channels + ' channels')
+  }
+  if (FRAME_DURATIONS.indexOf(opts.frameSamples * 1000 / opts.sampleRate) === -1) {
+    throw new Error('Opus does not support ' + opts.frameSamples + '-sample frames at ' + opts.sampleRate + ' Hz')
+  }
+
+  // Defines the Module factory; its .wasm sits next to it
+  importScripts(opts.libraryUrl)
+  lib = Module({
+    locateFile: function (file) {
+      return new URL(file, opts.libraryUrl).href
+    }
+  })
+
+  lib.ready.then(function () {
+    channels = opts.channels
+    frameSamples = opts.frameSamples
+
+    encoder = new lib.OpusScriptHandler(opts.sampleRate, channels, OPUS_APPLICATION_AUDIO)
+    configure(opts)
+
+    pcmPointer = lib._malloc(frameSamples * channels * 4) // See encode()
+    packetPointer = lib._malloc(MAX_PACKET_SIZE)
+
+    self.postMessage({ type: 'ready' })
+  }, function (err) {
+    self.postMessage({ type: 'error', message: 'Failed to load libopus: ' + (err.message || err) })
+  })
+}
+
+function configure (opts) {
+  if (!encoder) return
+  encoder._encoder_ctl(OPUS_SET_BITRATE_REQUEST, opts.bitrate)
+}
+
+function encode (samples, timestamp) {
+  if (!encoder) return
+
+  // Interleaved Int16 little-endian into the WASM heap. opusscript's handler
+  // takes it byte by byte, one byte per 16-bit slot (as its own JS side
+  // copies a byte Buffer into HEAPU16). A mono source feeds both channels.
+  var pcm = new Uint16Array(lib.HEAPU8.buffer, pcmPointer, frameSamples * channels * 2)
+  for (var i = 0; i < frameSamples; i++) {
+    for (var c = 0; c < channels; c++) {
+      var plane = samples[Math.min(c, samples.length - 1)]
+      var s = Math.max(-1, Math.min(1, plane[i] || 0))
+      var value = Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF)
+      var k = (i * channels + c) * 2
+      pcm[k] = value & 0xff
+      pcm[k + 1] = (value >> 8) & 0xff
+    }
+  }
+
+  var length = encoder._encode(pcmPointer, frameSamples * channels * 2, packetPointer, frameSamples)
+  if (length < 0) throw new Error('Opus encode failed (' + length + ')')
+
+  var data = lib.HEAPU8.slice(packetPointer, packetPointer + length).buffer
+  self.postMessage({ type: 'chunk', data: data, timestamp: timestamp }, [data])
+}
@@ -0,0 +1,910 @@
+/**
+ * PlaybackEngine - Adaptive jitter buffer and loss concealment for audio playback
+ *
+ * Shared by PlaybackProcessor (AudioWorklet) and AudioListener's
+ * ScriptProcessorNode fallback, so both backends produce the same output.
+ * In the worklet it is loaded with its own addModule() call before
+ * playback-processor.js; on the main thread it is required directly.
+ *
+ * The buffer target follows the measured arrival jitter (95th percentile of
+ * packet delay over the last ~2s), between configurable bounds. Instead of
+ * inserting silence or building lag, playback is sped up or slowed down by
+ * a few percent around the target (WSOLA-style): one pitch-similar period is
+ * crossfaded out of, or repeated into, the stream at a time.
+ *
+ * The same crossfades play audio faster than real time at a steady rate
+ * (setRate), e.g. to catch up on a time-shifted stream without raising its
+ * pitch: one period is taken out every few periods played.
+ *
+ * In sync mode the caller says when each frame is due (enqueue's `delay`),
+ * and the target follows that instead of the jitter: the buffer holds just
+ * enough for frames to come out on time, within a few ms.
+ *
+ * The broadcaster's and listener's sample clocks drift apart (typically tens
+ * of ppm). The drift is the slope of the lower envelope of packet transit
+ * times over the last couple of minutes, and a windowed-sinc resampler at the
+ * output consumes source samples at the corrected rate, so the buffer level
+ * doesn't creep over a long session.
+ *
+ * Concealment is waveform repetition with a fade-out (after ITU-T G.711
+ * Appendix I): the last pitch period is repeated at full level for 10ms,
+ * then faded to silence by 60ms. It covers explicitly lost PCM frames
+ * (conceal) and underruns while waiting for a late frame (render). When
+ * real audio resumes it is crossfaded in from the concealment.
+ *
+ * Audio is buffered in the output channel layout: decoded frames with a
+ * different channel count are up- or downmixed as they are queued. Pitch
+ * searches run on the sum of all channels, so every channel is stretched
+ * and concealed with the same period.
+ */
+
+var PITCH_MIN_MS = 2.5 // 400 Hz
+var PITCH_MAX_MS = 15 // ~66 Hz
+var PITCH_WINDOW_MS = 5 // Correlation window for pitch search
+var CONCEAL_HOLD_MS = 10 // Full level before fading
+var CONCEAL_MAX_MS = 60 // Faded to silence by here
+var CROSSFADE_MS = 2 // Blend from concealment back into real audio
+
+var JITTER_WINDOW = 100 // Packets of arrival history (~2s of 20ms frames)
+var JITTER_QUANTILE = 0.95 // Share of packet delays the buffer should absorb
+var TARGET_DECAY = 0.02 // Per-packet pull towards a lower target (raising is immediate)
+var LEVEL_SMOOTHING = 0.05 // Per-render smoothing of the buffer level
+var HYSTERESIS_MIN_MS = 5 // Dead band around the target...
+var HYSTERESIS_RATIO = 0.2 // ...or this share of it, whichever is larger
+var STRETCH_RATE = 0.07 // Max share of playback time added or removed
+var CATCHUP_FACTOR = 2 // Buffer beyond this multiple of the max target is skipped
+var MAX_RATE = 2 // Fastest playback rate (every other period taken out)
+var SYNC_SMOOTHING = 0.1 // Per-packet weight of each new due time in sync mode
+
+var DRIFT_BLOCK_MS = 1000 // Media time per transit envelope point
+var DRIFT_HISTORY = 120 // Envelope points in the fit (~2 minutes)
+var DRIFT_MIN_POINTS = 10 // Don't correct before ~10s of history
+var DRIFT_MAX_PPM = 1000 // Anything beyond this isn't clock drift
+
+var RESAMPLER_TAPS = 16 // Windowed-sinc length (8 samples of delay)
+var RESAMPLER_PHASES = 256 // Fractional positions in the coefficient table
+
+/**
+ * @param {Object} opts - Options
+ * @param {number} opts.sampleRate - Playback sample rate (default: 48000)
+ * @param {number} opts.channels - Output channels (default: 1)
+ * @param {number} opts.jitterBuffer - Initial jitter buffer target in ms (default: 40)
+ * @param {number} opts.minJitterBuffer - Lower bound of the target in ms (default: 20)
+ * @param {number} opts.maxJitterBuffer - Upper bound of the target in ms (default: 200)
+ * @param {number} opts.blockSize - Samples pulled per render call (default: 128)
+ */
+function PlaybackEngine (opts) {
+  opts = opts || {}
+  this.sampleRate = opts.sampleRate || 48000
+  this.channels = opts.channels || 1
+  this.blockSize = opts.blockSize || 128
+
+  // Target bounds in samples (e.g., 40ms @ 48kHz = 1920 samples)
+  this.minTargetSamples = this._ms(opts.minJitterBuffer || 20)
+  this.maxTargetSamples = Math.max(this.minTargetSamples, this._ms(opts.maxJitterBuffer || 200))
+  this._jitterBufferSamples = this._ms(opts.jitterBuffer || 40)
+  this.initialTargetSamples = Math.min(this.maxTargetSamples,
+    Math.max(this.minTargetSamples, this._jitterBufferSamples))
+
+  // Ring buffer per channel (1 second, or more for very large targets)
+  this.ringLength = Math.max(this.sampleRate, this.maxTargetSamples * CATCHUP_FACTOR * 2)
+  this.rings = []
+  for (var c = 0; c < this.channels; c++) {
+    this.rings.push(new Float32Array(this.ringLength))
+  }
+
+  // Concealment for lost frames (write side) and underruns (read side)
+  this._writeConcealer = new Concealer(this.sampleRate, this.channels)
+  this._readConcealer = new Concealer(this.sampleRate, this.channels)
+  this._crossfadeSamples = this._ms(CROSSFADE_MS)
+
+  // Scratch frames (one sample per channel)
+  this._frame = new Float32Array(this.channels)
+  this._concealed = new Float32Array(this.channels)
+
+  // Time-stretching
+  this._minLag = this._ms(PITCH_MIN_MS)
+  this._maxLag = this._ms(PITCH_MAX_MS)
+  this._window = this._ms(PITCH_WINDOW_MS)
+  this._hysteresisMin = this._ms(HYSTERESIS_MIN_MS)
+  this._stretchOut = []
+  for (c = 0; c < this.channels; c++) {
+    this._stretchOut.push(new Float32Array(2 * this._maxLag))
+  }
+
+  // Playback rate (see setRate)
+  this.rate = 1
+
+  // Arrival clock when the caller doesn't pass one: samples rendered so far
+  this._renderedSamples = 0
+
+  // Drift correction between the broadcaster's clock and ours
+  this._resampler = new Resampler(this.channels)
+  this._driftBlockSamples = this._ms(DRIFT_BLOCK_MS)
+  this._pull = this._nextFrame.bind(this)
+
+  this.stats = {
+    underruns: 0,
+    concealedSamples: 0,
+    compressedSamples: 0,
+    expandedSamples: 0,
+    skippedSamples: 0
+  }
+
+  this.reset()
+}
+
+/**
+ * Drop everything buffered and wait for the buffer to fill again
+ */
+PlaybackEngine.prototype.reset = function () {
+  this.writeIndex = 0
+  this.readIndex = 0
+  this.bufferedSamples = 0
+  this.buffering = true // Wait for buffer to fill initially
+  this.nextTimestamp = null // Media timestamp expected for the next frame
+
+  // Adaptive target
+  this.targetSamples = this.initialTargetSamples
+  this.level = 0 // Smoothed buffer level
+  this.jitterSamples = 0
+  this._transits = [] // Arrival time minus media time, per packet
+  this._lastTimestamp = null
+  this._extTimestamp = 0 // Media timestamp unwrapped past 32 bits
+  this._frameSamples = 0
+
+  this._writeConcealing = false // Last write was concealment
+  this._readConcealing = false // Currently covering an underrun
+  this._readFade = 0 // Crossfade samples left after an underrun or skip
+
+  // Sync mode: samples due ahead of each new frame, smoothed (see _trackDelay)
+  this._syncSamples = null
+
+  this._stretchLength = 0
+  this._stretchPos = 0
+  this._stretchCooldown = 0
+  this._mode = null
+
+  // A new stream may come from a different clock
+  this.drift = 0 // Broadcaster clock rate relative to ours, minus one
+  this._driftPoints = []
+  this._driftBlock = null
+  this._resampler.reset()
+}
+
+/**
+ * Add decoded samples
+ *
+ * @param {Float32Array|Float32Array[]} samples - Mono samples, or one array per channel
+ * @param {number} timestamp - Media timestamp of the first sample (optional)
+ * @param {number} arrival - Arrival time in seconds (optional, defaults to
+ *   the engine's own render clock)
+ * @param {number} delay - Sync mode: seconds from now until the first sample
+ *   is due at the output (optional, needs a timestamp)
+ */
+PlaybackEngine.prototype.enqueue = function (samples, timestamp, arrival, delay) {
+  var planes = this._mix(samples)
+  var length = planes[0].length
+
+  if (timestamp != null) {
+    // Discontinuity on an empty buffer: new talkspurt after a silent gap
+    if (this.nextTimestamp !== null && timestamp !== this.nextTimestamp &&
+        this.bufferedSamples === 0) {
+      this.buffering = true
+      this._readConcealing = false
+      this._writeConcealing = false
+    }
+    this.nextTimestamp = (timestamp + length) >>> 0
+    this._frameSamples = length
+    this._trackArrival(timestamp, arrival)
+    if (delay != null) this._trackDelay(delay, length)
+  }
+
+  // Crossfade out of concealed samples written just before this frame
+  var fade = this._writeConcealing ? Math.min(this._crossfadeSamples, length) : 0
+  this._writeConcealing = false
+
+  var frame = this._frame
+  for (var i = 0; i < length; i++) {
+    var t = 1
+    if (i < fade) {
+      t = (i + 1) / (fade + 1)
+      this._writeConcealer.next(this._concealed)
+    }
+    for (var c = 0; c < this.channels; c++) {
+      frame[c] = planes[c][i]
+      if (i < fade) frame[c] = frame[c] * t + this._concealed[c] * (1 - t)
+    }
+    this._write(frame)
+  }
+
+  // A late frame arrived while covering an underrun: fade back in
+  if (this._readConcealing && !this.buffering) {
+    this._readConcealing = false
+    this._readFade = this._crossfadeSamples
+  }
+
+  // Far too much buffered (e.g. the tab was stalled): jump to the target
+  // rather than stretching through seconds of backlog
+  if (!this.buffering && this.bufferedSamples > this.maxTargetSamples * CATCHUP_FACTOR) {
+    this._skip(this.bufferedSamples - Math.round(this.targetSamples))
+  }
+
+  this._checkBuffered()
+}
+
+/**
+ * Synthesize samples in place of lost frames
+ *
+ * @param {number} length - Number of samples to conceal
+ * @param {number} timestamp - Media timestamp of the first lost sample (optional)
+ */
+PlaybackEngine.prototype.conceal = function (length, timestamp) {
+  // Consecutive lost frames continue the same fade
+  if (!this._writeConcealing) {
+    this._writeConcealer.start(this.rings, this.writeIndex)
+    this._writeConcealing = true
+  }
+
+  for (var i = 0; i < length; i++) {
+    this._writeConcealer.next(this._frame)
+    this._write(this._frame)
+  }
+
+  if (timestamp != null) {
+    this.nextTimestamp = (timestamp + length) >>> 0
+  }
+
+  this.stats.concealedSamples += length
+  this._checkBuffered()
+}
+
+/**
+ * Fill an output buffer
+ *
+ * @param {Float32Array|Float32Array[]} output - Mono output, or one array per channel
+ */
+PlaybackEngine.prototype.render = function (output) {
+  var outputs = Array.isArray(output) ? output : [output]
+  this.level += (this.bufferedSamples - this.level) * LEVEL_SMOOTHING
+  this._mode = this.buffering ? null : this._stretchMode()
+
+  // Pull buffered audio at the broadcaster's rate, play it at ours
+  this._resampler.step = 1 + this.drift
+  this._resampler.process(outputs, this._pull)
+
+  this._renderedSamples += outputs[0].length
+}
+
+/**
+ * Next frame at the broadcaster's rate (before drift correction)
+ *
+ * @param {Float32Array} frame - Filled with one sample per channel
+ */
+PlaybackEngine.prototype._nextFrame = function (frame) {
+  var c
+
+  // Still buffering? Output silence
+  if (this.buffering) {
+    frame.fill(0)
+    return
+  }
+
+  // Finish a stretched segment first
+  if (this._stretchPos < this._stretchLength) {
+    this._readStretched(frame)
+    return
+  }
+
+  if (this.bufferedSamples > 0) {
+    if (this._mode && this._stretchCooldown <= 0 && this._readFade === 0 && this._stretch(this._mode)) {
+      this._readStretched(frame)
+      return
+    }
+
+    for (c = 0; c < this.channels; c++) {
+      frame[c] = this.rings[c][this.readIndex]
+    }
+    this.readIndex = (this.readIndex + 1) % this.ringLength
+    this.bufferedSamples--
+    this._stretchCooldown--
+
+    if (this._readFade > 0) {
+      var t = 1 - this._readFade / (this._crossfadeSamples + 1)
+      this._readConcealer.next(this._concealed)
+      for (c = 0; c < this.channels; c++) {
+        frame[c] = frame[c] * t + this._concealed[c] * (1 - t)
+      }
+      this._readFade--
+    }
+    return
+  }
+
+  // Underrun - repeat the last pitch period until the frame arrives
+  if (!this._readConcealing) {
+    this._readConcealer.start(this.rings, this.readIndex)
+    this._readConcealing = true
+    this._readFade = 0
+    this.stats.underruns++
+
+    // The jitter estimate was too low - don't wait for it to catch up
+    this.targetSamples = Math.min(this.maxTargetSamples, this.targetSamples + this._frameSamples)
+  }
+
+  if (this._readConcealer.done) {
+    // Faded out and still nothing - go back to buffering mode
+    this._readConcealing = false
+    this.buffering = true
+    frame.fill(0)
+    return
+  }
+
+  this.stats.concealedSamples++
+  this._readConcealer.next(frame)
+}
+
+PlaybackEngine.prototype._readStretched = function (frame) {
+  for (var c = 0; c < this.channels; c++) {
+    frame[c] = this._stretchOut[c][this._stretchPos]
+  }
+  this._stretchPos++
+}
+
+PlaybackEngine.prototype.getStats = function () {
+  return {
+    underruns: this.stats.underruns,
+    concealedSamples: this.stats.concealedSamples,
+    compressedSamples: this.stats.compressedSamples,
+    expandedSamples: this.stats.expandedSamples,
+    skippedSamples: this.stats.skippedSamples,
+    bufferedSamples: this.bufferedSamples,
+    buffering: this.buffering,
+    targetMs: this.targetSamples * 1000 / this.sampleRate,
+    levelMs: this.level * 1000 / this.sampleRate,
+    jitterMs: this.jitterSamples * 1000 / this.sampleRate,
+    driftPpm: this.drift * 1e6
+  }
+}
+
+/**
+ * @param {Float32Array} frame - One sample per channel
+ */
+PlaybackEngine.prototype._write = function (frame) {
+  for (var c = 0; c < this.channels; c++) {
+    this.rings[c][this.writeIndex] = frame[c]
+  }
+  this.writeIndex = (this.writeIndex + 1) % this.ringLength
+  this.bufferedSamples++
+
+  // Prevent overflow (drop oldest samples)
+  if (this.bufferedSamples > this.ringLength) {
+    this.readIndex = (this.readIndex + 1) % this.ringLength
+    this.bufferedSamples--
+  }
+}
+
+/**
+ * Map decoded channels onto the output channels: mono goes to the first
+ * two (left and right), anything into mono is averaged, and other layouts
+ * are matched channel by channel (extra outputs stay silent)
+ *
+ * @param {Float32Array|Float32Array[]} samples
+ * @returns {Float32Array[]} One array per output channel
+ */
+PlaybackEngine.prototype._mix = function (samples) {
+  var input = samples instanceof Float32Array ? [samples] : samples
+  if (input.length === this.channels) return input
+
+  var length = input[0].length
+  var planes = []
+  var c, i
+  for (c = 0; c < this.channels; c++) {
+    planes.push(new Float32Array(length))
+  }
+
+  if (this.channels === 1) {
+    for (c = 0; c < input.length; c++) {
+      for (i = 0; i < length; i++) planes[0][i] += input[c][i] / input.length
+    }
+  } else if (input.length === 1) {
+    planes[0].set(input[0])
+    planes[1].set(input[0])
+  } else {
+    for (c = 0; c < Math.min(input.length, this.channels); c++) {
+      planes[c].set(input[c])
+    }
+  }
+
+  return planes
+}
+
+/**
+ * Play faster than real time, keeping the pitch
+ *
+ * The buffer is still held around its target, so whoever feeds the engine
+ * should send audio at the same rate.
+ *
+ * @param {number} rate - 1 for real time, up to 2
+ */
+PlaybackEngine.prototype.setRate = function (rate) {
+  this.rate = Math.max(1, Math.min(MAX_RATE, rate))
+}
+
+/**
+ * Change the smallest buffer target, e.g. for a link that stalls now and
+ * then (never past the largest)
+ *
+ * @param {number} ms
+ */
+PlaybackEngine.prototype.setMinJitterBuffer = function (ms) {
+  this.minTargetSamples = Math.min(this.maxTargetSamples, this._ms(ms))
+  this.initialTargetSamples = Math.min(this.maxTargetSamples,
+    Math.max(this.minTargetSamples, this._jitterBufferSamples))
+  if (this.targetSamples < this.minTargetSamples) this.targetSamples = this.minTargetSamples
+}
+
+PlaybackEngine.prototype._checkBuffered = function () {
+  // Stop buffering if we have enough
+  if (this.buffering && this.bufferedSamples >= this.targetSamples) {
+    this.buffering = false
+    this.level = this.bufferedSamples
+  }
+}
+
+PlaybackEngine.prototype._ms = function (ms) {
+  return Math.round(this.sampleRate * ms / 1000)
+}
+
+// ─── Adaptive target ────────────────────────────────────────────────────────
+
+/**
+ * Update the jitter estimate and buffer target from one packet arrival
+ */
+PlaybackEngine.prototype._trackArrival = function (timestamp, arrival) {
+  var now = arrival != null ? arrival * this.sampleRate : this._renderedSamples
+
+  if (this._lastTimestamp !== null) {
+    this._extTimestamp += (timestamp - this._lastTimestamp) | 0
+  }
+  this._lastTimestamp = timestamp
+
+  var transit = now - this._extTimestamp
+  this._transits.push(transit)
+  if (this._transits.length > JITTER_WINDOW) this._transits.shift()
+  this._trackDrift(this._extTimestamp, transit)
+
+  // Delay of each packet relative to the quickest one in the window
+  var fastest = Infinity
+  for (var i = 0; i < this._transits.length; i++) {
+    if (this._transits[i] < fastest) fastest = this._transits[i]
+  }
+  var delays = this._transits.map(function (t) { return t - fastest })
+  delays.sort(function (a, b) { return a - b })
+  this.jitterSamples = delays[Math.floor((delays.length - 1) * JITTER_QUANTILE)]
+
+  // The level swings by a frame between arrivals, and a render call pulls
+  // a whole block at once, so aim the average above the delay spread
+  var desired = this.jitterSamples + this._frameSamples / 2 + this.blockSize
+  desired = Math.min(this.maxTargetSamples, Math.max(this.minTargetSamples, desired))
+
+  if (desired > this.targetSamples) {
+    this.targetSamples = desired
+  } else {
+    this.targetSamples += (desired - this.targetSamples) * TARGET_DECAY
+  }
+}
+
+/**
+ * Sync mode: aim the buffer so frames come out when they're due, whatever
+ * the jitter
+ *
+ * On time, a frame arrives with `delay` worth of audio ahead of it, and the
+ * level averages half a frame more than that. A stream coming out of
+ * buffering starts from its first frame's due time rather than the average.
+ */
+PlaybackEngine.prototype._trackDelay = function (delay, length) {
+  var ahead = delay * this.sampleRate
+  if (this.buffering || this._syncSamples === null) {
+    this._syncSamples = ahead
+  } else {
+    this._syncSamples += (ahead - this._syncSamples) * SYNC_SMOOTHING
+  }
+
+  var desired = this._syncSamples + length / 2
+  this.targetSamples = Math.min(this.maxTargetSamples, Math.max(this.blockSize, desired))
+}
+
+/**
+ * Update the clock drift estimate
+ *
+ * Queueing only ever adds delay, so the quickest packet of each block is
+ * the best view of the clocks. If ours runs fast, those transit times grow
+ * by that rate over media time (and shrink if it runs slow).
+ */
+PlaybackEngine.prototype._trackDrift = function (timestamp, transit) {
+  var block = this._driftBlock
+  if (block && timestamp - block.start < this._driftBlockSamples) {
+    if (transit < block.transit) {
+      block.timestamp = timestamp
+      block.transit = transit
+    }
+    return
+  }
+
+  if (block) {
+    this._driftPoints.push(block)
+    if (this._driftPoints.length > DRIFT_HISTORY) this._driftPoints.shift()
+    this._fitDrift()
+  }
+  this._driftBlock = { start: timestamp, timestamp: timestamp, transit: transit }
+}
+
+/**
+ * Least-squares slope of the transit envelope
+ */
+PlaybackEngine.prototype._fitDrift = function () {
+  var points = this._driftPoints
+  if (points.length < DRIFT_MIN_POINTS) return
+
+  // Relative to the first point, to keep precision in long sessions
+  var x0 = points[0].timestamp
+  var y0 = points[0].transit
+  var mx = 0
+  var my = 0
+  var i
+  for (i = 0; i < points.length; i++) {
+    mx += points[i].timestamp - x0
+    my += points[i].transit - y0
+  }
+  mx /= points.length
+  my /= points.length
+
+  var sxy = 0
+  var sxx = 0
+  for (i = 0; i < points.length; i++) {
+    var dx = points[i].timestamp - x0 - mx
+    sxy += dx * (points[i].transit - y0 - my)
+    sxx += dx * dx
+  }
+  if (sxx <= 0) return
+
+  // Our clock gains `slope` samples per broadcaster sample, so the
+  // broadcaster runs at 1 / (1 + slope) of our rate
+  var slope = sxy / sxx
+  var drift = 1 / (1 + slope) - 1
+  var max = DRIFT_MAX_PPM / 1e6
+  this.drift = Math.max(-max, Math.min(max, drift))
+}
+
+/**
+ * Whether playback should currently speed up, slow down, or neither
+ *
+ * Faster than real time it always speeds up: 'rate' at the set rate, or
+ * 'compress' a little more while the buffer is over its target.
+ *
+ * In sync mode the dead band is the narrowest, since its width is how far
+ * listeners may be apart.
+ */
+PlaybackEngine.prototype._stretchMode = function () {
+  var hysteresis = this._syncSamples !== null
+    ? this._hysteresisMin
+    : Math.max(this._hysteresisMin, this.targetSamples * HYSTERESIS_RATIO)
+  if (this.level > this.targetSamples + hysteresis) return 'compress'
+  if (this.rate > 1) return 'rate'
+  if (this.level < this.targetSamples - hysteresis) return 'expand'
+  return null
+}
+
+// ─── Time-stretching ────────────────────────────────────────────────────────
+
+/**
+ * Remove or repeat one pitch-similar period at the read position,
+ * into the stretch output buffer
+ *
+ * @param {string} mode - 'compress' or 'rate' (speed up), or 'expand' (slow down)
+ * @returns {boolean} Whether a segment was produced
+ */
+PlaybackEngine.prototype._stretch = function (mode) {
+  var maxLag = Math.min(this._maxLag, Math.floor((this.bufferedSamples - this._window) / 2))
+  if (maxLag < this._minLag) return false
+
+  var n = this.ringLength
+  var r = this.readIndex
+  var lag = this._similarLag(maxLag)
+  var c, i, w, ring, out
+
+  if (mode !== 'expand') {
+    // Crossfade this period into the next one: two periods in, one out
+    for (c = 0; c < this.channels; c++) {
+      ring = this.rings[c]
+      out = this._stretchOut[c]
+      for (i = 0; i < lag; i++) {
+        w = (i + 1) / (lag + 1)
+        out[i] = ring[(r + i) % n] * (1 - w) + ring[(r + i + lag) % n] * w
+      }
+    }
+    this._consume(2 * lag)
+    this._stretchLength = lag
+    this.stats.compressedSamples += lag
+  } else {
+    // Play this period, then crossfade from the next one back into a
+    // repeat of it: one period in, two out
+    for (c = 0; c < this.channels; c++) {
+      ring = this.rings[c]
+      out = this._stretchOut[c]
+      for (i = 0; i < lag; i++) {
+        out[i] = ring[(r + i) % n]
+      }
+      for (i = 0; i < lag; i++) {
+        w = (i + 1) / (lag + 1)
+        out[lag + i] = ring[(r + lag + i) % n] * (1 - w) + ring[(r + i) % n] * w
+      }
+    }
+    this._consume(lag)
+    this._stretchLength = 2 * lag
+    this.stats.expandedSamples += lag
+  }
+
+  this._stretchPos = 0
+  this._stretchCooldown = this.rate > 1
+    ? this._rateCooldown(lag, mode === 'compress' ? this.rate + STRETCH_RATE : this.rate)
+    : Math.round(lag / STRETCH_RATE)
+  return true
+}
+
+/**
+ * Samples to play as they are after taking out a period of `lag`, for
+ * playback to run at `speed`: (2 lag + cooldown) in, (lag + cooldown) out
+ */
+PlaybackEngine.prototype._rateCooldown = function (lag, speed) {
+  return Math.max(0, Math.round(lag * (2 - speed) / (speed - 1)))
+}
+
+/**
+ * Lag at which the audio ahead of the read position best repeats itself
+ * (waveform similarity search)
+ */
+PlaybackEngine.prototype._similarLag = function (maxLag) {
+  var rings = this.rings
+  var n = this.ringLength
+  var r = this.readIndex
+  var bestLag = this._minLag
+  var bestScore = -Infinity
+
+  for (var lag = this._minLag; lag <= maxLag; lag++) {
+    var num = 0
+    var energy = 0
+    for (var k = 0; k < this._window; k++) {
+      var a = channelSum(rings, (r + k) % n)
+      var b = channelSum(rings, (r + k + lag) % n)
+      num += a * b
+      energy += b * b
+    }
+    if (energy <= 0) continue
+    var score = num / Math.sqrt(energy)
+    if (score > bestScore) {
+      bestScore = score
+      bestLag = lag
+    }
+  }
+
+  return bestLag
+}
+
+PlaybackEngine.prototype._consume = function (count) {
+  this.readIndex = (this.readIndex + count) % this.ringLength
+  this.bufferedSamples -= count
+}
+
+/**
+ * Drop buffered samples, crossfading from what was playing
+ */
+PlaybackEngine.prototype._skip = function (count) {
+  if (count <= 0) return
+  this._readConcealer.start(this.rings, this.readIndex)
+  this._readFade = this._crossfadeSamples
+  this._consume(count)
+  this.stats.skippedSamples += count
+}
+
+// ─── Concealer ──────────────────────────────────────────────────────────────
+
+/**
+ * Concealer - Repeats the last pitch period of a set of ring buffers with a fade-out
+ */
+function Concealer (sampleRate, channels) {
+  this.channels = channels || 1
+  this.minLag = Math.round(sampleRate * PITCH_MIN_MS / 1000)
+  this.maxLag = Math.round(sampleRate * PITCH_MAX_MS / 1000)
+  this.window = Math.round(sampleRate * PITCH_WINDOW_MS / 1000)
+  this.holdSamples = Math.round(sampleRate * CONCEAL_HOLD_MS / 1000)
+  this.maxSamples = Math.round(sampleRate * CONCEAL_MAX_MS / 1000)
+
+  this.periods = []
+  for (var c = 0; c < this.channels; c++) {
+    this.periods.push(new Float32Array(this.maxLag))
+  }
+  this.periodLength = 0
+  this.position = 0
+  this.elapsed = 0
+  this.done = true
+}
+
+/**
+ * Pick the pitch period from the audio just before `end`
+ *
+ * @param {Float32Array[]} rings - Ring buffer per channel holding the history
+ * @param {number} end - Index just past the last real sample
+ */
+Concealer.prototype.start = function (rings, end) {
+  var n = rings[0].length
+  var bestLag = this.maxLag
+  var bestScore = -Infinity
+
+  // Normalized cross-correlation of the last window against lagged copies
+  for (var lag = this.minLag; lag <= this.maxLag; lag++) {
+    var num = 0
+    var energy = 0
+    for (var k = 1; k <= this.window; k++) {
+      var a = channelSum(rings, (end - k + n) % n)
+      var b = channelSum(rings, (end - k - lag + n) % n)
+      num += a * b
+      energy += b * b
+    }
+    if (energy <= 0) continue
+    var score = num / Math.sqrt(energy)
+    if (score > bestScore) {
+      bestScore = score
+      bestLag = lag
+    }
+  }
+
+  // Last period, oldest sample first: it continues on from the last real sample
+  for (var c = 0; c < this.channels; c++) {
+    for (var i = 0; i < bestLag; i++) {
+      this.periods[c][i] = rings[c][(end - bestLag + i + n) % n]
+    }
+  }
+
+  this.periodLength = bestLag
+  this.position = 0
+  this.elapsed = 0
+  this.done = false
+}
+
+/**
+ * Next concealment frame (silent once fully faded)
+ *
+ * @param {Float32Array} frame - Filled with one sample per channel
+ */
+Concealer.prototype.next = function (frame) {
+  var gain = 1
+  if (this.elapsed >= this.holdSamples) {
+    gain = 1 - (this.elapsed - this.holdSamples) / (this.maxSamples - this.holdSamples)
+  }
+  if (this.done || gain <= 0) {
+    this.done = true
+    frame.fill(0)
+    return
+  }
+
+  for (var c = 0; c < this.channels; c++) {
+    frame[c] = this.periods[c][this.position] * gain
+  }
+  this.position = (this.position + 1) % this.periodLength
+  this.elapsed++
+}
+
+// ─── Resampler ──────────────────────────────────────────────────────────────
+
+/**
+ * Resampler - Windowed-sinc fractional resampler for small rate corrections
+ *
+ * Consumes `step` input samples per output sample. The passband is the full
+ * band, which is fine for ratios within a fraction of a percent of one.
+ */
+function Resampler (channels) {
+  this.channels = channels || 1
+  this.step = 1
+  this.table = buildSincTable(RESAMPLER_TAPS, RESAMPLER_PHASES)
+  this.frame = new Float32Array(this.channels)
+
+  // Per channel, mirrored for contiguous reads
+  this.history = []
+  for (var c = 0; c < this.channels; c++) {
+    this.history.push(new Float32Array(RESAMPLER_TAPS * 2))
+  }
+  this.reset()
+}
+
+Resampler.prototype.reset = function () {
+  this.history.forEach(function (h) { h.fill(0) })
+  this.writeIndex = 0
+  this.frac = 1 // Position past the centre of the history, in input samples
+}
+
+/**
+ * Fill output buffers
+ *
+ * @param {Float32Array[]} outputs - One array per channel (extra ones are silenced)
+ * @param {Function} pull - Fills a frame with the next input sample per channel
+ */
+Resampler.prototype.process = function (outputs, pull) {
+  var taps = RESAMPLER_TAPS
+  var table = this.table
+  var frame = this.frame
+  var channels = Math.min(this.channels, outputs.length)
+  var c, k
+
+  for (var j = 0; j < outputs[0].length; j++) {
+    while (this.frac >= 1) {
+      pull(frame)
+      for (c = 0; c < this.channels; c++) {
+        this.history[c][this.writeIndex] = frame[c]
+        this.history[c][this.writeIndex + taps] = frame[c]
+      }
+      this.writeIndex = (this.writeIndex + 1) % taps
+      this.frac -= 1
+    }
+
+    // Interpolate between the two nearest phases of the coefficient table
+    var phase = this.frac * RESAMPLER_PHASES
+    var p = Math.floor(phase)
+    var f = phase - p
+    var c0 = p * taps
+    var c1 = c0 + taps
+    for (c = 0; c < channels; c++) {
+      var history = this.history[c]
+      var y = 0
+      for (k = 0; k < taps; k++) {
+        y += history[this.writeIndex + k] * (table[c0 + k] + (table[c1 + k] - table[c0 + k]) * f)
+      }
+      outputs[c][j] = y
+    }
+
+    this.frac += this.step
+  }
+
+  for (c = channels; c < outputs.length; c++) {
+    outputs[c].fill(0)
+  }
+}
+
+/**
+ * Blackman-windowed sinc coefficients, one row per fractional phase,
+ * normalized to unity gain at DC
+ */
+function buildSincTable (taps, phases) {
+  var half = taps / 2
+  var table = new Float32Array((phases + 1) * taps)
+
+  for (var p = 0; p <= phases; p++) {
+    var sum = 0
+    for (var k = 0; k < taps; k++) {
+      // Output lies `p / phases` past tap half - 1
+      var x = half - 1 + p / phases - k
+      var sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x)
+      var w = 0.42 + 0.5 * Math.cos(Math.PI * x / half) + 0.08 * Math.cos(2 * Math.PI * x / half)
+      table[p * taps + k] = sinc * w
+      sum += sinc * w
+    }
+    for (k = 0; k < taps; k++) table[p * taps + k] /= sum
+  }
+
+  return table
+}
+
+/**
+ * Sum of all channels at one ring index (for pitch searches)
+ */
+function channelSum (rings, index) {
+  var sum = 0
+  for (var c = 0; c < rings.length; c++) sum += rings[c][index]
+  return sum
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PlaybackEngine
+} else {
+  globalThis.PlaybackEngine = PlaybackEngine
+}
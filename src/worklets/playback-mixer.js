@@ -0,0 +1,162 @@
+/**
+ * PlaybackMixer - One PlaybackEngine per stream, mixed to one output
+ *
+ * Each stream (one per broadcaster, keyed by its epoch) gets its own jitter
+ * buffer, concealment and drift correction, since every broadcaster's
+ * packets arrive with their own timing and clock. The engines' outputs are
+ * summed with a gain per stream.
+ *
+ * Levels (RMS of each stream before its gain) are collected between calls
+ * to takeLevels(), for speaking indicators and meters.
+ *
+ * Like PlaybackEngine it runs in the worklet (added with addModule() after
+ * playback-engine.js, before playback-processor.js) and on the main thread
+ * for the ScriptProcessorNode fallback.
+ */
+
+var Engine = typeof module !== 'undefined' && module.exports
+  ? require('./playback-engine')
+  : globalThis.PlaybackEngine
+
+/**
+ * @param {Object} opts - PlaybackEngine options, used for every stream
+ */
+function PlaybackMixer (opts) {
+  this.opts = opts || {}
+  this.channels = this.opts.channels || 1
+  this.streams = {} // Stream key -> { engine, gain, buffers, sumSquares, samples }
+}
+
+/**
+ * Add decoded samples to a stream (see PlaybackEngine#enqueue)
+ */
+PlaybackMixer.prototype.enqueue = function (key, samples, timestamp, arrival, delay) {
+  this._stream(key).engine.enqueue(samples, timestamp, arrival, delay)
+}
+
+/**
+ * Conceal lost samples in a stream (see PlaybackEngine#conceal)
+ */
+PlaybackMixer.prototype.conceal = function (key, length, timestamp) {
+  this._stream(key).engine.conceal(length, timestamp)
+}
+
+/**
+ * Drop what a stream has buffered
+ */
+PlaybackMixer.prototype.reset = function (key) {
+  if (this.streams[key]) this.streams[key].engine.reset()
+}
+
+/**
+ * Forget a stream (it ended)
+ */
+PlaybackMixer.prototype.remove = function (key) {
+  delete this.streams[key]
+}
+
+/**
+ * @param {string|number} key - Stream key
+ * @param {number} gain - Linear gain (1: as received, 0: muted)
+ */
+PlaybackMixer.prototype.setGain = function (key, gain) {
+  this._stream(key).gain = gain
+}
+
+/**
+ * Play a stream faster than real time (see PlaybackEngine#setRate)
+ *
+ * @param {string|number} key - Stream key
+ * @param {number} rate - 1 for real time, up to 2
+ */
+PlaybackMixer.prototype.setRate = function (key, rate) {
+  this._stream(key).engine.setRate(rate)
+}
+
+/**
+ * Change every stream's smallest buffer target, now and for streams to come
+ * (see PlaybackEngine#setMinJitterBuffer)
+ *
+ * @param {number} ms
+ */
+PlaybackMixer.prototype.setMinJitterBuffer = function (ms) {
+  this.opts = Object.assign({}, this.opts, { minJitterBuffer: ms })
+  for (var key in this.streams) this.streams[key].engine.setMinJitterBuffer(ms)
+}
+
+/**
+ * Fill an output buffer with the mix of all streams
+ *
+ * @param {Float32Array[]} outputs - One array per channel
+ */
+PlaybackMixer.prototype.render = function (outputs) {
+  var length = outputs[0].length
+  var c, i
+
+  for (c = 0; c < outputs.length; c++) outputs[c].fill(0)
+
+  for (var key in this.streams) {
+    var stream = this.streams[key]
+    if (!stream.buffers || stream.buffers[0].length !== length) {
+      stream.buffers = []
+      for (c = 0; c < outputs.length; c++) stream.buffers.push(new Float32Array(length))
+    }
+
+    stream.engine.render(stream.buffers)
+
+    for (c = 0; c < outputs.length; c++) {
+      var buffer = stream.buffers[c]
+      var output = outputs[c]
+      for (i = 0; i < length; i++) {
+        stream.sumSquares += buffer[i] * buffer[i]
+        output[i] += buffer[i] * stream.gain
+      }
+    }
+    stream.samples += length * outputs.length
+  }
+}
+
+/**
+ * @returns {Object} Stream key -> PlaybackEngine#getStats()
+ */
+PlaybackMixer.prototype.getStats = function () {
+  var stats = {}
+  for (var key in this.streams) stats[key] = this.streams[key].engine.getStats()
+  return stats
+}
+
+/**
+ * Levels since the last call
+ *
+ * @returns {Object} Stream key -> RMS level over all channels (0-1)
+ */
+PlaybackMixer.prototype.takeLevels = function () {
+  var levels = {}
+  for (var key in this.streams) {
+    var stream = this.streams[key]
+    levels[key] = stream.samples ? Math.sqrt(stream.sumSquares / stream.samples) : 0
+    stream.sumSquares = 0
+    stream.samples = 0
+  }
+  return levels
+}
+
+PlaybackMixer.prototype._stream = function (key) {
+  var stream = this.streams[key]
+  if (!stream) {
+    stream = this.streams[key] = {
+      engine: new Engine(this.opts),
+      gain: 1,
+      buffers: null,
+      sumSquares: 0,
+      samples: 0
+    }
+  }
+  return stream
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PlaybackMixer
+} else {
+  globalThis.PlaybackMixer = PlaybackMixer
+}
@@ -2,54 +2,60 @@
  * PlaybackProcessor - AudioWorklet for audio playback with jitter buffer
  *
  * Buffers incoming audio frames and plays them back smoothly,
- * handling network jitter and occasional packet loss.
+ * handling network jitter and occasional packet loss. The buffer target
+ * adapts to measured jitter; playback is time-stretched to follow it.
+ *
+ * Buffering and concealment live in PlaybackEngine (playback-engine.js),
+ * one per stream, mixed by PlaybackMixer (playback-mixer.js); both must be
+ * added to the worklet before this module. The ScriptProcessorNode
+ * fallback uses the same mixer on the main thread.
+ *
+ * Every message but `jitter` (all streams) names its stream (`stream`, the
+ * key the listener uses).
  */
+
+/* global PlaybackMixer */
+
+var STATS_INTERVAL = 0.5 // seconds between stats messages
+var LEVEL_INTERVAL = 0.05 // seconds between level messages
+
 class PlaybackProcessor extends AudioWorkletProcessor {
   constructor (options) {
     super()
 
     var opts = options.processorOptions || {}
-    this.jitterBufferMs = opts.jitterBuffer || 40
-
-    // Calculate buffer size in samples (e.g., 40ms @ 48kHz = 1920 samples)
-    this.jitterBufferSamples = Math.floor(sampleRate * this.jitterBufferMs / 1000)
-
-    // Ring buffer for samples
-    this.ringBuffer = new Float32Array(sampleRate) // 1 second max
-    this.writeIndex = 0
-    this.readIndex = 0
-    this.bufferedSamples = 0
-
-    // State
-    this.buffering = true // Wait for buffer to fill initially
-    this.underruns = 0
+    this.mixer = new PlaybackMixer({
+      sampleRate: sampleRate,
+      channels: opts.channels || 1,
+      jitterBuffer: opts.jitterBuffer || 40,
+      minJitterBuffer: opts.minJitterBuffer,
+      maxJitterBuffer: opts.maxJitterBuffer
+    })
+    this.lastStatsTime = 0
+    this.lastLevelTime = 0
 
     // Handle incoming samples from main thread
     this.port.onmessage = this._onMessage.bind(this)
   }
 
   _onMessage (evt) {
-    if (evt.data.type === 'samples') {
-      this._enqueueSamples(evt.data.samples)
-    }
-  }
-
-  _enqueueSamples (samples) {
-    for (var i = 0; i < samples.length; i++) {
-      this.ringBuffer[this.writeIndex] = samples[i]
-      this.writeIndex = (this.writeIndex + 1) % this.ringBuffer.length
-      this.bufferedSamples++
-
-      // Prevent overflow (drop oldest samples)
-      if (this.bufferedSamples > this.ringBuffer.length) {
-        this.readIndex = (this.readIndex + 1) % this.ringBuffer.length
-        this.bufferedSamples--
-      }
-    }
-
-    // Stop buffering if we have enough
-    if (this.buffering && this.bufferedSamples >= this.jitterBufferSamples) {
-      this.buffering = false
+    var msg = evt.data
+    if (msg.type === 'samples') {
+      // Sync mode: due is a context time, so how long from now is ours to tell
+      var delay = msg.due != null ? msg.due - currentTime : null
+      this.mixer.enqueue(msg.stream, msg.samples, msg.timestamp, null, delay)
+    } else if (msg.type === 'conceal') {
+      this.mixer.conceal(msg.stream, msg.length, msg.timestamp)
+    } else if (msg.type === 'reset') {
+      this.mixer.reset(msg.stream)
+    } else if (msg.type === 'gain') {
+      this.mixer.setGain(msg.stream, msg.gain)
+    } else if (msg.type === 'rate') {
+      this.mixer.setRate(msg.stream, msg.rate)
+    } else if (msg.type === 'remove') {
+      this.mixer.remove(msg.stream)
+    } else if (msg.type === 'jitter') {
+      this.mixer.setMinJitterBuffer(msg.minJitterBuffer)
     }
   }
 
@@ -57,33 +63,17 @@ class PlaybackProcessor extends AudioWorkletProcessor {
     var output = outputs[0]
     if (!output || !output[0]) return true
 
-    var channel = output[0]
+    // Output channels are fixed by outputChannelCount; the engines mix to them
+    this.mixer.render(output)
 
-    // Still buffering? Output silence
-    if (this.buffering) {
-      for (var i = 0; i < channel.length; i++) {
-        channel[i] = 0
-      }
-      return true
+    // Report levels and playback stats to the main thread
+    if (currentTime - this.lastLevelTime >= LEVEL_INTERVAL) {
+      this.lastLevelTime = currentTime
+      this.port.postMessage({ type: 'levels', levels: this.mixer.takeLevels() })
     }
-
-    // Fill output from ring buffer
-    for (var j = 0; j < channel.length; j++) {
-      if (this.bufferedSamples > 0) {
-        channel[j] = this.ringBuffer[this.readIndex]
-        this.readIndex = (this.readIndex + 1) % this.ringBuffer.length
-        this.bufferedSamples--
-      } else {
-        // Underrun - output silence
-        channel[j] = 0
-        this.underruns++
-
-        // After many underruns, go back to buffering mode
-        if (this.underruns > 50) {
-          this.buffering = true
-          this.underruns = 0
-        }
-      }
+    if (currentTime - this.lastStatsTime >= STATS_INTERVAL) {
+      this.lastStatsTime = currentTime
+      this.port.postMessage({ type: 'stats', stats: this.mixer.getStats() })
     }
 
     return true
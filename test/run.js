@@ -31,7 +31,8 @@ var scenarios = [
   { name: 'Late-started listener receives audio', fn: scenario3 },
   { name: 'Decoder fallback chain is configured correctly', fn: scenario4 },
   { name: 'Level meters update during audio flow', fn: scenario5 },
-  { name: 'VAD state changes are emitted', fn: scenario6 }
+  { name: 'VAD state changes are emitted', fn: scenario6 },
+  { name: 'Packets carry sequence numbers and timestamps', fn: scenario7 }
 ]
 
 // ─── Helpers ────────────────────────────────────────────────────────
@@ -179,12 +180,15 @@ async function scenario2 (browser) {
   var listenerState = await childPage.evaluate(function () {
     var node = window.node
     var audio = window.audio
+    // The stream playing the broadcast holds the decoder; audio._decoder is only the spare
+    var stream = audio ? Object.values(audio._streams)[0] : null
+    var decoder = stream ? stream.decoder : null
     return {
       hasUpstream: !!node.upstream,
       audioChannelOpen: node.upstream && node.upstream._audio
         ? node.upstream._audio.readyState === 'open' : false,
-      hasDecoder: audio ? !!audio._decoder : false,
-      decoderIsOpus: audio && audio._decoder ? audio._decoder._isOpus : null,
+      hasDecoder: !!decoder,
+      decoderIsOpus: decoder ? decoder._isOpus : null,
       hasPlaybackNode: audio ? !!(audio._workletNode || audio._scriptNode) : false,
       channelManagerStarted: audio && audio._channelManager
         ? audio._channelManager._started : false
@@ -265,6 +269,7 @@ async function scenario3 (browser) {
   var postStartState = await childPage.evaluate(function () {
     var node = window.node
     var audio = window.audio
+    var stream = audio ? Object.values(audio._streams)[0] : null
     return {
       hasUpstream: !!node.upstream,
       upstreamHasAudio: node.upstream ? !!node.upstream._audio : false,
@@ -272,7 +277,7 @@ async function scenario3 (browser) {
         ? node.upstream._audio.readyState === 'open' : false,
       channelManagerStarted: audio && audio._channelManager
         ? audio._channelManager._started : false,
-      hasDecoder: audio ? !!audio._decoder : false
+      hasDecoder: stream ? !!stream.decoder : false
     }
   })
   log('Post-start state: ' + JSON.stringify(postStartState))
@@ -311,10 +316,12 @@ async function scenario4 (browser) {
     var audio = window.audio
     if (!audio) return { error: 'no audio object' }
 
+    var stream = Object.values(audio._streams)[0]
+    var decoder = stream ? stream.decoder : null
     return {
-      hasDecoder: !!audio._decoder,
-      decoderIsOpus: audio._decoder ? audio._decoder._isOpus : null,
-      decoderHasWasm: audio._decoder ? !!audio._decoder._wasmDecoder : null,
+      hasDecoder: !!decoder,
+      decoderIsOpus: decoder ? decoder._isOpus : null,
+      decoderHasWasm: decoder ? !!decoder._wasmDecoder : null,
       hasWorkletNode: !!audio._workletNode,
       hasScriptNode: !!audio._scriptNode,
       useScriptProcessor: !!audio._useScriptProcessor,
@@ -438,6 +445,67 @@ async function scenario6 (browser) {
   await rootPage.close()
 }
 
+async function scenario7 (browser) {
+  // Test: Listener tracks sequence numbers from the packet header
+  var rootPage = await browser.newPage()
+  attachLogger(rootPage, 'Broadcaster')
+  await rootPage.goto('http://localhost:' + AUDIO_PORT + '/?root=true&path=' + TEST_PATH)
+  await rootPage.waitForSelector('#start-btn:not([disabled])', { timeout: 15000 })
+
+  // Disable VAD so the fake device's audio is sent continuously
+  await rootPage.evaluate(function () {
+    document.getElementById('vad-enabled').checked = false
+  })
+  await rootPage.click('#start-btn')
+  await wait(500)
+  await rootPage.evaluate(async function () {
+    if (window.audio && window.audio._audioContext &&
+        window.audio._audioContext.state === 'suspended') {
+      await window.audio._audioContext.resume()
+    }
+  })
+  log('Broadcaster started (VAD off)')
+
+  var childPage = await browser.newPage()
+  attachLogger(childPage, 'Listener')
+  await childPage.goto('http://localhost:' + AUDIO_PORT + '/?path=' + TEST_PATH)
+  await childPage.waitForSelector('#start-btn:not([disabled])', { timeout: 15000 })
+  await childPage.click('#start-btn')
+  await wait(1000)
+  await childPage.evaluate(async function () {
+    if (window.audio && window.audio._audioContext &&
+        window.audio._audioContext.state === 'suspended') {
+      await window.audio._audioContext.resume()
+    }
+  })
+  log('Listener started')
+
+  var stats = await waitFor(childPage, function () {
+    var stats = window.audio && window.audio.getStats()
+    return stats && stats.received > 20 ? stats : null
+  }, 10000, 'listener receives sequenced packets')
+
+  log('Listener stats: ' + JSON.stringify(stats))
+  assert(stats.received > 20, 'Listener should receive packets')
+  assert(stats.duplicates === 0, 'No duplicate packets on a single path')
+  assert(typeof stats.concealed === 'number', 'Concealment should be counted')
+  // Localhost P2P shouldn't lose more than the odd packet
+  assert(stats.lost < stats.received / 10, 'Loss should be low on localhost')
+  // Adaptive jitter buffer stays within its default 20-200ms bounds
+  assert(stats.jitterBuffer >= 20 && stats.jitterBuffer <= 200, 'Jitter buffer target should be within bounds')
+  assert(Math.abs(stats.drift) <= 1000, 'Clock drift estimate should be within bounds')
+
+  // Stream config is announced on start and handed to late joiners by relays
+  var config = await childPage.evaluate(function () {
+    return window.audio.streamConfig
+  })
+  log('Stream config: ' + JSON.stringify(config))
+  assert(config && config.sampleRate === 48000, 'Listener should receive the stream config')
+
+  await rootPage.close()
+  await childPage.close()
+}
+
 // ─── Main ───────────────────────────────────────────────────────────
 
 async function main () {
@@ -0,0 +1,1011 @@
+#!/usr/bin/env node
+/**
+ * Fireflower Audio Unit Tests
+ *
+ * Modules that need no browser (codecs, containers, crypto, history,
+ * reports), tested in Node without the Puppeteer harness of test/run.js.
+ */
+
+var EventEmitter = require('events').EventEmitter
+var fs = require('fs')
+var path = require('path')
+var vm = require('vm')
+var AudioChannelManager = require('../src/channel')
+var Archive = require('../src/archive')
+var AudioRecorder = require('../src/recorder')
+var E2ee = require('../src/e2ee')
+var History = require('../src/history')
+var Ogg = require('../src/ogg')
+var Packet = require('../src/packet')
+var Pcm = require('../src/pcm')
+var Resampler = require('../src/resample')
+var Report = require('../src/report')
+var Signing = require('../src/signing')
+var Wav = require('../src/wav')
+
+// Allow running a single test: node test/unit.js 2
+var onlyTest = process.argv[2] ? parseInt(process.argv[2], 10) : null
+
+var tests = [
+  { name: 'PCM round trip, Int16 and G.711', fn: testPcm },
+  { name: 'G.711 tables', fn: testG711 },
+  { name: 'Resampler output length and tone amplitude', fn: testResampler },
+  { name: 'Receiver reports merge, round trip and percentiles', fn: testReport },
+  { name: 'Encrypted payloads round trip and reject tampering', fn: testE2ee },
+  { name: 'Signed packets verify and reject forgeries', fn: testSigning },
+  { name: 'Signed tree: forged, replayed and talkback packets stop at the next hop', fn: testSignedTree },
+  { name: 'Ogg pages: CRC, lacing, Opus durations and silence', fn: testOgg },
+  { name: 'Ogg Opus recording: granule positions through loss and VAD gaps', fn: testOggRecording },
+  { name: 'WAV header, samples and recording with gaps', fn: testWav },
+  { name: 'FLAC archive decodes to its input, with a true STREAMINFO', fn: testFlac },
+  { name: 'Archive end() fails and stops the worker when the worker fails', fn: testArchiveFailure },
+  { name: 'Time-shift history expiry, stable indexes and lookup by time', fn: testHistory }
+]
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+function log (msg) {
+  console.log(msg)
+}
+
+function assert (cond, msg) {
+  if (!cond) throw new Error('Assertion failed: ' + msg)
+}
+
+function tone (frequency, rate, length, amplitude) {
+  var samples = new Float32Array(length)
+  for (var i = 0; i < length; i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / rate)
+  }
+  return samples
+}
+
+function rejects (promise) {
+  return promise.then(function () { return false }, function () { return true })
+}
+
+function peak (samples, from) {
+  var max = 0
+  for (var i = from || 0; i < samples.length; i++) max = Math.max(max, Math.abs(samples[i]))
+  return max
+}
+
+function wait (ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms) })
+}
+
+function generateSigningKey () {
+  return crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify'])
+}
+
+// A fireflower node as AudioChannelManager sees it
+function fakeNode (id) {
+  var node = new EventEmitter()
+  node.id = id
+  node.upstream = null
+  node.downstream = {}
+  return node
+}
+
+// One end of an in-memory data channel; `sent` keeps what went through it
+function fakeChannel (label) {
+  return {
+    label: label,
+    readyState: 'open',
+    bufferedAmount: 0,
+    onmessage: null,
+    sent: [],
+    send: function (data) {
+      var copy = new Uint8Array(data).slice().buffer
+      this.sent.push(copy)
+      if (this.remote.onmessage) this.remote.onmessage({ data: copy })
+    }
+  }
+}
+
+// Connect child below parent: channels the parent creates show up on the
+// child's upstream peer, as fireflower's late-bound _channels
+function link (parent, child) {
+  var upstream = { id: parent.id, didConnect: true, _channels: {} }
+  parent.downstream[child.id] = {
+    id: child.id,
+    didConnect: true,
+    createDataChannel: function (label) {
+      var near = fakeChannel(label)
+      var far = fakeChannel(label)
+      near.remote = far
+      far.remote = near
+      upstream._channels[label] = far
+      return near
+    }
+  }
+  child.upstream = upstream
+}
+
+// Ogg's CRC-32, bit by bit: polynomial 0x04c11db7, unreflected, from 0
+function oggCrc (bytes) {
+  var crc = 0
+  for (var i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i] << 24
+    for (var k = 0; k < 8; k++) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1
+  }
+  return crc >>> 0
+}
+
+// Split an Ogg file into pages, with their packets unlaced
+function readOgg (bytes) {
+  var pages = []
+  var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  for (var offset = 0; offset < bytes.byteLength;) {
+    assert(String.fromCharCode.apply(null, bytes.subarray(offset, offset + 4)) === 'OggS', 'Page at ' + offset + ' should start with OggS')
+    var count = bytes[offset + 26]
+    var lacing = bytes.subarray(offset + 27, offset + 27 + count)
+    var size = 27 + count
+    var packets = []
+    var packet = 0
+    for (var i = 0; i < count; i++) {
+      packet += lacing[i]
+      if (lacing[i] < 255) {
+        packets.push(bytes.subarray(offset + size, offset + size + packet))
+        size += packet
+        packet = 0
+      }
+    }
+
+    var raw = bytes.slice(offset, offset + size)
+    raw.fill(0, 22, 26)
+    pages.push({
+      type: bytes[offset + 5],
+      granule: view.getUint32(offset + 6, true) + view.getUint32(offset + 10, true) * 0x100000000,
+      serial: view.getUint32(offset + 14, true),
+      sequence: view.getUint32(offset + 18, true),
+      crc: view.getUint32(offset + 22, true),
+      expectedCrc: oggCrc(raw),
+      packets: packets
+    })
+    offset += size
+  }
+  return pages
+}
+
+// A channel manager the recorder can be fed through
+function fakeChannelManager () {
+  var manager = new EventEmitter()
+  manager.start = manager.stop = function () {}
+  manager.send = function (type, epoch, seq, timestamp, codec, payload) {
+    var data = Packet.encode({ type: type, codec: codec, epoch: epoch, seq: seq, timestamp: timestamp }, payload).buffer
+    manager.emit(type === Packet.TYPE_CONFIG ? 'config' : 'audio', data, null, Packet.decode(data))
+  }
+  return manager
+}
+
+// Run the archive worker in a context of its own, as in a Worker: it
+// answers each message in `messages`
+function loadArchiveWorker () {
+  var source = fs.readFileSync(path.join(__dirname, '../src/worklets/archive-worker.js'), 'utf8')
+  var messages = []
+  var context = {
+    self: {
+      postMessage: function (msg) { messages.push(msg) },
+      close: function () {}
+    },
+    setInterval: setInterval,
+    clearInterval: clearInterval
+  }
+  vm.runInNewContext(source, context)
+  return {
+    messages: messages,
+    send: function (msg) { context.self.onmessage({ data: msg }) }
+  }
+}
+
+// MSB-first bits, as FLAC has them
+function BitReader (bytes, offset) {
+  this.bytes = bytes
+  this.pos = offset * 8
+}
+
+BitReader.prototype.read = function (n) {
+  var value = 0
+  for (var i = 0; i < n; i++, this.pos++) {
+    value = value * 2 + ((this.bytes[this.pos >> 3] >> (7 - (this.pos & 7))) & 1)
+  }
+  return value
+}
+
+BitReader.prototype.signed = function (n) {
+  var value = this.read(n)
+  return value >= Math.pow(2, n - 1) ? value - Math.pow(2, n) : value
+}
+
+BitReader.prototype.unary = function () {
+  var zeros = 0
+  while (!this.read(1)) zeros++
+  return zeros
+}
+
+// CRCs over whole bytes, bit by bit: width 8 (0x07) or 16 (0x8005), from 0
+function flacCrc (bytes, width, polynomial) {
+  var top = 1 << (width - 1)
+  var mask = (1 << width) - 1
+  var crc = 0
+  for (var i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i] << (width - 8)
+    for (var k = 0; k < 8; k++) crc = (crc & top ? (crc << 1) ^ polynomial : crc << 1) & mask
+  }
+  return crc
+}
+
+// Decode a FLAC file of fixed-blocksize frames with constant, verbatim and
+// fixed-predictor subframes (RFC 9639), checking every CRC on the way
+function decodeFlac (bytes) {
+  assert(String.fromCharCode.apply(null, bytes.subarray(0, 4)) === 'fLaC', 'The file should start with fLaC')
+  var bits = new BitReader(bytes, 4)
+  assert(bits.read(1) === 1 && bits.read(7) === 0 && bits.read(24) === 34, 'STREAMINFO should be the one metadata block')
+  var info = {
+    minBlock: bits.read(16),
+    maxBlock: bits.read(16),
+    minFrame: bits.read(24),
+    maxFrame: bits.read(24),
+    sampleRate: bits.read(20),
+    channels: bits.read(3) + 1,
+    bitDepth: bits.read(5) + 1,
+    samples: bits.read(36)
+  }
+  bits.pos += 128 // MD5
+
+  var planes = []
+  for (var c = 0; c < info.channels; c++) planes.push([])
+  var frames = []
+  while (bits.pos < bytes.length * 8) {
+    var start = bits.pos / 8
+    assert(bits.read(14) === 0x3ffe && bits.read(1) === 0 && bits.read(1) === 0, 'Frame ' + frames.length + ' should start with a fixed-blocksize sync code')
+    var blockCode = bits.read(4)
+    assert(bits.read(4) === 0, 'The sample rate should come from STREAMINFO')
+    var channelCode = bits.read(4)
+    var sizeCode = bits.read(3)
+    assert(bits.read(1) === 0, 'Reserved bit should be 0')
+    assert(channelCode === info.channels - 1 && sizeCode === (info.bitDepth === 16 ? 4 : 6), 'Frame header should match STREAMINFO')
+
+    var lead = bits.read(8)
+    var extra = 0
+    while (lead & (0x80 >> extra)) extra++
+    var number = extra ? lead & (0x7f >> extra) : lead
+    for (var e = 1; e < extra; e++) number = number * 64 + (bits.read(8) & 0x3f)
+
+    var length = blockCode === 12 ? 4096 : blockCode === 7 ? bits.read(16) + 1 : null
+    assert(length, 'Block size code ' + blockCode + ' is not one the writer uses')
+    var headerCrc = flacCrc(bytes.subarray(start, bits.pos / 8), 8, 0x07)
+    assert(bits.read(8) === headerCrc, 'Frame ' + frames.length + ' header CRC-8 should match')
+
+    for (c = 0; c < info.channels; c++) {
+      var samples = decodeSubframe(bits, length, info.bitDepth)
+      for (var i = 0; i < length; i++) planes[c].push(samples[i])
+    }
+
+    if (bits.pos & 7) bits.pos += 8 - (bits.pos & 7)
+    var frameCrc = flacCrc(bytes.subarray(start, bits.pos / 8), 16, 0x8005)
+    assert(bits.read(16) === frameCrc, 'Frame ' + frames.length + ' CRC-16 should match')
+    frames.push({ number: number, length: length, size: bits.pos / 8 - start })
+  }
+
+  return { info: info, planes: planes, frames: frames }
+}
+
+function decodeSubframe (bits, length, bitDepth) {
+  assert(bits.read(1) === 0, 'Subframe padding should be 0')
+  var type = bits.read(6)
+  assert(bits.read(1) === 0, 'No wasted bits expected')
+
+  var samples = new Array(length)
+  var i
+  if (type === 0) {
+    samples.fill(bits.signed(bitDepth))
+    return samples
+  }
+  if (type === 1) {
+    for (i = 0; i < length; i++) samples[i] = bits.signed(bitDepth)
+    return samples
+  }
+  assert(type >= 8 && type <= 12, 'Subframe type ' + type + ' is not one the writer uses')
+
+  var order = type - 8
+  for (i = 0; i < order; i++) samples[i] = bits.signed(bitDepth)
+
+  var method = bits.read(2)
+  var paramBits = method === 0 ? 4 : 5
+  var partitions = Math.pow(2, bits.read(4))
+  var n = order
+  for (var p = 0; p < partitions; p++) {
+    var count = length / partitions - (p === 0 ? order : 0)
+    var k = bits.read(paramBits)
+    var escaped = k === Math.pow(2, paramBits) - 1
+    var raw = escaped ? bits.read(5) : 0
+    for (var j = 0; j < count; j++, n++) {
+      if (escaped) {
+        samples[n] = raw ? bits.signed(raw) : 0
+        continue
+      }
+      var u = bits.unary() * Math.pow(2, k) + bits.read(k)
+      samples[n] = u % 2 ? -(u + 1) / 2 : u / 2
+    }
+  }
+
+  // Residuals back to samples (RFC 9639 9.2.5)
+  for (i = order; i < length; i++) {
+    var s1 = samples[i - 1]
+    var s2 = samples[i - 2]
+    var s3 = samples[i - 3]
+    var s4 = samples[i - 4]
+    samples[i] += order === 0
+      ? 0
+      : order === 1
+        ? s1
+        : order === 2
+          ? 2 * s1 - s2
+          : order === 3 ? 3 * s1 - 3 * s2 + s3 : 4 * s1 - 6 * s2 + 4 * s3 - s4
+  }
+  return samples
+}
+
+// Keep channel.js's logging out of the results
+function quietly (fn) {
+  var log = console.log
+  var warn = console.warn
+  console.log = console.warn = function () {}
+  return Promise.resolve().then(fn).finally(function () {
+    console.log = log
+    console.warn = warn
+  })
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+function testPcm () {
+  var left = tone(440, 48000, 960, 0.5)
+  var right = tone(1000, 48000, 960, 0.25)
+
+  var payload = Pcm.encode([left, right], Packet.CODEC_PCM)
+  assert(payload.byteLength === 1 + 960 * 2 * 2, 'Int16 payload should be 2 bytes per sample')
+  assert(payload[0] === 2, 'Payload should start with the channel count')
+
+  var planes = Pcm.decode(payload, Packet.CODEC_PCM)
+  assert(planes.length === 2 && planes[0].length === 960, 'Int16 should decode to the same shape')
+  for (var i = 0; i < 960; i++) {
+    assert(Math.abs(planes[0][i] - left[i]) <= 1 / 0x7FFF, 'Int16 left sample ' + i + ' should round trip')
+    assert(Math.abs(planes[1][i] - right[i]) <= 1 / 0x7FFF, 'Int16 right sample ' + i + ' should round trip')
+  }
+
+  // Full scale stays full scale, out of range clips
+  planes = Pcm.decode(Pcm.encode([new Float32Array([1, -1, 2, -2])]))
+  assert(planes[0].join() === '1,-1,1,-1', 'Full scale should round trip and out of range clip')
+
+  // G.711 is 8 bits per sample, within its quantization step
+  ;[Packet.CODEC_PCMU_8K, Packet.CODEC_PCMA_8K].forEach(function (codec) {
+    var samples = tone(440, 8000, 160, 0.5)
+    var payload = Pcm.encode([samples], codec)
+    assert(payload.byteLength === 1 + 160, 'G.711 payload should be 1 byte per sample')
+    var decoded = Pcm.decode(payload, codec)[0]
+    for (var i = 0; i < 160; i++) {
+      var error = Math.abs(decoded[i] - samples[i])
+      assert(error <= Math.abs(samples[i]) / 16 + 0.002, 'G.711 sample ' + i + ' should be within a step')
+    }
+  })
+
+  assert(Pcm.decode(new Uint8Array(0)) === null, 'An empty payload should be malformed')
+  assert(Pcm.decode(new Uint8Array([0, 1, 2])) === null, 'Zero channels should be malformed')
+  assert(Pcm.codecFor('pcmu', 16000, 48000) === Packet.CODEC_PCMU_16K, 'codecFor should find µ-law 16kHz')
+  assert(Pcm.codecFor('pcm', 48000, 48000) === Packet.CODEC_PCM, 'Int16 at the stream rate is CODEC_PCM')
+  assert(Pcm.bitrate(Packet.CODEC_PCMA_8K, 48000, 1) === 64000, 'A-law 8kHz should be 64 kbps')
+}
+
+function testG711 () {
+  // Reference points from ITU-T G.711
+  var ulaw = Pcm.decode(new Uint8Array([1, 0xFF, 0x7F, 0x00, 0x80]), Packet.CODEC_PCMU_8K)[0]
+  assert(ulaw[0] === 0 && ulaw[1] === 0, 'µ-law 0xFF and 0x7F should be zero')
+  assert(Math.round(ulaw[2] * 0x8000) === -32124, 'µ-law 0x00 should be -32124')
+  assert(Math.round(ulaw[3] * 0x7FFF) === 32124, 'µ-law 0x80 should be 32124')
+
+  var alaw = Pcm.decode(new Uint8Array([1, 0xD5, 0x55, 0xAA, 0x2A]), Packet.CODEC_PCMA_8K)[0]
+  assert(Math.round(alaw[0] * 0x7FFF) === 8, 'A-law 0xD5 should be 8')
+  assert(Math.round(alaw[1] * 0x8000) === -8, 'A-law 0x55 should be -8')
+  assert(Math.round(alaw[2] * 0x7FFF) === 32256, 'A-law 0xAA should be 32256')
+  assert(Math.round(alaw[3] * 0x8000) === -32256, 'A-law 0x2A should be -32256')
+
+  // Every code decodes to a value that encodes back to it (µ-law has two zeros)
+  var codes = new Uint8Array(257)
+  codes[0] = 1
+  for (var i = 0; i < 256; i++) codes[1 + i] = i
+  ;[Packet.CODEC_PCMU_8K, Packet.CODEC_PCMA_8K].forEach(function (codec) {
+    var again = Pcm.encode(Pcm.decode(codes, codec), codec)
+    for (var i = 0; i < 256; i++) {
+      var expected = codec === Packet.CODEC_PCMU_8K && i === 0x7F ? 0xFF : i
+      assert(again[1 + i] === expected, 'Code ' + i + ' of codec ' + codec + ' should round trip')
+    }
+  })
+}
+
+function testResampler () {
+  // Frame by frame, output length follows the ratio, minus the kernel's delay
+  var resampler = new Resampler(48000, 16000, 1)
+  var input = tone(440, 48000, 48000, 0.8)
+  var chunks = []
+  var total = 0
+  for (var i = 0; i < input.length; i += 960) {
+    var out = resampler.process([input.subarray(i, i + 960)])[0]
+    if (i) assert(Math.abs(out.length - 320) <= 1, 'Each 20ms frame after the first should give about 320 samples')
+    chunks.push(out)
+    total += out.length
+  }
+  assert(total <= 16000 && total > 16000 - 2 * resampler._halfWidth, 'Output should lag by the kernel half-width at most')
+
+  var output = new Float32Array(total)
+  var offset = 0
+  chunks.forEach(function (chunk) {
+    output.set(chunk, offset)
+    offset += chunk.length
+  })
+
+  // A tone in the passband keeps its amplitude once the kernel has filled
+  assert(Math.abs(peak(output, 1600) - 0.8) < 0.01, 'A 440Hz tone should keep its amplitude')
+
+  // Above the lower Nyquist frequency, it's filtered out rather than folded back
+  resampler = new Resampler(48000, 16000, 1)
+  output = resampler.process([tone(12000, 48000, 9600, 0.8)])[0]
+  assert(peak(output, 320) < 0.01, 'A 12kHz tone should not alias into 16kHz output')
+
+  // Upsampling, with two channels
+  resampler = new Resampler(8000, 48000, 2)
+  var planes = resampler.process([tone(300, 8000, 8000, 0.5), tone(600, 8000, 8000, 0.25)])
+  assert(planes.length === 2, 'Both channels should be resampled')
+  assert(Math.abs(planes[0].length - 48000) <= 6 * resampler._halfWidth, 'Upsampled length should follow the ratio')
+  assert(Math.abs(peak(planes[0], 4800) - 0.5) < 0.01, 'Upsampled left tone should keep its amplitude')
+  assert(Math.abs(peak(planes[1], 4800) - 0.25) < 0.01, 'Upsampled right tone should keep its amplitude')
+}
+
+function testReport () {
+  // 100 listeners: 90 clean, 9 with 3% loss, 1 with 30%
+  var subtrees = [Report.empty(), Report.empty()]
+  for (var i = 0; i < 100; i++) {
+    var loss = i < 90 ? 0 : i < 99 ? 0.03 : 0.3
+    var listener = Report.fromListener({
+      loss: loss,
+      underruns: i < 50 ? 0 : 3,
+      jitterBuffer: i < 50 ? 40 : 100,
+      decoder: i % 10 ? 'webcodecs' : 'wasm'
+    })
+    Report.merge(subtrees[i % 2], listener)
+  }
+
+  // Relays merge what their children send up, after the round trip
+  var report = Report.empty()
+  subtrees.forEach(function (subtree) {
+    var payload = Report.encode(subtree)
+    Report.merge(report, Report.decode(payload))
+  })
+  assert(report.listeners === 100, 'Merged report should count every listener')
+  assert(report.loss[0] === 90 && report.loss[4] === 9 && report.loss[7] === 1, 'Loss should land in its buckets')
+  assert(report.decoders.webcodecs === 90 && report.decoders.wasm === 10, 'Decoders should be counted')
+
+  var described = Report.describe(report)
+  assert(described.loss.p50 === 0 && described.loss.p90 === 0, 'Median and p90 loss should be 0')
+  assert(described.loss.p99 === 0.05, 'p99 loss should be the 3% bucket bound')
+  assert(described.underruns.p50 === 0 && described.underruns.p90 === 5, 'Underrun percentiles should be bucket bounds')
+  assert(described.jitterBuffer.p50 === 40 && described.jitterBuffer.p90 === 120, 'Buffer percentiles should be bucket bounds')
+
+  // The open-ended bucket reports its lower bound; counts saturate at 16 bits
+  var worst = Report.fromListener({ loss: 1, underruns: 100, jitterBuffer: 500, decoder: 'none' })
+  assert(Report.describe(worst).loss.p50 === 0.2, 'Open-ended loss bucket should report its lower bound')
+  worst.listeners = 70000
+  assert(Report.decode(Report.encode(worst)).listeners === 0xffff, 'Counts should saturate at 16 bits')
+  assert(Report.decode(new Uint8Array(10)) === null, 'A short payload should be malformed')
+  assert(Report.describe(Report.empty()).loss.p99 === 0, 'An empty report should have zero percentiles')
+}
+
+async function testE2ee () {
+  assert(E2ee.isSupported(), 'WebCrypto should be available in Node')
+  var key = await E2ee.importKey(new Uint8Array(32).fill(7))
+  var header = { type: Packet.TYPE_AUDIO, codec: Packet.CODEC_OPUS, flags: Packet.FLAG_ENCRYPTED, epoch: 1234, seq: 42, timestamp: 960 * 42 }
+  var payload = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8])
+
+  var encrypted = await E2ee.encrypt(key, 3, header, payload)
+  assert(encrypted.byteLength === payload.byteLength + E2ee.OVERHEAD, 'Encryption should add its overhead')
+  assert(E2ee.keyId(encrypted) === 3, 'The payload should name its key id')
+
+  var packet = Packet.decode(Packet.encode(header, encrypted))
+  var decrypted = await E2ee.decrypt(key, packet)
+  assert(decrypted.join() === payload.join(), 'Payload should round trip')
+
+  // IVs are random, so the same frame never encrypts the same way
+  var again = await E2ee.encrypt(key, 3, header, payload)
+  assert(again.join() !== encrypted.join(), 'Each packet should get its own IV')
+
+  // The header is authenticated: a payload moved to another seq fails
+  var moved = Packet.decode(Packet.encode(Object.assign({}, header, { seq: 43 }), encrypted))
+  assert(await rejects(E2ee.decrypt(key, moved)), 'A tampered header should fail to decrypt')
+
+  var flipped = encrypted.slice()
+  flipped[flipped.byteLength - 1] ^= 1
+  assert(await rejects(E2ee.decrypt(key, Packet.decode(Packet.encode(header, flipped)))), 'A tampered payload should fail to decrypt')
+
+  var other = await E2ee.importKey(new Uint8Array(16).fill(9))
+  assert(await rejects(E2ee.decrypt(other, packet)), 'The wrong key should fail to decrypt')
+  assert(await rejects(E2ee.decrypt(key, Packet.decode(Packet.encode(header, new Uint8Array(10))))), 'A short payload should fail')
+  assert(await rejects(E2ee.importKey(new Uint8Array(10))), 'Keys of the wrong size should be refused')
+}
+
+async function testSigning () {
+  var keys = await generateSigningKey()
+  var other = await generateSigningKey()
+  var raw = new Uint8Array(await crypto.subtle.exportKey('raw', keys.publicKey))
+  var publicKey = await Signing.importPublicKey(raw)
+  assert(raw.byteLength === 65, 'A raw P-256 public key should be 65 bytes')
+
+  var header = { type: Packet.TYPE_AUDIO, codec: Packet.CODEC_OPUS, flags: Packet.FLAG_SIGNED, epoch: 77, seq: 5, timestamp: 4800 }
+  var payload = new Uint8Array([9, 8, 7, 6, 5])
+  var signed = await Signing.sign(keys.privateKey, 4, header, payload)
+  assert(signed.byteLength === Packet.HEADER_SIZE + payload.byteLength + Signing.TRAILER_SIZE, 'Signing should add the trailer')
+
+  var packet = Packet.decode(signed)
+  assert(Signing.keyId(packet.payload) === 4, 'The trailer should name the key id')
+  assert(Signing.unsigned(packet.payload).join() === payload.join(), 'The payload should come back without the trailer')
+  assert(await Signing.verify(publicKey, signed), 'A signed packet should verify')
+  assert(await Signing.verify(publicKey, signed.buffer), 'An ArrayBuffer should verify too')
+
+  // Header, payload, key id and signature are all covered
+  var forged = [
+    Packet.encode(Object.assign({}, header, { seq: 6 }), packet.payload),
+    Packet.encode(Object.assign({}, header, { flags: Packet.FLAG_SIGNED | Packet.FLAG_LOW }), packet.payload)
+  ]
+  var offsets = [Packet.HEADER_SIZE, signed.byteLength - Signing.TRAILER_SIZE, signed.byteLength - 1]
+  offsets.forEach(function (offset) {
+    var copy = signed.slice()
+    copy[offset] ^= 1
+    forged.push(copy)
+  })
+  for (var i = 0; i < forged.length; i++) {
+    assert(!(await Signing.verify(publicKey, forged[i])), 'Forged packet ' + i + ' should fail')
+  }
+
+  assert(!(await Signing.verify(other.publicKey, signed)), 'Another key should fail')
+  assert(!(await Signing.verify(publicKey, signed.subarray(0, Packet.HEADER_SIZE + 10))), 'A truncated packet should fail')
+  assert(Signing.keyId(new Uint8Array(3)) === null, 'A payload shorter than a trailer should have no key id')
+  assert(await rejects(Signing.importPublicKey(new Uint8Array(40))), 'Raw keys of the wrong size should be refused')
+}
+
+// Root, relay and leaf, each checking signatures: the broadcast and
+// admission decisions come down, talkback goes up, and whatever the relay
+// makes up or replays is dropped at the next hop with `tamper`
+async function testSignedTree () {
+  var keys = await generateSigningKey()
+  var nodes = { root: fakeNode('root'), relay: fakeNode('relay'), leaf: fakeNode('leaf') }
+  link(nodes.root, nodes.relay)
+  link(nodes.relay, nodes.leaf)
+
+  var managers = {}
+  var events = { audio: [], config: [], admission: [], tamper: [], talkback: [] }
+  ;['root', 'relay', 'leaf'].forEach(function (name) {
+    var manager = managers[name] = new AudioChannelManager(nodes[name], { feedback: false, reports: false, admission: 'open' })
+    manager.on('tamper', function (peer, info) { events.tamper.push({ at: name, from: peer.id, reason: info.reason }) })
+  })
+  await Promise.all(Object.keys(managers).map(function (name) {
+    return managers[name].addPublicKey(1, keys.publicKey)
+  }))
+  managers.root.setSigningKey(1, keys.privateKey)
+  managers.leaf.on('audio', function (data, peer, packet) { events.audio.push(packet) })
+  managers.leaf.on('config', function (data, peer, packet) { events.config.push(packet) })
+  managers.leaf.on('admission', function (decision) { events.admission.push(decision) })
+  managers.root.on('talkback:audio', function (data, peer, packet) { events.talkback.push(packet) })
+
+  function sign (type, epoch, seq, payload) {
+    var header = { type: type, codec: Packet.CODEC_OPUS, flags: Packet.FLAG_SIGNED, epoch: epoch, seq: seq, timestamp: seq * 960 }
+    return Signing.sign(keys.privateKey, 1, header, payload).then(function (frame) { return frame.buffer })
+  }
+  function config (epoch, seq) {
+    return sign(Packet.TYPE_CONFIG, epoch, seq, Packet.encodeConfig({ codec: Packet.CODEC_OPUS, channels: 1, sampleRate: 48000, frameDuration: 20000, streamId: 'main' }))
+  }
+  function fromRelay (data) {
+    nodes.relay.downstream.leaf._audio.send(data)
+  }
+
+  // WebCrypto may finish checks in any order; here it always does
+  var verify = crypto.subtle.verify
+  var checks = 0
+  crypto.subtle.verify = function () {
+    var delay = (checks++ % 3) * 10
+    return verify.apply(this, arguments).then(function (valid) {
+      return wait(delay).then(function () { return valid })
+    })
+  }
+
+  await quietly(async function () {
+    managers.root.start()
+    managers.relay.start()
+    managers.leaf.start()
+
+    // The broadcast comes through in order, checks finishing as they may: a
+    // later frame far ahead pushes the first ones out of the duplicate
+    // history only once they're through
+    var frames = []
+    for (var seq = 0; seq < 100; seq++) frames.push(await sign(Packet.TYPE_AUDIO, 10, seq, new Uint8Array([seq])))
+    managers.root.broadcastConfig(await config(10, 0))
+    for (seq = 0; seq < 5; seq++) managers.root.broadcast(frames[seq])
+    managers.root.broadcast(frames[90])
+    await wait(50)
+    assert(events.config.length === 1, 'The signed config should reach the leaf')
+    assert(events.audio.length === 6, 'Signed audio should reach the leaf, got ' + events.audio.length)
+    assert(events.tamper.length === 0, 'Nothing should be reported yet')
+
+    // Made up at the relay: unsigned, and signed with the wrong key
+    var unsigned = Packet.encode({ type: Packet.TYPE_AUDIO, codec: Packet.CODEC_OPUS, epoch: 10, seq: 91, timestamp: 0 }, new Uint8Array(10)).buffer
+    var wrongKey = await generateSigningKey()
+    var forged = await Signing.sign(wrongKey.privateKey, 1, { type: Packet.TYPE_AUDIO, flags: Packet.FLAG_SIGNED, epoch: 10, seq: 92, timestamp: 0 }, new Uint8Array(10))
+    fromRelay(unsigned)
+    fromRelay(forged.buffer)
+
+    // Replayed: a repeat, and a genuine frame too old to tell from one
+    fromRelay(frames[90])
+    fromRelay(frames[20])
+    await wait(50)
+    assert(events.audio.length === 6, 'Forged and replayed audio should not be emitted')
+    assert(events.tamper.length === 2 && events.tamper.every(function (t) { return t.at === 'leaf' && t.from === 'relay' }),
+      'The leaf should report the relay twice, got ' + JSON.stringify(events.tamper))
+    assert(events.tamper[0].reason === 'unsigned' && events.tamper[1].reason === 'bad signature', 'Reasons should say what was wrong')
+
+    // The broadcaster restarts right after its last frames: those still get
+    // through, then its earlier epoch is retired, so frames of it the leaf
+    // has never seen are refused as well
+    var restart = await config(11, 0)
+    var first = await sign(Packet.TYPE_AUDIO, 11, 0, new Uint8Array([0]))
+    for (seq = 91; seq < 95; seq++) managers.root.broadcast(frames[seq])
+    managers.root.broadcastConfig(restart)
+    managers.root.broadcast(first)
+    await wait(50)
+    assert(events.audio.length === 11, 'The old epoch\'s last frames and the new epoch should be heard, got ' + events.audio.length)
+    assert(events.tamper.length === 2, 'An honest restart should not be reported, got ' + JSON.stringify(events.tamper.slice(2)))
+    fromRelay(frames[95])
+    fromRelay(await config(10, 1))
+    await wait(50)
+    assert(events.audio.length === 11 && events.config.length === 2, 'The retired epoch should not be heard')
+    assert(events.tamper.length === 4 && events.tamper[3].reason === 'replayed', 'Retired epochs should be reported as replayed')
+
+    // A contributor below gets the root's signed decision; the relay can't
+    // make one up or repeat an old one
+    managers.leaf.contribute(await sign(Packet.TYPE_CONFIG, 50, 0, Packet.encodeConfig({ codec: Packet.CODEC_OPUS, channels: 1, sampleRate: 48000, frameDuration: 20000, streamId: 'guest' })))
+    await wait(100)
+    assert(events.admission.length === 1 && events.admission[0].streamId === 'guest' && events.admission[0].state === 'admitted',
+      'The signed decision should reach the contributor, got ' + JSON.stringify(events.admission))
+    var decision = nodes.relay.downstream.leaf._audio.sent.filter(function (data) {
+      return Packet.decode(data).type === Packet.TYPE_ADMISSION
+    })[0]
+    fromRelay(decision)
+    fromRelay(Packet.encode({ type: Packet.TYPE_ADMISSION, epoch: 0, seq: 99, timestamp: 0 }, Packet.encodeAdmission({ streamId: 'guest', state: 'denied' })).buffer)
+    await wait(50)
+    assert(events.admission.length === 1, 'Replayed and unsigned decisions should not be acted on')
+    var reasons = events.tamper.slice(4).map(function (t) { return t.reason }).sort()
+    assert(reasons.join() === 'replayed,unsigned', 'Bad decisions should be reported, got ' + JSON.stringify(events.tamper.slice(4)))
+
+    // Talkback is checked at the first hop, and signed talkback reaches the root
+    managers.leaf.talkback(Packet.encode({ type: Packet.TYPE_AUDIO, codec: Packet.CODEC_OPUS, epoch: 60, seq: 0, timestamp: 0 }, new Uint8Array(10)).buffer)
+    managers.leaf.talkback(await sign(Packet.TYPE_AUDIO, 60, 1, new Uint8Array(10)))
+    await wait(50)
+    assert(events.tamper.length === 7 && events.tamper[6].at === 'relay' && events.tamper[6].from === 'leaf', 'Unsigned talkback should stop at the relay')
+    assert(events.talkback.length === 1 && events.talkback[0].seq === 1, 'Signed talkback should reach the root')
+  }).finally(function () {
+    crypto.subtle.verify = verify
+    Object.keys(managers).forEach(function (name) { managers[name].stop() })
+  })
+}
+
+function testOgg () {
+  assert(oggCrc(new TextEncoder().encode('123456789')) === 0x89a1897f, 'The reference CRC should match the standard check value')
+
+  // One packet of 600 bytes laces as 255, 255, 90; one of exactly 255 needs a closing 0
+  var packets = [new Uint8Array(600).fill(1), new Uint8Array(255).fill(2), new Uint8Array(3).fill(3)]
+  var bytes = Ogg.page(packets, { serial: 0xdeadbeef, sequence: 7, granule: 0x123456789a, type: Ogg.LAST_PAGE })
+  var page = readOgg(bytes)[0]
+  assert(bytes[26] === 6 && bytes.subarray(27, 33).join() === '255,255,90,255,0,3', 'Segments should be laced, got ' + bytes.subarray(27, 33).join())
+  assert(page.crc === page.expectedCrc, 'The page CRC should be taken over the page with its CRC field zeroed')
+  assert(page.granule === 0x123456789a && page.serial === 0xdeadbeef && page.sequence === 7 && page.type === Ogg.LAST_PAGE, 'Header fields should round trip')
+  assert(page.packets.length === 3 && page.packets[0].byteLength === 600 && page.packets[1][0] === 2 && page.packets[2].byteLength === 3, 'Packets should unlace as written')
+
+  var unknown = readOgg(Ogg.page([new Uint8Array(10)], { serial: 1, sequence: 0, granule: -1 }))[0]
+  assert(unknown.granule === 0xffffffff * 0x100000001, 'A granule of -1 should be all ones')
+
+  var corrupted = bytes.slice()
+  corrupted[40] ^= 1
+  assert(readOgg(corrupted)[0].expectedCrc !== page.crc, 'A corrupted page should fail its CRC')
+
+  // A page holds at most 255 segments
+  assert(Ogg.canFit([new Uint8Array(253 * 255)], new Uint8Array(10)), 'A packet should fit in the last segment')
+  assert(!Ogg.canFit([new Uint8Array(253 * 255)], new Uint8Array(300)), 'A packet should not fit past 255 segments')
+
+  // Durations from the TOC byte: SILK 10ms, hybrid 20ms, CELT 2.5ms, code 1, code 3
+  assert(Ogg.packetSamples(new Uint8Array([0 << 3])) === 480, 'SILK 10ms')
+  assert(Ogg.packetSamples(new Uint8Array([13 << 3])) === 960, 'Hybrid 20ms')
+  assert(Ogg.packetSamples(new Uint8Array([16 << 3])) === 120, 'CELT 2.5ms')
+  assert(Ogg.packetSamples(new Uint8Array([(31 << 3) | 1])) === 1920, 'Two CELT 20ms frames')
+  assert(Ogg.packetSamples(new Uint8Array([(31 << 3) | 3, 5])) === 4800, 'Five CELT 20ms frames')
+  assert(Ogg.packetSamples(new Uint8Array([(31 << 3) | 3])) === 0 && Ogg.packetSamples(new Uint8Array(0)) === 0, 'Malformed packets should last 0')
+  assert(Ogg.packetSamples(Ogg.lostFrame((31 << 3) | 3)) === 960, 'A lost frame should last as long as the frame before')
+
+  // Silence covers a gap to the nearest 2.5ms below, in packets of at most 120ms
+  var silence = Ogg.silence(12345, 2)
+  var total = 0
+  silence.forEach(function (packet) {
+    var samples = Ogg.packetSamples(packet)
+    assert(samples > 0 && samples <= 5760, 'Silence packets should hold 120ms at most')
+    assert(packet[0] & 0x4, 'Stereo silence should set the stereo bit')
+    total += samples
+  })
+  assert(total === 12240, 'Silence should add up to the gap, rounded down to 2.5ms, got ' + total)
+}
+
+async function testOggRecording () {
+  var manager = fakeChannelManager()
+  var recorder = new AudioRecorder(null, { channelManager: manager, reorderDelay: 10, tags: { TITLE: 'test' } })
+  var frame = new Uint8Array([31 << 3, 1, 2, 3]) // CELT 20ms, mono
+
+  var pages
+  await quietly(async function () {
+    await recorder.start()
+    manager.send(Packet.TYPE_CONFIG, 9, 0, 0, Packet.CODEC_OPUS, Packet.encodeConfig({ codec: Packet.CODEC_OPUS, channels: 1, sampleRate: 48000, frameDuration: 20000, streamId: 'rec' }))
+
+    // Two seconds of frames, one lost, then 100ms skipped by VAD
+    for (var seq = 0; seq < 100; seq++) {
+      if (seq !== 50) manager.send(Packet.TYPE_AUDIO, 9, seq, seq * 960, Packet.CODEC_OPUS, frame)
+    }
+    manager.send(Packet.TYPE_AUDIO, 9, 100, 100 * 960 + 4800, Packet.CODEC_OPUS, frame)
+    await wait(50)
+
+    pages = readOgg(new Uint8Array(await recorder.stop().arrayBuffer()))
+  })
+
+  assert(pages.length >= 5, 'Headers and at least two audio pages should be written, got ' + pages.length)
+  assert(pages.every(function (page) { return page.crc === page.expectedCrc }), 'Every page should pass its CRC')
+  assert(pages.every(function (page, i) { return page.sequence === i && page.serial === pages[0].serial }), 'Pages should be numbered in order on one serial')
+  assert(pages[0].type === Ogg.FIRST_PAGE && pages[pages.length - 1].type === Ogg.LAST_PAGE, 'First and last pages should be marked')
+
+  var head = pages[0].packets[0]
+  assert(String.fromCharCode.apply(null, head.subarray(0, 8)) === 'OpusHead' && head[9] === 1, 'The first page should hold a mono OpusHead')
+  assert(new DataView(head.buffer, head.byteOffset).getUint32(12, true) === 48000, 'OpusHead should give the input rate')
+  assert(String.fromCharCode.apply(null, pages[1].packets[0].subarray(0, 8)) === 'OpusTags', 'The second page should hold OpusTags')
+  assert(pages[0].granule === 0 && pages[1].granule === 0, 'Header pages should have granule 0')
+
+  // Each page's granule is the samples decoded by the end of it
+  var granule = 0
+  for (var i = 2; i < pages.length; i++) {
+    pages[i].packets.forEach(function (packet) { granule += Ogg.packetSamples(packet) })
+    assert(pages[i].granule === granule, 'Page ' + i + ' granule should be ' + granule + ', got ' + pages[i].granule)
+    assert(i === pages.length - 1 || granule - pages[i - 1].granule <= 48000, 'Pages should hold at most 1s')
+  }
+  assert(granule === 101 * 960 + 4800, 'The recording should last every frame, the lost one and the VAD gap, got ' + granule)
+
+  var audio = [].concat.apply([], pages.slice(2).map(function (page) { return page.packets }))
+  assert(audio.filter(function (packet) { return packet.byteLength === 1 }).length === 1, 'The lost frame should be one empty packet')
+  assert(audio[50].byteLength === 1 && audio[51].join() === frame.join(), 'The lost frame should sit where it was lost')
+}
+
+async function testWav () {
+  var header = Wav.header(16000, 2, 1000)
+  var view = new DataView(header.buffer)
+  assert(header.byteLength === Wav.HEADER_SIZE, 'The header should be 44 bytes')
+  assert(String.fromCharCode.apply(null, header.subarray(0, 4)) === 'RIFF' && String.fromCharCode.apply(null, header.subarray(8, 16)) === 'WAVEfmt ', 'RIFF and fmt chunks should be named')
+  assert(view.getUint32(4, true) === 1036 && view.getUint32(40, true) === 1000, 'Sizes should count the samples')
+  assert(view.getUint16(20, true) === 1 && view.getUint16(22, true) === 2 && view.getUint32(24, true) === 16000, 'PCM, channels and rate should be set')
+  assert(view.getUint32(28, true) === 64000 && view.getUint16(32, true) === 4 && view.getUint16(34, true) === 16, 'Byte rate, block align and bits should follow')
+  var streaming = new DataView(Wav.header(16000, 2, null).buffer)
+  assert(streaming.getUint32(4, true) === 0xffffffff && streaming.getUint32(40, true) === 0xffffffff, 'Unknown sizes should be all ones')
+
+  // Interleaved, clamped, full scale on both sides
+  var bytes = Wav.samples([new Float32Array([0, 1, -1, 2]), new Float32Array([0.5, -0.5, -2, 0])])
+  var samples = new Int16Array(bytes.buffer)
+  assert(samples.join() === '0,16384,32767,-16384,-32768,-32768,32767,0', 'Samples should interleave and clamp, got ' + samples.join())
+
+  // A PCM recording fills gaps with zeros, and stop() fills in the sizes
+  var manager = fakeChannelManager()
+  var recorder = new AudioRecorder(null, { channelManager: manager, reorderDelay: 10 })
+  var left = tone(440, 48000, 960, 0.5)
+  var right = tone(880, 48000, 960, 0.5)
+  var payload = Pcm.encode([left, right], Packet.CODEC_PCM)
+
+  var file
+  await quietly(async function () {
+    await recorder.start()
+    manager.send(Packet.TYPE_CONFIG, 3, 0, 0, Packet.CODEC_PCM, Packet.encodeConfig({ codec: Packet.CODEC_PCM, channels: 2, sampleRate: 48000, frameDuration: 20000, streamId: 'wav' }))
+    manager.send(Packet.TYPE_AUDIO, 3, 0, 0, Packet.CODEC_PCM, payload)
+    manager.send(Packet.TYPE_AUDIO, 3, 1, 960 + 480, Packet.CODEC_PCM, payload)
+    await wait(50)
+    file = new Uint8Array(await recorder.stop().arrayBuffer())
+  })
+
+  assert(recorder.format === 'wav', 'PCM should be recorded as WAV')
+  var fileView = new DataView(file.buffer)
+  var size = (960 + 480 + 960) * 4
+  assert(file.byteLength === Wav.HEADER_SIZE + size, 'Two frames and a 10ms gap should be recorded, got ' + (file.byteLength - Wav.HEADER_SIZE) + ' bytes')
+  assert(fileView.getUint32(40, true) === size && fileView.getUint32(4, true) === 36 + size, 'The final header should have the real sizes')
+  assert(fileView.getUint32(24, true) === 48000 && fileView.getUint16(22, true) === 2, 'The file should have the stream rate and channels')
+
+  var recorded = new Int16Array(file.buffer, Wav.HEADER_SIZE)
+  assert(Math.abs(recorded[2 * 100] / 32768 - left[100]) < 0.001 && Math.abs(recorded[2 * 100 + 1] / 32768 - right[100]) < 0.001, 'Samples should be recorded as sent')
+  assert(recorded.subarray(960 * 2, 1440 * 2).every(function (s) { return s === 0 }), 'The gap should be zeros')
+  assert(peak(Array.from(recorded.subarray(1440 * 2))) > 16000, 'The second frame should follow the gap')
+}
+
+function testFlac () {
+  var seed = 1
+  function noise () {
+    seed = (seed * 1103515245 + 12345) % 0x80000000
+    return seed / 0x40000000 - 1
+  }
+
+  // Two full blocks and a short last one: a tone then a ramp, and silence,
+  // noise and a louder tone, so every kind of subframe comes up
+  var total = 4096 * 2 + 1000
+  var left = tone(440, 48000, total, 0.5)
+  var right = new Float32Array(total)
+  for (var i = 4096; i < total; i++) right[i] = i < 8192 ? 0.9 * noise() : Math.sin(i / 3)
+  for (i = 8192; i < total; i++) left[i] = (i - 8192) / 2048 - 0.25
+
+  ;[24, 16].forEach(function (bitDepth) {
+    var worker = loadArchiveWorker()
+    worker.send({ type: 'init', format: 'flac', sampleRate: 48000, channels: 2, bitDepth: bitDepth, timeslice: 0 })
+    for (var offset = 0; offset < total; offset += 480) {
+      var end = Math.min(total, offset + 480)
+      worker.send({ type: 'frame', samples: [left.slice(offset, end), right.slice(offset, end)], timestamp: 1000 + offset, gated: offset >= 4800 && offset < 5760 })
+    }
+    worker.send({ type: 'end' })
+
+    var errors = worker.messages.filter(function (msg) { return msg.type === 'error' })
+    assert(!errors.length, 'The worker should not fail: ' + (errors[0] && errors[0].message))
+    var chunks = worker.messages.filter(function (msg) { return msg.type === 'data' })
+    var done = worker.messages.filter(function (msg) { return msg.type === 'end' })[0]
+    assert(chunks.length === 1 && done, 'One chunk and an end message should come out')
+
+    // Streamed, the header has no totals; the final one is put in its place
+    var streamed = new Uint8Array(chunks[0].data)
+    assert(decodeFlac(streamed).info.samples === 0, 'The streamed header should leave the sample count unknown')
+    var file = new Uint8Array(streamed.byteLength)
+    file.set(streamed)
+    file.set(new Uint8Array(done.header), 0)
+    assert(done.headerSize === 42 && done.header.byteLength === 42, 'The header to replace should be fLaC and STREAMINFO')
+
+    var flac = decodeFlac(file)
+    var info = flac.info
+    var label = bitDepth + '-bit: '
+    assert(info.sampleRate === 48000 && info.channels === 2 && info.bitDepth === bitDepth, label + 'STREAMINFO should describe the stream')
+    assert(info.samples === total && done.samples === total, label + 'STREAMINFO should count every sample, got ' + info.samples)
+    assert(info.minBlock === 4096 && info.maxBlock === 4096, label + 'Block sizes should be 4096')
+    var sizes = flac.frames.map(function (frame) { return frame.size })
+    assert(info.minFrame === Math.min.apply(null, sizes) && info.maxFrame === Math.max.apply(null, sizes), label + 'Frame sizes should be the real ones')
+    assert(flac.frames.map(function (frame) { return frame.number + ':' + frame.length }).join() === '0:4096,1:4096,2:1000', label + 'Frames should be numbered with their lengths')
+
+    var max = bitDepth === 16 ? 0x7fff : 0x7fffff
+    function expected (sample) {
+      var s = Math.max(-1, Math.min(1, sample))
+      return Math.round(s < 0 ? s * (max + 1) : s * max)
+    }
+    for (i = 0; i < total; i++) {
+      if (flac.planes[0][i] !== expected(left[i]) || flac.planes[1][i] !== expected(right[i])) {
+        throw new Error(label + 'Sample ' + i + ' should decode losslessly, got ' + flac.planes[0][i] + ', ' + flac.planes[1][i])
+      }
+    }
+
+    assert(done.markers.length === 1 && done.markers[0].type === 'gated' && done.markers[0].start === 4800 && done.markers[0].end === 5760,
+      label + 'Gated frames should be marked, got ' + JSON.stringify(done.markers))
+  })
+}
+
+async function testArchiveFailure () {
+  // A worker that starts, then fails once asked to finish: with an error
+  // message, or by throwing outside one
+  function FailingWorker (how) {
+    return function () {
+      var worker = this
+      worker.terminated = false
+      worker.terminate = function () { worker.terminated = true }
+      worker.postMessage = function (msg) {
+        setTimeout(function () {
+          if (msg.type === 'init') worker.onmessage({ data: { type: 'ready' } })
+          if (msg.type !== 'end') return
+          if (how === 'message') worker.onmessage({ data: { type: 'error', message: 'disk full' } })
+          else worker.onerror({ message: 'worker crashed', preventDefault: function () {} })
+        }, 0)
+      }
+      workers.push(worker)
+    }
+  }
+
+  var original = global.Worker
+  var workers = []
+  try {
+    for (var how of ['message', 'onerror']) {
+      global.Worker = FailingWorker(how)
+      var reported = []
+      var archive = new Archive({ format: 'flac', sampleRate: 48000, channels: 1, bitDepth: 16, error: function (err) { reported.push(err) } })
+      await archive.start()
+
+      var result = await Promise.race([
+        archive.end().then(function () { return 'resolved' }, function (err) { return err }),
+        wait(200).then(function () { return 'pending' })
+      ])
+      assert(result instanceof Error, how + ': end() should reject, got ' + result)
+      assert(/disk full|worker crashed/.test(result.message), how + ': the rejection should carry the worker\'s error')
+      assert(workers[workers.length - 1].terminated && archive._worker === null, how + ': the worker should be stopped')
+      assert(!reported.length, how + ': the failure should go to end(), not the error callback')
+      assert(await rejects(archive.end()), how + ': a second end() should fail the same way')
+    }
+  } finally {
+    global.Worker = original
+  }
+}
+
+function testHistory () {
+  var history = History({ duration: 10000 })
+  assert(history.start() === null && history.end() === 0 && history.indexAt(500) === 0, 'An empty history should have no entries')
+
+  // 20ms frames for a minute: past the compaction threshold several times
+  var kept = null
+  for (var i = 0; i < 3000; i++) {
+    history.push({ time: i * 20, frame: i })
+    if (i === 1300) kept = history.end() - 1
+    if (kept !== null && i <= 1800) assert(history.get(kept).frame === 1300, 'An index should keep pointing at its entry through compaction, at frame ' + i)
+  }
+
+  assert(history.end() === 3000, 'Indexes should keep counting up')
+  assert(history.first === 3000 - 501 && history.start() === (3000 - 501) * 20, 'Only the last 10s should be kept, got from ' + history.first)
+  assert(history._entries.length - history._head === 501 && history._entries.length < 1024 + 501, 'Expired entries should be compacted away')
+  assert(history.get(history.first - 1) === null && history.get(history.end()) === null, 'Expired and future indexes should give null')
+  assert(history.get(2500).frame === 2500, 'A live index should give its entry')
+
+  // Lookup by time: exact, between entries, before the oldest, after the newest
+  assert(history.indexAt(50000) === 2500, 'An exact time should find its entry')
+  assert(history.indexAt(50005) === 2501, 'A time between entries should find the next one')
+  assert(history.indexAt(0) === history.first, 'A time before the oldest should find the oldest')
+  assert(history.indexAt(1e9) === history.end(), 'A time after the newest should find the end')
+
+  // An entry timed before the newest one is moved up to it
+  var late = { time: 100, frame: 'late' }
+  history.push(late)
+  assert(late.time === 2999 * 20 && history.get(3000) === late, 'A late entry should be timed at the newest and go last')
+  assert(history.indexAt(2999 * 20) === 2999, 'Lookup should find the first of equal times')
+
+  history.clear()
+  assert(history.first === 0 && history.end() === 0 && history.start() === null, 'clear() should forget everything')
+  history.push({ time: 5 })
+  assert(history.get(0).time === 5 && history.end() === 1, 'A cleared history should start over')
+}
+
+// ─── Main ───────────────────────────────────────────────────────────
+
+async function main () {
+  log('=== Fireflower Audio Unit Tests ===')
+
+  var passed = 0
+  var failed = 0
+  var toRun = onlyTest
+    ? tests.filter(function (_, i) { return i + 1 === onlyTest })
+    : tests
+
+  for (var i = 0; i < toRun.length; i++) {
+    var test = toRun[i]
+    var num = onlyTest || (i + 1)
+    try {
+      await test.fn()
+      log('✓ ' + num + '. ' + test.name)
+      passed++
+    } catch (err) {
+      log('✗ ' + num + '. ' + test.name + ': ' + err.message)
+      failed++
+    }
+  }
+
+  log('')
+  log('=== Results: ' + passed + ' passed, ' + failed + ' failed ===')
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+main().catch(function (err) {
+  console.error('Test runner error:', err)
+  process.exit(1)
+})